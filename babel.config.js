@@ -0,0 +1,5 @@
+// Node tooling only (npm test, npm run bench); react-scripts builds the app with its own config
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }], '@babel/preset-react'],
+  plugins: ['babel-plugin-transform-import-meta']
+};
@@ -0,0 +1,30 @@
+// Times the dashboard's product queries with the index on its own thread, as in the browser:
+//   npm run bench [-- <product count> [<search>]]
+require('@babel/register');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { benchmarkProductQueries } = require('../src/data/queryClient');
+
+// A worker thread in the Web Worker shape the query client talks to
+const createWorker = () => {
+  const thread = new Worker(path.join(__dirname, 'productQuery.worker.js'));
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    postMessage: data => thread.postMessage(data),
+    terminate: () => thread.terminate()
+  };
+  thread.on('message', data => worker.onmessage?.({ data }));
+  thread.on('error', error => worker.onerror?.({ message: error.message, error }));
+  return worker;
+};
+
+const [count = '100000', search] = process.argv.slice(2);
+
+benchmarkProductQueries({ count: Number(count), search, createWorker }).then(
+  result => console.table(result),
+  error => {
+    console.error(error);
+    process.exitCode = 1;
+  }
+);
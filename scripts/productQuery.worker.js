@@ -0,0 +1,11 @@
+// src/productQuery.worker.js for a Node worker thread
+require('@babel/register');
+const { parentPort } = require('worker_threads');
+const { createProductIndex, handleIndexMessage } = require('../src/productQuery');
+
+const index = createProductIndex();
+
+parentPort.on('message', data => {
+  const reply = handleIndexMessage(index, data);
+  if (reply) parentPort.postMessage(reply);
+});
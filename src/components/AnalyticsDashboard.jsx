@@ -0,0 +1,269 @@
+import React, { memo } from 'react';
+import { Package, AlertCircle, BarChart3, DollarSign } from 'lucide-react';
+import { revenueOf } from '../productQuery';
+import { ONE_DECIMAL, NO_DECIMALS } from '../i18n/locale';
+import { productPath } from '../contexts/RouterProvider';
+import { useProducts, useLocale } from '../hooks';
+import { Link } from './Link';
+
+/* ========= Analytics Cards ========= */
+const StatCard = ({ label, value, detail, icon: Icon, color }) => (
+  <div className="bg-white p-6 rounded-lg shadow-md">
+    <div className="flex items-center justify-between">
+      <div>
+        <p className="text-gray-500 text-sm">{label}</p>
+        <p className="text-3xl font-bold text-gray-800">{value}</p>
+        {detail && <div className="text-xs text-gray-500 mt-1">{detail}</div>}
+      </div>
+      <Icon className={`w-12 h-12 ${color}`} />
+    </div>
+  </div>
+);
+
+const ChartCard = ({ title, action, children }) => (
+  <div className="bg-white p-4 rounded-lg shadow-md">
+    <div className="flex items-center justify-between mb-3">
+      <h2 className="text-sm font-semibold text-gray-700">{title}</h2>
+      {action}
+    </div>
+    {children}
+  </div>
+);
+
+// Horizontal bars; clicking a row applies the matching filter
+const BarList = ({ items, onSelect }) => {
+  const max = Math.max(...items.map(item => item.value), 1);
+  return (
+    <div className="space-y-2">
+      {items.map(item => (
+        <button
+          key={item.key}
+          title={item.title}
+          onClick={() => onSelect(item.key)}
+          className={`w-full text-left text-sm rounded px-1 hover:bg-gray-50 ${
+            item.active ? 'ring-2 ring-blue-400' : ''
+          }`}
+        >
+          <div className="flex justify-between text-gray-600">
+            <span>{item.label}</span>
+            <span className="text-gray-500">{item.display}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded">
+            <div
+              className="h-2 bg-blue-500 rounded"
+              style={{ width: `${(item.value / max) * 100}%` }}
+            />
+          </div>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Vertical bars for ordered series such as months or rating buckets
+const ColumnChart = ({ items, onSelect, height = 120 }) => {
+  const max = Math.max(...items.map(item => item.value), 1);
+  return (
+    <div className="flex items-end space-x-1" style={{ height: height + 20 }}>
+      {items.map(item => (
+        <button
+          key={item.key}
+          title={item.title}
+          onClick={() => onSelect(item.key)}
+          className="flex-1 flex flex-col items-center justify-end h-full group"
+        >
+          <div
+            className={`w-full rounded-t ${
+              item.active ? 'bg-blue-700' : 'bg-blue-400 group-hover:bg-blue-500'
+            }`}
+            style={{ height: (item.value / max) * height }}
+          />
+          <span className="text-[10px] text-gray-500 mt-1 whitespace-nowrap">{item.label}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+const SellerList = ({ products }) => {
+  const { formatNumber, formatPrice } = useLocale();
+  return (
+    <ol className="space-y-1 text-sm">
+      {products.map(p => (
+        <li key={p.id} className="flex justify-between">
+          <Link to={productPath(p.id)} className="text-blue-600 hover:underline truncate">
+            {p.name}
+          </Link>
+          <span className="text-gray-500 ml-2 whitespace-nowrap">
+            {formatNumber(p.sales)} · {formatPrice(revenueOf(p), NO_DECIMALS)}
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+// Describes whatever the list below currently shows; the figures are computed by the query
+// worker over the filtered products, and `analytics` is undefined until its first answer
+const AnalyticsDashboard = memo(({ analytics, totalCount }) => {
+  const { loading, filter, facets, dispatch } = useProducts();
+  const { t, formatNumber, formatPrice, formatMonth } = useLocale();
+  const setFacets = payload => dispatch({ type: 'SET_FACETS', payload });
+
+  if (loading || analytics === undefined) return <div>{t('analytics.loading')}</div>;
+  if (!analytics) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow-md mb-8 text-gray-500">
+        {t('analytics.empty')}
+      </div>
+    );
+  }
+
+  // Clicking the active bar again clears its filter
+  const selectCategory = category =>
+    dispatch({ type: 'SET_FILTER', payload: filter === category ? 'all' : category });
+  const selectStatus = status =>
+    setFacets({
+      statuses: facets.statuses.length === 1 && facets.statuses[0] === status ? [] : [status]
+    });
+  const selectRating = rating => setFacets({ minRating: facets.minRating === rating ? 0 : rating });
+  const selectMonth = month => setFacets({ soldIn: facets.soldIn === month ? '' : month });
+
+  return (
+    <div className="mb-8">
+      {analytics.totalProducts < totalCount && (
+        <p className="text-sm text-gray-500 mb-2">
+          {t('analytics.subset', { shown: analytics.totalProducts, total: totalCount })}
+        </p>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+        <StatCard
+          label={t('analytics.revenue')}
+          value={formatPrice(analytics.totalRevenue, NO_DECIMALS)}
+          detail={t('analytics.unitsSold', { count: analytics.totalUnits })}
+          icon={DollarSign}
+          color="text-green-500"
+        />
+        <StatCard
+          label={t('analytics.totalProducts')}
+          value={formatNumber(analytics.totalProducts)}
+          detail={t('analytics.unitsInStock', { count: analytics.totalStock })}
+          icon={Package}
+          color="text-blue-500"
+        />
+        <StatCard
+          label={t('analytics.avgRating')}
+          value={formatNumber(analytics.averageRating, ONE_DECIMAL)}
+          icon={BarChart3}
+          color="text-yellow-500"
+        />
+        <StatCard
+          label={t('analytics.outOfStock')}
+          value={formatNumber(analytics.outOfStock)}
+          detail={
+            <>
+              {analytics.soldOutVariants > 0 && (
+                <span className="block">
+                  {t('analytics.soldOutVariants', { count: analytics.soldOutVariants })}
+                </span>
+              )}
+              <Link to="/inventory" className="text-blue-600 hover:underline">
+                {t('analytics.lowStock', { count: analytics.lowStock })}
+              </Link>
+            </>
+          }
+          icon={AlertCircle}
+          color="text-red-500"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+        <ChartCard title={t('analytics.revenueByCategory')}>
+          <BarList
+            onSelect={selectCategory}
+            items={analytics.byCategory.map(c => ({
+              key: c.key,
+              label: t(`category.${c.key}`),
+              value: c.revenue,
+              display: formatPrice(c.revenue, NO_DECIMALS),
+              title: t('analytics.productCount', { count: c.count }),
+              active: filter === c.key
+            }))}
+          />
+        </ChartCard>
+        <ChartCard title={t('analytics.revenueByStatus')}>
+          <BarList
+            onSelect={selectStatus}
+            items={analytics.byStatus.map(st => ({
+              key: st.key,
+              label: t(`status.${st.key}`),
+              value: st.revenue,
+              display: formatPrice(st.revenue, NO_DECIMALS),
+              title: t('analytics.productCount', { count: st.count }),
+              active: facets.statuses.includes(st.key)
+            }))}
+          />
+        </ChartCard>
+        <ChartCard title={t('analytics.ratingDistribution')}>
+          <ColumnChart
+            onSelect={selectRating}
+            items={analytics.ratings.map(r => ({
+              key: r.rating,
+              label: `★ ${r.rating}`,
+              value: r.count,
+              title: t('analytics.ratingBucket', {
+                count: r.count,
+                from: r.rating,
+                to: r.rating + 1
+              }),
+              active: r.rating > 0 && facets.minRating === r.rating
+            }))}
+          />
+        </ChartCard>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="md:col-span-2">
+          <ChartCard
+            title={t('analytics.unitsPerMonth')}
+            action={
+              facets.soldIn && (
+                <button
+                  onClick={() => setFacets({ soldIn: '' })}
+                  className="text-xs text-blue-600 hover:underline"
+                >
+                  {t('analytics.soldIn', { month: formatMonth(facets.soldIn) })}
+                </button>
+              )
+            }
+          >
+            {analytics.monthly.length ? (
+              <ColumnChart
+                onSelect={selectMonth}
+                items={analytics.monthly.map(m => ({
+                  key: m.month,
+                  label: formatMonth(m.month),
+                  value: m.units,
+                  title: t('analytics.monthBar', {
+                    count: m.units,
+                    revenue: formatPrice(m.revenue, NO_DECIMALS)
+                  }),
+                  active: facets.soldIn === m.month
+                }))}
+              />
+            ) : (
+              <p className="text-sm text-gray-500">{t('analytics.noHistory')}</p>
+            )}
+          </ChartCard>
+        </div>
+        <ChartCard title={t('analytics.sellers')}>
+          <SellerList products={analytics.topSellers} />
+          <hr className="my-2" />
+          <SellerList products={analytics.bottomSellers} />
+        </ChartCard>
+      </div>
+    </div>
+  );
+});
+
+export { AnalyticsDashboard };
@@ -0,0 +1,20 @@
+import React from 'react';
+import { useAuth } from '../hooks';
+import { LoginScreen } from '../views/LoginScreen';
+
+/* ========= Auth Gate ========= */
+// Nothing below this loads until a user is signed in
+const AuthGate = ({ children }) => {
+  const { isAuthenticated, restoring } = useAuth();
+
+  if (restoring) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+  return isAuthenticated ? children : <LoginScreen />;
+};
+
+export { AuthGate };
@@ -0,0 +1,105 @@
+import React, { useState, memo } from 'react';
+import { Trash2 } from 'lucide-react';
+import { PRODUCT_CATEGORIES, PRODUCT_STATUSES } from '../data/schema';
+import { useAuth, useLocale } from '../hooks';
+
+/* ========= Bulk Actions ========= */
+const BulkActionBar = memo(
+  ({ selectedCount, onClear, onDelete, onSetStatus, onSetCategory, onAdjustStock }) => {
+    const { can } = useAuth();
+    const { t } = useLocale();
+    const [stockDelta, setStockDelta] = useState('');
+    const stockErrorId = React.useId();
+    // Stock moves in whole units, so "2.5" is refused rather than cut down to 2
+    const delta = Number(stockDelta);
+    const stockError =
+      stockDelta !== '' && !Number.isInteger(delta)
+        ? t('validation.wholeNumber', { field: t('bulk.stockLabel') })
+        : null;
+
+    const selectClass = 'px-3 py-1 border border-gray-300 rounded-md text-sm bg-white';
+
+    return (
+      <div className="flex flex-wrap items-center gap-3 px-6 py-3 bg-blue-50 border-b">
+        <span className="text-sm font-medium text-blue-800">
+          {t('bulk.selected', { count: selectedCount })}
+        </span>
+
+        <select
+          value=""
+          aria-label={t('bulk.setStatusLabel')}
+          onChange={e => e.target.value && onSetStatus(e.target.value)}
+          className={selectClass}
+        >
+          <option value="">{t('bulk.setStatus')}</option>
+          {PRODUCT_STATUSES.map(st => (
+            <option key={st} value={st}>
+              {t(`status.${st}`)}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value=""
+          aria-label={t('bulk.changeCategoryLabel')}
+          onChange={e => e.target.value && onSetCategory(e.target.value)}
+          className={selectClass}
+        >
+          <option value="">{t('bulk.changeCategory')}</option>
+          {PRODUCT_CATEGORIES.map(c => (
+            <option key={c} value={c}>
+              {t(`category.${c}`)}
+            </option>
+          ))}
+        </select>
+
+        <div className="flex items-center space-x-1">
+          <input
+            type="number"
+            step="1"
+            placeholder={t('bulk.stockPlaceholder')}
+            aria-label={t('bulk.stockLabel')}
+            value={stockDelta}
+            onChange={e => setStockDelta(e.target.value)}
+            aria-invalid={!!stockError}
+            aria-describedby={stockError ? stockErrorId : undefined}
+            className={`w-24 px-3 py-1 border rounded-md text-sm ${
+              stockError ? 'border-red-500' : 'border-gray-300'
+            }`}
+          />
+          <button
+            disabled={!delta || !!stockError}
+            onClick={() => {
+              onAdjustStock(delta);
+              setStockDelta('');
+            }}
+            className="px-3 py-1 text-sm bg-white border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50"
+          >
+            {t('bulk.adjustStock')}
+          </button>
+          {stockError && (
+            <span id={stockErrorId} className="text-sm text-red-600">
+              {stockError}
+            </span>
+          )}
+        </div>
+
+        {can('product:bulk-delete') && (
+          <button
+            onClick={onDelete}
+            className="px-3 py-1 text-sm text-white bg-red-600 rounded-md hover:bg-red-700 flex items-center space-x-1"
+          >
+            <Trash2 className="w-4 h-4" />
+            <span>{t('bulk.delete')}</span>
+          </button>
+        )}
+
+        <button onClick={onClear} className="ml-auto text-sm text-blue-700 hover:underline">
+          {t('bulk.clear')}
+        </button>
+      </div>
+    );
+  }
+);
+
+export { BulkActionBar };
@@ -0,0 +1,82 @@
+import React, { useEffect } from 'react';
+import { X } from 'lucide-react';
+import { useLocale } from '../hooks';
+
+/* ========= Dialog ========= */
+const FOCUSABLE_SELECTOR =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+  'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Modal dialog: labelled by its title, keeps Tab inside, closes on Escape and hands focus
+// back to whatever opened it
+const Dialog = ({ title, onClose, className = 'max-w-md', children }) => {
+  const dialogRef = React.useRef();
+  const titleId = React.useId();
+  const { t } = useLocale();
+  const onCloseRef = React.useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    const dialog = dialogRef.current;
+    (dialog.querySelector('input, select, textarea') || dialog).focus();
+
+    const handleKeyDown = e => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onCloseRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const focusable = [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)];
+      if (!focusable.length) {
+        e.preventDefault();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    dialog.addEventListener('keydown', handleKeyDown);
+    return () => {
+      dialog.removeEventListener('keydown', handleKeyDown);
+      if (opener && document.contains(opener)) opener.focus();
+    };
+  }, []);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        className={`bg-white rounded-lg p-6 w-full mx-4 max-h-screen overflow-y-auto focus:outline-none ${className}`}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 id={titleId} className="text-lg font-semibold">
+            {title}
+          </h3>
+          <button
+            onClick={onClose}
+            aria-label={t('dialog.close')}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export { Dialog };
@@ -0,0 +1,47 @@
+import { act, screen, fireEvent, waitFor } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import { renderApp } from '../testUtils';
+
+const openEditForm = async () => {
+  const [edit] = screen.getAllByRole('button', { name: /^Edit Product/ });
+  act(() => edit.focus());
+  fireEvent.click(edit);
+  return { edit, dialog: await screen.findByRole('dialog', { name: 'Edit Product' }) };
+};
+
+describe('Dialog', () => {
+  it('has no axe violations in the product form', async () => {
+    await renderApp();
+    const { dialog } = await openEditForm();
+    expect(await axe(dialog)).toHaveNoViolations();
+  });
+
+  it('moves focus into the form and closes on Escape, handing focus back', async () => {
+    await renderApp();
+    const { edit, dialog } = await openEditForm();
+    expect(dialog).toContainElement(document.activeElement);
+
+    fireEvent.keyDown(document.activeElement, { key: 'Escape' });
+    await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+    expect(edit).toHaveFocus();
+  });
+
+  it('closes from its close button, handing focus back', async () => {
+    await renderApp();
+    const { edit } = await openEditForm();
+    fireEvent.click(screen.getByRole('button', { name: 'Close dialog' }));
+    await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+    expect(edit).toHaveFocus();
+  });
+
+  it('keeps Tab inside the dialog', async () => {
+    await renderApp();
+    const { dialog } = await openEditForm();
+    const buttons = dialog.querySelectorAll('button:not([disabled])');
+    const last = buttons[buttons.length - 1];
+    act(() => last.focus());
+    fireEvent.keyDown(last, { key: 'Tab' });
+    expect(dialog).toContainElement(document.activeElement);
+    expect(last).not.toHaveFocus();
+  });
+});
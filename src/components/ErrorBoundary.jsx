@@ -0,0 +1,90 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+import { ErrorReportingContext } from '../contexts/ErrorReportingProvider';
+import { LOCALES, createTranslator, detectLocale } from '../i18n/locale';
+import { useLocale } from '../hooks';
+
+/* ========= Error Boundary ========= */
+// Without a `fallback` this is the last-resort, whole-page boundary. Section boundaries pass
+// fallback({ error, reset }); reset re-renders just their children, so one broken part of the
+// page doesn't need a reload.
+class ErrorBoundary extends React.Component {
+  static contextType = ErrorReportingContext;
+
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false, error: null };
+    this.reset = () => this.setState({ hasError: false, error: null });
+  }
+
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+
+  // A change to any of `resetKeys` (the current path, say) clears the error
+  componentDidUpdate(prevProps) {
+    const { resetKeys = [] } = this.props;
+    const prevKeys = prevProps.resetKeys || [];
+    if (this.state.hasError && resetKeys.some((key, i) => !Object.is(key, prevKeys[i]))) {
+      this.reset();
+    }
+  }
+
+  componentDidCatch(error, errorInfo) {
+    const details = { boundary: this.props.name, componentStack: errorInfo.componentStack };
+    if (this.context) this.context.report(error, details);
+    else console.error('Dashboard Error:', error, errorInfo);
+  }
+
+  render() {
+    if (this.state.hasError && this.props.fallback) {
+      return this.props.fallback({ error: this.state.error, reset: this.reset });
+    }
+    if (this.state.hasError) {
+      // The failed tree may include the locale provider, so use the language it last set
+      const lang = document.documentElement.lang;
+      const t = createTranslator(LOCALES[lang] ? lang : detectLocale());
+      return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50">
+          <div className="text-center p-8 bg-white rounded-lg shadow-md">
+            <AlertCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gray-800 mb-2">{t('errorBoundary.title')}</h2>
+            <p className="text-gray-600 mb-4">{t('errorBoundary.message')}</p>
+            <button
+              onClick={() => window.location.reload()}
+              className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700"
+            >
+              {t('errorBoundary.refresh')}
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    return this.props.children;
+  }
+}
+
+// In-place fallback for a section boundary; "Try again" re-renders just that section
+const SectionErrorFallback = ({ messageKey, onRetry, className = '' }) => {
+  const { t } = useLocale();
+  return (
+    <div
+      role="alert"
+      className={`bg-white rounded-lg shadow-md p-6 flex items-center justify-between gap-4 ${className}`}
+    >
+      <span className="flex items-center space-x-2 text-gray-700">
+        <AlertCircle className="w-5 h-5 text-red-500 shrink-0" aria-hidden="true" />
+        <span>{t(messageKey)}</span>
+      </span>
+      <button
+        onClick={onRetry}
+        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 whitespace-nowrap"
+      >
+        {t('errorBoundary.tryAgain')}
+      </button>
+    </div>
+  );
+};
+
+export { ErrorBoundary, SectionErrorFallback };
@@ -0,0 +1,108 @@
+import React, { memo } from 'react';
+import { RATING_FACETS } from '../productQuery';
+import { PRODUCT_STATUSES } from '../data/schema';
+import { defaultFacets, hasActiveFacets } from '../data/listQuery';
+import { useProducts, useLocale } from '../hooks';
+
+/* ========= Facets ========= */
+// Counts come from the query worker, computed over the category- and query-matched products
+const FacetPanel = memo(({ counts }) => {
+  const { facets, dispatch } = useProducts();
+  const { t, currency } = useLocale();
+  const setFacets = payload => dispatch({ type: 'SET_FACETS', payload });
+
+  const toggleStatus = status =>
+    setFacets({
+      statuses: facets.statuses.includes(status)
+        ? facets.statuses.filter(st => st !== status)
+        : [...facets.statuses, status]
+    });
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-6 grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div>
+        <h2 className="text-sm font-semibold text-gray-700 mb-2">{t('facets.status')}</h2>
+        {PRODUCT_STATUSES.map(st => (
+          <label key={st} className="flex items-center justify-between text-sm text-gray-600 py-1">
+            <span className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={facets.statuses.includes(st)}
+                onChange={() => toggleStatus(st)}
+              />
+              <span>{t(`status.${st}`)}</span>
+            </span>
+            <span className="text-gray-500">{counts.status[st]}</span>
+          </label>
+        ))}
+      </div>
+
+      <div>
+        <h2 className="text-sm font-semibold text-gray-700 mb-2">
+          {t('facets.price', { currency })}
+        </h2>
+        <div className="flex items-center space-x-2">
+          <input
+            type="number"
+            min="0"
+            placeholder={t('facets.min')}
+            aria-label={t('facets.minLabel')}
+            value={facets.minPrice}
+            onChange={e => setFacets({ minPrice: e.target.value })}
+            className="w-full px-3 py-1 border border-gray-300 rounded-md text-sm"
+          />
+          <span className="text-gray-500">–</span>
+          <input
+            type="number"
+            min="0"
+            placeholder={t('facets.max')}
+            aria-label={t('facets.maxLabel')}
+            value={facets.maxPrice}
+            onChange={e => setFacets({ maxPrice: e.target.value })}
+            className="w-full px-3 py-1 border border-gray-300 rounded-md text-sm"
+          />
+        </div>
+        <p className="text-xs text-gray-500 mt-2">{t('facets.inRange', { count: counts.price })}</p>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-sm font-semibold text-gray-700">{t('facets.rating')}</h2>
+          {hasActiveFacets(facets) && (
+            <button
+              onClick={() => setFacets(defaultFacets)}
+              className="text-xs text-blue-600 hover:underline"
+            >
+              {t('facets.clear')}
+            </button>
+          )}
+        </div>
+        {RATING_FACETS.map(r => (
+          <label key={r} className="flex items-center justify-between text-sm text-gray-600 py-1">
+            <span className="flex items-center space-x-2">
+              <input
+                type="radio"
+                name="rating-facet"
+                checked={facets.minRating === r}
+                onChange={() => setFacets({ minRating: r })}
+              />
+              <span>{t('facets.ratingAtLeast', { rating: r })}</span>
+            </span>
+            <span className="text-gray-500">{counts.rating[r]}</span>
+          </label>
+        ))}
+        <label className="flex items-center space-x-2 text-sm text-gray-600 py-1">
+          <input
+            type="radio"
+            name="rating-facet"
+            checked={facets.minRating === 0}
+            onChange={() => setFacets({ minRating: 0 })}
+          />
+          <span>{t('facets.anyRating')}</span>
+        </label>
+      </div>
+    </div>
+  );
+});
+
+export { FacetPanel };
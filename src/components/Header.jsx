@@ -0,0 +1,108 @@
+import React, { useMemo, useCallback, memo } from 'react';
+import { ShoppingCart, Users, LogOut, WifiOff } from 'lucide-react';
+import { isLowStock } from '../productQuery';
+import { useAuth, useProducts, useLocale } from '../hooks';
+import { Link } from './Link';
+import { NotificationCenter } from './Notifications';
+
+/* ========= Header ========= */
+const REALTIME_STATUS_COLORS = {
+  open: 'bg-green-500',
+  connecting: 'bg-yellow-400',
+  closed: 'bg-gray-400'
+};
+
+const REALTIME_STATUS_LABELS = {
+  open: 'header.live',
+  connecting: 'header.connecting',
+  closed: 'header.offline'
+};
+
+const Header = memo(() => {
+  const { user, logout } = useAuth();
+  const { t } = useLocale();
+  const { products, categoryThresholds, realtimeStatus, pendingMutations } = useProducts();
+  const lowStockCount = useMemo(
+    () => products.filter(p => isLowStock(p, categoryThresholds)).length,
+    [products, categoryThresholds]
+  );
+  const queuedCount = Object.values(pendingMutations).filter(m => m.status === 'queued').length;
+  const pendingCount = Object.keys(pendingMutations).length;
+
+  // Signing out unmounts the products, and with them the writes that haven't been sent
+  const handleSignOut = useCallback(() => {
+    if (pendingCount && !window.confirm(t('header.signOutPending', { count: pendingCount }))) {
+      return;
+    }
+    logout();
+  }, [pendingCount, logout, t]);
+
+  return (
+    <header className="bg-white shadow-sm border-b">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between items-center py-4">
+          <div className="flex items-center space-x-3">
+            <ShoppingCart className="w-8 h-8 text-blue-600" />
+            <Link to="/" className="text-xl font-bold text-gray-900">
+              {t('app.title')}
+            </Link>
+            <Link
+              to="/inventory"
+              className="ml-4 text-sm text-gray-600 hover:text-gray-900 flex items-center space-x-1"
+            >
+              <span>{t('header.lowStock')}</span>
+              {lowStockCount > 0 && (
+                <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full">
+                  {lowStockCount}
+                </span>
+              )}
+            </Link>
+            <Link to="/activity" className="ml-4 text-sm text-gray-600 hover:text-gray-900">
+              {t('header.activity')}
+            </Link>
+            <Link to="/settings" className="ml-4 text-sm text-gray-600 hover:text-gray-900">
+              {t('header.settings')}
+            </Link>
+          </div>
+
+          <div className="flex items-center space-x-4">
+            {queuedCount > 0 && (
+              <span className="flex items-center space-x-1 text-xs text-yellow-800 bg-yellow-100 px-2 py-1 rounded-full">
+                <WifiOff className="w-3 h-3" />
+                <span>{t('header.pendingWrites', { count: queuedCount })}</span>
+              </span>
+            )}
+            <span
+              title={t('header.realtimeHint')}
+              className="flex items-center space-x-1 text-xs text-gray-500"
+            >
+              <span
+                aria-hidden="true"
+                className={`w-2 h-2 rounded-full ${REALTIME_STATUS_COLORS[realtimeStatus]}`}
+              />
+              <span>{t(REALTIME_STATUS_LABELS[realtimeStatus])}</span>
+            </span>
+            <NotificationCenter />
+            <div className="flex items-center space-x-2">
+              <Users className="w-5 h-5 text-gray-600" />
+              <span className="text-sm text-gray-600">{user?.name}</span>
+              <span className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded-full">
+                {user && t(`role.${user.role}`)}
+              </span>
+            </div>
+            <button
+              onClick={handleSignOut}
+              title={t('header.signOut')}
+              className="flex items-center space-x-1 text-sm text-gray-600 hover:text-gray-900"
+            >
+              <LogOut className="w-4 h-4" />
+              <span>{t('header.signOut')}</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </header>
+  );
+});
+
+export { Header };
@@ -0,0 +1,321 @@
+import React, { useState, useMemo, memo } from 'react';
+import { Download } from 'lucide-react';
+import { withStoredImages } from '../data/storage';
+import { BASE_CURRENCY } from '../i18n/locale';
+import { withoutKey } from '../reducers/productReducer';
+import { useProducts, useNotifications, useLocale, useReportFailure } from '../hooks';
+import { Dialog } from './Dialog';
+import {
+  IMPORT_FIELDS,
+  toCsv,
+  toJson,
+  parseImportFile,
+  guessMapping,
+  buildImportPlan
+} from '../data/importExport';
+
+/* ========= Import / Export ========= */
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const ExportMenu = memo(({ filteredProducts }) => {
+  const { products, imageStore } = useProducts();
+  const { t } = useLocale();
+  const reportFailure = useReportFailure();
+  const [open, setOpen] = useState(false);
+
+  const handleExport = async (format, scope) => {
+    const items = scope === 'all' ? products : filteredProducts;
+    const date = new Date().toISOString().slice(0, 10);
+    setOpen(false);
+    if (format === 'csv') {
+      downloadFile(`products-${scope}-${date}.csv`, `\uFEFF${toCsv(items)}`, 'text/csv');
+      return;
+    }
+    try {
+      const json = await toJson(items, imageStore);
+      downloadFile(`products-${scope}-${date}.json`, json, 'application/json');
+    } catch (err) {
+      reportFailure(err, { action: 'export' }, 'export.failed', { error: err.message });
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="px-4 py-2 border border-gray-300 bg-white rounded-lg hover:bg-gray-100 flex items-center space-x-2"
+      >
+        <Download className="w-5 h-5" />
+        <span>{t('export.button')}</span>
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-56 bg-white border rounded-md shadow-lg z-20 py-1">
+          {[
+            ['csv', 'filtered', t('export.csvFiltered', { count: filteredProducts.length })],
+            ['csv', 'all', t('export.csvAll', { count: products.length })],
+            ['json', 'filtered', t('export.jsonFiltered', { count: filteredProducts.length })],
+            ['json', 'all', t('export.jsonAll', { count: products.length })]
+          ].map(([format, scope, label]) => (
+            <button
+              key={`${format}-${scope}`}
+              onClick={() => handleExport(format, scope)}
+              className="block w-full text-left px-4 py-2 text-sm hover:bg-gray-100"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+
+const IMPORT_KIND_STYLES = {
+  add: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  unchanged: 'bg-gray-100 text-gray-600',
+  conflict: 'bg-yellow-100 text-yellow-800',
+  invalid: 'bg-red-100 text-red-800'
+};
+
+const ImportWizard = memo(({ onClose }) => {
+  const { products, imageStore, bulkAddProducts, bulkUpdateProducts } = useProducts();
+  const { addNotification } = useNotifications();
+  const { t } = useLocale();
+  const [step, setStep] = useState('file');
+  const [file, setFile] = useState(null);
+  const [parseError, setParseError] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [addConflicts, setAddConflicts] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const plan = useMemo(
+    () =>
+      file && step !== 'file'
+        ? buildImportPlan(file.records, mapping, products, t, file.nested)
+        : [],
+    [file, step, mapping, products, t]
+  );
+
+  const counts = useMemo(
+    () =>
+      plan.reduce((acc, row) => ({ ...acc, [row.kind]: (acc[row.kind] || 0) + 1 }), {
+        add: 0,
+        update: 0,
+        unchanged: 0,
+        conflict: 0,
+        invalid: 0
+      }),
+    [plan]
+  );
+  const resolvable = plan.filter(r => r.resolvable).length;
+  const applicable = counts.add + counts.update + (addConflicts ? resolvable : 0) > 0;
+
+  const handleFile = async e => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+    try {
+      const parsed = parseImportFile(selected.name, await selected.text());
+      if (!parsed.records.length) throw new Error(t('import.noRows'));
+      setFile({ name: selected.name, ...parsed });
+      setMapping(guessMapping(parsed.columns));
+      setParseError(null);
+      setStep('map');
+    } catch (err) {
+      setParseError(t('import.readError', { file: selected.name, error: err.message }));
+    }
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    try {
+      const withImages = async product => withStoredImages(product, imageStore);
+      const adds = await Promise.all(
+        plan
+          .filter(r => r.kind === 'add' || (addConflicts && r.resolvable))
+          .map(r => withImages(withoutKey(r.product, 'id')))
+      );
+      const updates = await Promise.all(
+        plan.filter(r => r.kind === 'update').map(r => withImages(r.product))
+      );
+
+      const added = adds.length
+        ? await bulkAddProducts(adds, { source: 'import' })
+        : { succeeded: 0, failed: 0 };
+      // Updates waiting for the connection count as updated; their rows say they're queued
+      const updated = updates.length
+        ? (await bulkUpdateProducts(updates, { source: 'import' })) ?? {
+            succeeded: updates.length,
+            failed: 0
+          }
+        : { succeeded: 0, failed: 0 };
+      const report = {
+        added: added.succeeded,
+        updated: updated.succeeded,
+        unchanged: counts.unchanged,
+        skipped: counts.invalid + counts.conflict - (addConflicts ? resolvable : 0),
+        failed: added.failed + updated.failed
+      };
+      setResult(report);
+      setStep('done');
+      addNotification({
+        type: report.failed ? 'error' : 'success',
+        message: t('import.finished', { added: report.added, updated: report.updated })
+      });
+    } catch (err) {
+      addNotification({ type: 'error', message: t('import.error', { error: err.message }) });
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const footerButton = 'px-4 py-2 rounded-md disabled:opacity-50';
+
+  return (
+    <Dialog
+      title={file ? t('import.titleWithFile', { file: file.name }) : t('import.title')}
+      onClose={onClose}
+      className="max-w-3xl"
+    >
+      {step === 'file' && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">{t('import.intro', { currency: BASE_CURRENCY })}</p>
+          <input
+            type="file"
+            aria-label={t('import.fileLabel')}
+            accept=".csv,.json,text/csv,application/json"
+            onChange={handleFile}
+          />
+          {parseError && <p className="text-sm text-red-600">{parseError}</p>}
+        </div>
+      )}
+
+      {step === 'map' && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            {t('import.rowsFound', { count: file.records.length })}
+          </p>
+          <div className="grid grid-cols-2 gap-3">
+            {IMPORT_FIELDS.map(field => (
+              <label key={field.key} className="text-sm">
+                <span className="block font-medium text-gray-700 mb-1">
+                  {t(`field.${field.key}`)}
+                </span>
+                <select
+                  value={mapping[field.key]}
+                  onChange={e => setMapping({ ...mapping, [field.key]: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                >
+                  <option value="">{t('import.notImported')}</option>
+                  {file.columns.map(c => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          <div className="flex justify-end space-x-3 pt-2">
+            <button onClick={() => setStep('file')} className={`${footerButton} bg-gray-200`}>
+              {t('import.back')}
+            </button>
+            <button
+              onClick={() => setStep('preview')}
+              className={`${footerButton} bg-blue-600 text-white hover:bg-blue-700`}
+            >
+              {t('import.preview')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 'preview' && (
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-2 text-sm">
+            {Object.entries(counts).map(([kind, count]) => (
+              <span key={kind} className={`px-2 py-1 rounded-full ${IMPORT_KIND_STYLES[kind]}`}>
+                {t('import.kindCount', { count, kind: t(`import.kind.${kind}`) })}
+              </span>
+            ))}
+          </div>
+
+          {resolvable > 0 && (
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={addConflicts}
+                onChange={e => setAddConflicts(e.target.checked)}
+              />
+              <span>{t('import.addConflicts')}</span>
+            </label>
+          )}
+
+          <div className="max-h-80 overflow-y-auto border rounded-md">
+            {plan.map(row => (
+              <div key={row.line} className="flex items-center px-3 py-2 border-b text-sm">
+                <span className="w-12 text-gray-500">#{row.line}</span>
+                <span
+                  className={`w-24 text-center px-2 rounded-full text-xs ${
+                    IMPORT_KIND_STYLES[row.kind]
+                  }`}
+                >
+                  {t(`import.kind.${row.kind}`)}
+                </span>
+                <span className="flex-1 ml-3 truncate">{row.product?.name || row.id}</span>
+                {row.reason && <span className="ml-3 text-gray-500 truncate">{row.reason}</span>}
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button onClick={() => setStep('map')} className={`${footerButton} bg-gray-200`}>
+              {t('import.back')}
+            </button>
+            <button
+              onClick={handleApply}
+              disabled={applying || !applicable}
+              className={`${footerButton} bg-blue-600 text-white hover:bg-blue-700`}
+            >
+              {applying ? t('import.importing') : t('import.apply')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 'done' && result && (
+        <div className="space-y-4">
+          <ul className="text-sm text-gray-700 space-y-1">
+            <li>{t('import.added', { count: result.added })}</li>
+            <li>{t('import.updated', { count: result.updated })}</li>
+            <li>{t('import.unchanged', { count: result.unchanged })}</li>
+            <li>{t('import.skipped', { count: result.skipped })}</li>
+            {result.failed > 0 && (
+              <li className="text-red-600">{t('import.failed', { count: result.failed })}</li>
+            )}
+          </ul>
+          <div className="flex justify-end">
+            <button
+              onClick={onClose}
+              className={`${footerButton} bg-blue-600 text-white hover:bg-blue-700`}
+            >
+              {t('import.done')}
+            </button>
+          </div>
+        </div>
+      )}
+    </Dialog>
+  );
+});
+
+export { ExportMenu, ImportWizard };
@@ -0,0 +1,53 @@
+import React, { useEffect } from 'react';
+import { reorderThresholdFor, isLowStock } from '../productQuery';
+import { useProducts, useNotifications, useLocale, useRouter } from '../hooks';
+
+/* ========= Inventory Alerts ========= */
+const INVENTORY_ALERT_DURATION = 10000;
+
+// Warns when a change drops products to or below their reorder threshold. Loads and
+// threshold edits don't count: only products whose own record changed are compared.
+const InventoryAlerts = () => {
+  const { products, loading, categoryThresholds } = useProducts();
+  const { addNotification } = useNotifications();
+  const { navigate } = useRouter();
+  const { t } = useLocale();
+  const previous = React.useRef(null);
+
+  useEffect(() => {
+    if (loading) {
+      previous.current = null;
+      return;
+    }
+    const before = previous.current;
+    previous.current = new Map(products.map(p => [p.id, p]));
+    if (!before) return;
+
+    const dropped = products.filter(p => {
+      const old = before.get(p.id);
+      return (
+        old &&
+        old !== p &&
+        !isLowStock(old, categoryThresholds) &&
+        isLowStock(p, categoryThresholds)
+      );
+    });
+    if (!dropped.length) return;
+
+    const [first] = dropped;
+    const threshold = reorderThresholdFor(first, categoryThresholds);
+    addNotification({
+      type: 'warning',
+      message:
+        dropped.length === 1
+          ? t('inventory.alertOne', { name: first.name, stock: first.stock, threshold })
+          : t('inventory.alertMany', { count: dropped.length }),
+      actions: [{ label: t('inventory.view'), onClick: () => navigate('/inventory') }],
+      duration: INVENTORY_ALERT_DURATION
+    });
+  }, [products, loading, categoryThresholds, addNotification, navigate, t]);
+
+  return null;
+};
+
+export { InventoryAlerts };
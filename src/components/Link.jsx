@@ -0,0 +1,23 @@
+import React from 'react';
+import { useRouter } from '../hooks';
+
+/* ========= Link ========= */
+const Link = ({ to, onClick, children, ...rest }) => {
+  const { navigate } = useRouter();
+
+  const handleClick = e => {
+    onClick?.(e);
+    // Let the browser handle new-tab/window clicks
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+};
+
+export { Link };
@@ -0,0 +1,172 @@
+import React, { useState, memo } from 'react';
+import { AlertCircle, CheckCircle, X, AlertTriangle, Info, Bell } from 'lucide-react';
+import { useNotifications, useLocale } from '../hooks';
+
+/* ========= Notifications UI ========= */
+const NOTIFICATION_ICONS = {
+  success: CheckCircle,
+  error: AlertCircle,
+  warning: AlertTriangle,
+  info: Info
+};
+
+const NOTIFICATION_COLORS = {
+  success: 'bg-green-100 text-green-800',
+  error: 'bg-red-100 text-red-800',
+  warning: 'bg-yellow-100 text-yellow-800',
+  info: 'bg-blue-100 text-blue-800'
+};
+
+const NotificationIcon = ({ type, className = 'w-5 h-5' }) => {
+  const Icon = NOTIFICATION_ICONS[type] || Info;
+  return <Icon className={className} aria-hidden="true" />;
+};
+
+// The live region is always mounted so screen readers pick up toasts as they're added;
+// errors are announced assertively
+const NotificationContainer = memo(() => {
+  const { notifications, queuedCount, removeNotification, pauseNotification, resumeNotification } =
+    useNotifications();
+  const { t, formatNumber } = useLocale();
+
+  return (
+    <div
+      role="region"
+      aria-label={t('notifications.region')}
+      aria-live="polite"
+      className="fixed top-4 right-4 z-50 space-y-2"
+    >
+      {notifications.map(n => (
+        <div
+          key={n.id}
+          role={n.type === 'error' ? 'alert' : 'status'}
+          onMouseEnter={() => pauseNotification(n.id)}
+          onMouseLeave={() => resumeNotification(n.id)}
+          onFocus={() => pauseNotification(n.id)}
+          onBlur={() => resumeNotification(n.id)}
+          className={`p-4 rounded-lg shadow-lg flex items-center space-x-3 min-w-80 ${
+            NOTIFICATION_COLORS[n.type] || NOTIFICATION_COLORS.info
+          }`}
+        >
+          <NotificationIcon type={n.type} />
+          <span className="flex-1">{n.message}</span>
+          {n.count > 1 && (
+            <span
+              title={t('notifications.repeated', { count: n.count })}
+              className="text-xs font-semibold px-1.5 py-0.5 rounded-full bg-white bg-opacity-60"
+            >
+              ×{formatNumber(n.count)}
+            </span>
+          )}
+          {n.actions.map(action => (
+            <button
+              key={action.label}
+              onClick={() => {
+                removeNotification(n.id);
+                action.onClick();
+              }}
+              className="text-sm font-semibold underline"
+            >
+              {action.label}
+            </button>
+          ))}
+          <button onClick={() => removeNotification(n.id)} aria-label={t('notifications.dismiss')}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      {queuedCount > 0 && (
+        <p className="text-xs text-right text-gray-600">
+          {t('notifications.more', { count: queuedCount })}
+        </p>
+      )}
+    </div>
+  );
+});
+
+// Bell in the header; its panel lists past notifications, newest first. Dismissing or acting
+// on a toast marks it read, one that just timed out stays unread.
+const NotificationCenter = memo(() => {
+  const {
+    history,
+    unreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    clearNotificationHistory
+  } = useNotifications();
+  const { t, formatNumber, formatDateTime } = useLocale();
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative" onKeyDown={e => e.key === 'Escape' && setOpen(false)}>
+      <button
+        onClick={() => setOpen(o => !o)}
+        aria-label={t('notifications.center', { count: unreadCount })}
+        aria-expanded={open}
+        className="relative p-1 text-gray-600 hover:text-gray-900"
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-4 px-1 text-[10px] leading-4 text-center text-white bg-red-600 rounded-full">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white border rounded-md shadow-lg z-30">
+          <div className="flex items-center justify-between px-4 py-2 border-b">
+            <h2 className="text-sm font-semibold text-gray-700">{t('notifications.title')}</h2>
+            <div className="space-x-3 text-xs">
+              <button
+                onClick={markAllNotificationsRead}
+                disabled={!unreadCount}
+                className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+              >
+                {t('notifications.markAllRead')}
+              </button>
+              <button
+                onClick={clearNotificationHistory}
+                disabled={!history.length}
+                className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+              >
+                {t('notifications.clear')}
+              </button>
+            </div>
+          </div>
+          {history.length ? (
+            <ul className="max-h-96 overflow-y-auto divide-y">
+              {history.map(entry => (
+                <li key={entry.id}>
+                  <button
+                    onClick={() => markNotificationRead(entry.id)}
+                    className={`w-full text-left px-4 py-2 flex items-start space-x-2 text-sm hover:bg-gray-50 ${
+                      entry.read ? 'text-gray-500' : 'text-gray-800 bg-blue-50'
+                    }`}
+                  >
+                    <NotificationIcon type={entry.type} className="w-4 h-4 mt-0.5 shrink-0" />
+                    <span className="flex-1">
+                      <span className="block">
+                        {entry.message}
+                        {entry.count > 1 && ` (×${formatNumber(entry.count)})`}
+                      </span>
+                      <span className="block text-xs text-gray-400">
+                        {formatDateTime(entry.at)}
+                      </span>
+                    </span>
+                    {!entry.read && <span className="sr-only">{t('notifications.unread')}</span>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">
+              {t('notifications.empty')}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export { NotificationContainer, NotificationCenter };
@@ -0,0 +1,113 @@
+import React from 'react';
+import { act, screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import { useNotifications } from '../hooks';
+import { renderWithNotifications } from '../testUtils';
+import { NotificationContainer, NotificationCenter } from './Notifications';
+
+// NotificationProvider's default duration
+const DURATION = 5000;
+
+const Notify = ({ notification }) => {
+  const { addNotification } = useNotifications();
+  return <button onClick={() => addNotification(notification)}>Notify</button>;
+};
+
+const renderToasts = notification =>
+  renderWithNotifications(
+    <>
+      <Notify notification={notification} />
+      <NotificationCenter />
+      <NotificationContainer />
+    </>
+  );
+
+const notify = () => fireEvent.click(screen.getByRole('button', { name: 'Notify' }));
+
+const advance = ms => act(() => jest.advanceTimersByTime(ms));
+
+describe('NotificationContainer', () => {
+  it('has no axe violations with toasts showing', async () => {
+    await renderToasts({ type: 'success', message: 'Saved', actions: [{ label: 'Undo' }] });
+    // A repeat shows once, with a count
+    notify();
+    notify();
+    const region = screen.getByRole('region', { name: 'Notifications' });
+    expect(region).toHaveTextContent('Saved');
+    expect(await axe(region)).toHaveNoViolations();
+  });
+
+  it('announces errors assertively and everything else politely', async () => {
+    await renderToasts({ type: 'error', message: 'Could not save' });
+    notify();
+    expect(screen.getByRole('alert')).toHaveTextContent('Could not save');
+    expect(screen.getByRole('region', { name: 'Notifications' })).toHaveAttribute(
+      'aria-live',
+      'polite'
+    );
+  });
+
+  describe('auto-dismiss', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it('dismisses a toast after its duration', async () => {
+      await renderToasts({ message: 'Saved' });
+      notify();
+      advance(DURATION - 1);
+      expect(screen.getByRole('status')).toHaveTextContent('Saved');
+      advance(1);
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    });
+
+    it('holds a toast while the pointer is over it', async () => {
+      await renderToasts({ message: 'Saved' });
+      notify();
+      advance(2000);
+      fireEvent.mouseEnter(screen.getByRole('status'));
+      advance(DURATION * 2);
+      expect(screen.getByRole('status')).toBeInTheDocument();
+
+      fireEvent.mouseLeave(screen.getByRole('status'));
+      advance(DURATION - 2000 - 1);
+      expect(screen.getByRole('status')).toBeInTheDocument();
+      advance(1);
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    });
+
+    it('holds a toast while focus is inside it', async () => {
+      await renderToasts({ message: 'Saved' });
+      notify();
+      const dismiss = screen.getByRole('button', { name: 'Dismiss notification' });
+      act(() => dismiss.focus());
+      advance(DURATION * 2);
+      expect(screen.getByRole('status')).toBeInTheDocument();
+
+      act(() => dismiss.blur());
+      advance(DURATION);
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    });
+
+    it('leaves sticky toasts until they are dismissed', async () => {
+      await renderToasts({ message: 'Offline', sticky: true });
+      notify();
+      advance(DURATION * 2);
+      fireEvent.click(screen.getByRole('button', { name: 'Dismiss notification' }));
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    });
+  });
+});
+
+describe('NotificationCenter', () => {
+  it('closes its panel on Escape', async () => {
+    await renderToasts({ message: 'Saved' });
+    notify();
+    const bell = screen.getByRole('button', { name: /^Notifications/ });
+    fireEvent.click(bell);
+    expect(bell).toHaveAttribute('aria-expanded', 'true');
+    expect(await axe(bell.parentElement)).toHaveNoViolations();
+
+    fireEvent.keyDown(bell, { key: 'Escape' });
+    expect(bell).toHaveAttribute('aria-expanded', 'false');
+  });
+});
@@ -0,0 +1,353 @@
+import React, { useState, useMemo, memo } from 'react';
+import { PRODUCT_CATEGORIES } from '../data/schema';
+import { PRICE_ROUNDINGS, applyPriceRule } from '../data/pricing';
+import { useProducts, useLocale } from '../hooks';
+import { Dialog } from './Dialog';
+
+/* ========= Pricing Tools ========= */
+const PRICE_PREVIEW_LIMIT = 100;
+
+const PROMOTION_DAYS = 7;
+
+// Date <-> the local 'YYYY-MM-DDTHH:mm' a datetime-local input holds
+const toDateTimeInput = date => {
+  const local = new Date(date);
+  local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+  return local.toISOString().slice(0, 16);
+};
+
+const fromDateTimeInput = value => (value ? new Date(value).toISOString() : '');
+
+// Returns { [key]: message } for the rule's inputs, keyed like the inputs
+const validatePricing = (values, mode, t) => {
+  const errors = {};
+  const amount = Number(values.amount);
+  if (values.amount.trim() === '' || !Number.isFinite(amount) || amount === 0) {
+    errors.amount = t('pricing.amountRequired');
+  } else if (values.kind === 'percent' && amount <= -100) {
+    errors.amount = t('pricing.percentTooLow');
+  } else if (mode === 'promotion' && amount > 0) {
+    errors.amount = t('pricing.promotionRaises');
+  }
+  ['min', 'max'].forEach(key => {
+    if (values[key] !== '' && !(Number(values[key]) >= 0)) {
+      errors[key] = t('validation.min', { field: t(`pricing.${key}`), min: 0 });
+    }
+  });
+  if (!errors.min && !errors.max && values.min !== '' && values.max !== '') {
+    if (Number(values.min) > Number(values.max)) errors.max = t('pricing.minAboveMax');
+  }
+  if (mode === 'promotion') {
+    const starts = Date.parse(fromDateTimeInput(values.startsAt));
+    const ends = Date.parse(fromDateTimeInput(values.endsAt));
+    if (!(starts < ends)) errors.endsAt = t('validation.promotionDates');
+    else if (ends <= Date.now()) errors.endsAt = t('pricing.endsInPast');
+  }
+  return errors;
+};
+
+// Changes prices now, or schedules a promotion, for the filtered products, the selection
+// or a category. Amounts are entered and previewed in the display currency.
+const PricingDialog = memo(({ filteredProducts, selectedIds, onApply, onClose }) => {
+  const { products } = useProducts();
+  const { t, currency, locale, priceDecimals, formatNumber, toDisplayPrice, fromDisplayPrice } =
+    useLocale();
+  const [mode, setMode] = useState('change');
+  const [scope, setScope] = useState('filtered');
+  const [values, setValues] = useState(() => ({
+    kind: 'percent',
+    amount: '',
+    rounding: 'none',
+    min: '',
+    max: '',
+    startsAt: toDateTimeInput(Date.now()),
+    endsAt: toDateTimeInput(Date.now() + PROMOTION_DAYS * 24 * 60 * 60 * 1000)
+  }));
+  const set = key => e => setValues(prev => ({ ...prev, [key]: e.target.value }));
+
+  const categories = useMemo(
+    () =>
+      PRODUCT_CATEGORIES.map(c => ({ value: c, label: t(`category.${c}`) })).sort((a, b) =>
+        a.label.localeCompare(b.label, locale)
+      ),
+    [t, locale]
+  );
+
+  const targets = useMemo(() => {
+    if (scope === 'filtered') return filteredProducts;
+    if (scope === 'selected') return products.filter(p => selectedIds.has(p.id));
+    return products.filter(p => p.category === scope);
+  }, [scope, filteredProducts, products, selectedIds]);
+
+  const errors = validatePricing(values, mode, t);
+  const valid = !Object.keys(errors).length;
+
+  // Each target's old and new display price, plus the fields its update sets. Promotions
+  // skip products they wouldn't make cheaper; price changes move variant prices too.
+  const preview = useMemo(() => {
+    if (!valid) return [];
+    const rule = {
+      kind: values.kind,
+      amount: Number(values.amount),
+      rounding: values.rounding,
+      min: values.min === '' ? undefined : Number(values.min),
+      max: values.max === '' ? undefined : Number(values.max)
+    };
+    const reprice = amount => {
+      const current = toDisplayPrice(amount);
+      return { current, ...applyPriceRule(current, rule, priceDecimals) };
+    };
+    const startsAt = fromDateTimeInput(values.startsAt);
+    const endsAt = fromDateTimeInput(values.endsAt);
+
+    return targets.map(product => {
+      const { current, price, limited, held } = reprice(product.price);
+      if (mode === 'promotion') {
+        const changes =
+          price < current
+            ? { promotion: { price: fromDisplayPrice(price), startsAt, endsAt } }
+            : null;
+        return { product, current, price, limited, held, changes };
+      }
+      const variants = (product.variants || []).map(variant =>
+        variant.price == null || variant.price === ''
+          ? variant
+          : { ...variant, price: fromDisplayPrice(reprice(variant.price).price) }
+      );
+      const changed =
+        price !== current || variants.some((v, i) => v.price !== product.variants[i].price);
+      const changes = changed ? { price: fromDisplayPrice(price), variants } : null;
+      return { product, current, price, limited, held, changes };
+    });
+  }, [valid, values, mode, targets, priceDecimals, toDisplayPrice, fromDisplayPrice]);
+
+  const changing = preview.filter(row => row.changes);
+  const limitedCount = changing.filter(row => row.limited).length;
+  const heldCount = preview.filter(row => row.held).length;
+  const formatAmount = amount => formatNumber(amount, { style: 'currency', currency });
+
+  const handleApply = () => {
+    const updates = new Map(changing.map(row => [row.product.id, row.changes]));
+    onApply(t(mode === 'promotion' ? 'pricing.promotionLabel' : 'pricing.changeLabel'), updates, {
+      source: mode === 'promotion' ? 'promotion' : 'pricing'
+    });
+    onClose();
+  };
+
+  const controlClass = 'w-full px-3 py-2 border rounded-md';
+  const field = (key, label, input) => (
+    <label className="text-sm">
+      <span className="block font-medium text-gray-700 mb-1">{label}</span>
+      {input}
+      {errors[key] && values[key] !== '' && (
+        <span className="block text-red-600 mt-1">{errors[key]}</span>
+      )}
+    </label>
+  );
+  const inputProps = key => ({
+    value: values[key],
+    onChange: set(key),
+    'aria-invalid': !!errors[key] && values[key] !== '',
+    className: `${controlClass} ${
+      errors[key] && values[key] !== '' ? 'border-red-500' : 'border-gray-300'
+    }`
+  });
+
+  return (
+    <Dialog title={t('pricing.title')} onClose={onClose} className="max-w-3xl">
+      <div className="space-y-4">
+        <div
+          role="radiogroup"
+          className="flex border border-gray-300 rounded-md overflow-hidden w-fit"
+        >
+          {['change', 'promotion'].map(key => (
+            <button
+              key={key}
+              role="radio"
+              aria-checked={mode === key}
+              onClick={() => setMode(key)}
+              className={`px-4 py-2 text-sm ${
+                mode === key ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {t(`pricing.mode.${key}`)}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          {field(
+            'scope',
+            t('pricing.scope'),
+            <select
+              value={scope}
+              onChange={e => setScope(e.target.value)}
+              className={`${controlClass} border-gray-300`}
+            >
+              <option value="filtered">
+                {t('pricing.scopeFiltered', { count: filteredProducts.length })}
+              </option>
+              {selectedIds.size > 0 && (
+                <option value="selected">
+                  {t('pricing.scopeSelected', { count: selectedIds.size })}
+                </option>
+              )}
+              {categories.map(c => (
+                <option key={c.value} value={c.value}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          )}
+          {field(
+            'kind',
+            t('pricing.kind'),
+            <select
+              value={values.kind}
+              onChange={set('kind')}
+              className={`${controlClass} border-gray-300`}
+            >
+              <option value="percent">{t('pricing.kind.percent')}</option>
+              <option value="fixed">{t('pricing.kind.fixed', { currency })}</option>
+            </select>
+          )}
+          {field(
+            'amount',
+            values.kind === 'percent'
+              ? t('pricing.amountPercent')
+              : t('pricing.amountFixed', { currency }),
+            <input
+              type="number"
+              step={values.kind === 'percent' ? '1' : '0.01'}
+              placeholder="-10"
+              {...inputProps('amount')}
+            />
+          )}
+          {field(
+            'rounding',
+            t('pricing.rounding'),
+            <select
+              value={values.rounding}
+              onChange={set('rounding')}
+              className={`${controlClass} border-gray-300`}
+            >
+              {PRICE_ROUNDINGS.filter(r => r !== 'ninetyNine' || priceDecimals > 0).map(r => (
+                <option key={r} value={r}>
+                  {t(`pricing.rounding.${r}`)}
+                </option>
+              ))}
+            </select>
+          )}
+          {field(
+            'min',
+            t('pricing.minIn', { currency }),
+            <input type="number" min="0" step="0.01" {...inputProps('min')} />
+          )}
+          {field(
+            'max',
+            t('pricing.maxIn', { currency }),
+            <input type="number" min="0" step="0.01" {...inputProps('max')} />
+          )}
+          {mode === 'promotion' && (
+            <>
+              {field(
+                'startsAt',
+                t('pricing.startsAt'),
+                <input type="datetime-local" {...inputProps('startsAt')} />
+              )}
+              {field(
+                'endsAt',
+                t('pricing.endsAt'),
+                <input type="datetime-local" {...inputProps('endsAt')} />
+              )}
+            </>
+          )}
+        </div>
+
+        {valid && (
+          <div className="space-y-2">
+            <p className="text-sm text-gray-600">
+              {t('pricing.summary', { count: changing.length, total: targets.length })}
+              {limitedCount > 0 && ` ${t('pricing.limited', { count: limitedCount })}`}
+              {heldCount > 0 && ` ${t('pricing.held', { count: heldCount })}`}
+              {mode === 'promotion' &&
+                changing.some(row => row.product.promotion) &&
+                ` ${t('pricing.replacesPromotion')}`}
+            </p>
+            {changing.length > 0 && (
+              <div className="max-h-72 overflow-y-auto border rounded-md">
+                <table className="w-full text-sm">
+                  <thead className="sticky top-0 bg-gray-50 text-left text-gray-600">
+                    <tr>
+                      <th scope="col" className="px-3 py-2 font-medium">
+                        {t('field.name')}
+                      </th>
+                      <th scope="col" className="px-3 py-2 font-medium text-right">
+                        {t('pricing.current')}
+                      </th>
+                      <th scope="col" className="px-3 py-2 font-medium text-right">
+                        {t(mode === 'promotion' ? 'pricing.sale' : 'pricing.new')}
+                      </th>
+                      <th scope="col" className="px-3 py-2 font-medium text-right">
+                        {t('pricing.difference')}
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {changing.slice(0, PRICE_PREVIEW_LIMIT).map(row => (
+                      <tr key={row.product.id}>
+                        <td className="px-3 py-1 truncate max-w-xs">{row.product.name}</td>
+                        <td className="px-3 py-1 text-right text-gray-500">
+                          {formatAmount(row.current)}
+                        </td>
+                        <td className="px-3 py-1 text-right">
+                          {formatAmount(row.price)}
+                          {row.limited && (
+                            <span className="ml-1 text-xs text-yellow-700">
+                              ({t('pricing.guarded')})
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-3 py-1 text-right text-gray-500">
+                          {row.current > 0
+                            ? formatNumber(row.price / row.current - 1, {
+                                style: 'percent',
+                                signDisplay: 'exceptZero',
+                                maximumFractionDigits: 1
+                              })
+                            : '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {changing.length > PRICE_PREVIEW_LIMIT && (
+                  <p className="px-3 py-2 text-sm text-gray-500 border-t">
+                    {t('pricing.more', { count: changing.length - PRICE_PREVIEW_LIMIT })}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button onClick={onClose} className="px-4 py-2 rounded-md bg-gray-200">
+            {t('form.cancel')}
+          </button>
+          <button
+            onClick={handleApply}
+            disabled={!changing.length}
+            className="px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {t(mode === 'promotion' ? 'pricing.schedule' : 'pricing.apply', {
+              count: changing.length
+            })}
+          </button>
+        </div>
+      </div>
+    </Dialog>
+  );
+});
+
+export { PricingDialog };
@@ -0,0 +1,846 @@
+import React, { useState, useEffect, useCallback, useMemo, memo } from 'react';
+import { X, Trash2, Plus, ImagePlus } from 'lucide-react';
+import { ErrorBoundary } from './ErrorBoundary';
+import {
+  productSchema,
+  formFields,
+  FORM_LISTS,
+  parseProduct,
+  validateProduct,
+  nextItemId,
+  emptyProduct
+} from '../data/schema';
+import { reconciledStatus } from '../data/inventory';
+import { isQuotaError } from '../data/storage';
+import { useProducts, useNotifications, useLocale } from '../hooks';
+import { Dialog } from './Dialog';
+import { StoredImage } from './ProductVariants';
+
+/* ========= Product Form Modals ========= */
+const inputClass =
+  'w-full px-3 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const toFormValues = product =>
+  formFields.reduce(
+    (values, field) => ({
+      ...values,
+      [field.key]: product[field.key] == null ? '' : String(product[field.key])
+    }),
+    {}
+  );
+
+// Variants are edited as rows holding one value per option, in the order of `options`,
+// so renaming or removing an option can't mix up the values under the others
+const toVariantRows = (variants, toDisplayPrice) => {
+  const options = [...new Set(variants.flatMap(v => Object.keys(v.attributes || {})))];
+  const rows = variants.map(variant => ({
+    id: variant.id,
+    sku: variant.sku ?? '',
+    values: options.map(name => variant.attributes?.[name] ?? ''),
+    price:
+      variant.price == null || variant.price === '' ? '' : String(toDisplayPrice(variant.price)),
+    stock: String(variant.stock)
+  }));
+  return { options, rows };
+};
+
+const fromVariantRows = ({ options, rows }) =>
+  rows.map(({ values, ...row }) => ({
+    ...row,
+    attributes: Object.fromEntries(options.map((name, i) => [name, values[i]]))
+  }));
+
+// Option names have to be filled in and distinct before the rows can become attributes
+const validateOptions = ({ options, rows }, t) => {
+  if (!rows.length) return null;
+  const names = options.map(name => name.trim().toLowerCase());
+  if (names.some(name => !name)) return t('validation.required', { field: t('variants.option') });
+  if (new Set(names).size < names.length) return t('validation.duplicateOption');
+  return null;
+};
+
+// Form values are strings, or plain objects and arrays for variants and images
+const sameFormValue = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(k => sameFormValue(a[k], b[k]));
+};
+
+const FORM_KEYS = [...formFields.map(f => f.key), ...FORM_LISTS];
+
+const cellInputClass =
+  'w-full px-2 py-1 text-sm border rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Options name what every variant sets (Size, Color) and each row picks a value for each.
+// A row's errors show once any of its inputs has been left.
+const VariantEditor = ({ value, errors, onChange }) => {
+  const { t, currency } = useLocale();
+  const [touched, setTouched] = useState({});
+  const idPrefix = React.useId();
+  const { options, rows } = value;
+  const touch = key => setTouched(prev => (prev[key] ? prev : { ...prev, [key]: true }));
+
+  const addOption = () =>
+    onChange(prev => ({
+      options: [...prev.options, ''],
+      rows: prev.rows.map(row => ({ ...row, values: [...row.values, ''] }))
+    }));
+  const renameOption = (index, name) =>
+    onChange(prev => ({ ...prev, options: prev.options.map((o, i) => (i === index ? name : o)) }));
+  const removeOption = index =>
+    onChange(prev => ({
+      options: prev.options.filter((o, i) => i !== index),
+      rows: prev.rows.map(row => ({ ...row, values: row.values.filter((v, i) => i !== index) }))
+    }));
+
+  const addVariant = () =>
+    onChange(prev => ({
+      ...prev,
+      rows: [
+        ...prev.rows,
+        { id: nextItemId(), sku: '', values: prev.options.map(() => ''), price: '', stock: '0' }
+      ]
+    }));
+  const updateRow = (id, update) =>
+    onChange(prev => ({
+      ...prev,
+      rows: prev.rows.map(row => (row.id === id ? { ...row, ...update(row) } : row))
+    }));
+  const removeVariant = id =>
+    onChange(prev => ({ ...prev, rows: prev.rows.filter(row => row.id !== id) }));
+
+  const optionError = touched.options && errors['variants.options'];
+  const gridStyle = {
+    gridTemplateColumns: `repeat(${options.length}, minmax(0, 1fr)) minmax(0, 1.5fr) 6rem 5rem 2rem`
+  };
+
+  return (
+    <fieldset className="space-y-3">
+      <legend className="block text-sm font-medium text-gray-700 mb-1">
+        {t('field.variants')}
+      </legend>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm text-gray-600">{t('variants.options')}</span>
+        {options.map((name, i) => (
+          <span key={i} className="flex items-center">
+            <input
+              value={name}
+              onChange={e => renameOption(i, e.target.value)}
+              onBlur={() => touch('options')}
+              aria-label={t('variants.optionLabel', { index: i + 1 })}
+              aria-invalid={!!optionError}
+              placeholder={t('variants.optionPlaceholder')}
+              className={`${cellInputClass} w-28 ${
+                optionError ? 'border-red-500' : 'border-gray-300'
+              }`}
+            />
+            <button
+              type="button"
+              onClick={() => removeOption(i)}
+              aria-label={t('variants.removeOption', { name: name || i + 1 })}
+              className="p-1 text-gray-400 hover:text-red-600"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </span>
+        ))}
+        <button type="button" onClick={addOption} className="text-sm text-blue-600 hover:underline">
+          {t('variants.addOption')}
+        </button>
+      </div>
+      {optionError && <p className="text-sm text-red-600">{optionError}</p>}
+
+      {rows.length > 0 && (
+        <div className="space-y-2">
+          <div
+            aria-hidden="true"
+            className="grid gap-2 text-xs font-semibold uppercase text-gray-500"
+            style={gridStyle}
+          >
+            {options.map((name, i) => (
+              <span key={i} className="truncate">
+                {name}
+              </span>
+            ))}
+            <span>{t('field.sku')}</span>
+            <span>{t('field.priceIn', { currency })}</span>
+            <span>{t('field.stock')}</span>
+            <span />
+          </div>
+          {rows.map((row, i) => {
+            const rowErrors = touched[row.id]
+              ? ['attributes', 'sku', 'price', 'stock']
+                  .map(key => errors[`variants.${i}.${key}`])
+                  .filter(Boolean)
+              : [];
+            const errorId = `${idPrefix}-${row.id}-error`;
+            const inputProps = (key, label) => {
+              const invalid = !!(touched[row.id] && errors[`variants.${i}.${key}`]);
+              return {
+                onBlur: () => touch(row.id),
+                'aria-label': t('variants.fieldLabel', { field: label, index: i + 1 }),
+                'aria-invalid': invalid,
+                'aria-describedby': invalid ? errorId : undefined,
+                className: `${cellInputClass} ${invalid ? 'border-red-500' : 'border-gray-300'}`
+              };
+            };
+
+            return (
+              <div key={row.id}>
+                <div className="grid gap-2 items-center" style={gridStyle}>
+                  {options.map((name, j) => (
+                    <input
+                      key={j}
+                      value={row.values[j]}
+                      onChange={e => {
+                        const next = e.target.value;
+                        updateRow(row.id, r => ({
+                          values: r.values.map((v, k) => (k === j ? next : v))
+                        }));
+                      }}
+                      {...inputProps('attributes', name || t('variants.option'))}
+                    />
+                  ))}
+                  <input
+                    value={row.sku}
+                    onChange={e => {
+                      const sku = e.target.value;
+                      updateRow(row.id, () => ({ sku }));
+                    }}
+                    {...inputProps('sku', t('field.sku'))}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={row.price}
+                    placeholder={t('variants.pricePlaceholder')}
+                    onChange={e => {
+                      const price = e.target.value;
+                      updateRow(row.id, () => ({ price }));
+                    }}
+                    {...inputProps('price', t('field.price'))}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={row.stock}
+                    onChange={e => {
+                      const stock = e.target.value;
+                      updateRow(row.id, () => ({ stock }));
+                    }}
+                    {...inputProps('stock', t('field.stock'))}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeVariant(row.id)}
+                    aria-label={t('variants.remove', { index: i + 1 })}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+                {rowErrors.length > 0 && (
+                  <p id={errorId} className="text-sm text-red-600 mt-1">
+                    {rowErrors.join('; ')}
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={addVariant}
+        className="inline-flex items-center space-x-1 text-sm text-blue-600 hover:underline"
+      >
+        <Plus className="w-4 h-4" />
+        <span>{t('variants.add')}</span>
+      </button>
+    </fieldset>
+  );
+};
+
+// Uploads go straight into the image store, which browsers give limited room, so their
+// number and size are capped. Files stay there when an image is removed, since the activity
+// log can bring it back.
+const MAX_PRODUCT_IMAGES = 8;
+
+const MAX_IMAGE_SIZE = 1024 * 1024;
+
+const storeImageFile = async (file, imageStore) => {
+  const id = nextItemId();
+  await imageStore.set(id, file);
+  return { id, name: file.name };
+};
+
+// The first image is the product's cover; clicking a thumbnail previews it
+const ImageGalleryEditor = ({ images, onChange }) => {
+  const { t } = useLocale();
+  const { imageStore } = useProducts();
+  const [problems, setProblems] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = images.find(image => image.id === selectedId) || images[0];
+
+  const handleFiles = async files => {
+    const found = [];
+    const accepted = files.filter(file => {
+      if (!file.type.startsWith('image/')) {
+        found.push(t('images.notImage', { name: file.name }));
+        return false;
+      }
+      if (file.size > MAX_IMAGE_SIZE) {
+        found.push(t('images.tooLarge', { name: file.name, max: '1 MB' }));
+        return false;
+      }
+      return true;
+    });
+    const room = MAX_PRODUCT_IMAGES - images.length;
+    if (accepted.length > room) found.push(t('images.tooMany', { count: MAX_PRODUCT_IMAGES }));
+
+    const results = await Promise.allSettled(
+      accepted.slice(0, room).map(file => storeImageFile(file, imageStore))
+    );
+    const stored = [];
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') stored.push(result.value);
+      else {
+        const key = isQuotaError(result.reason) ? 'images.storageFull' : 'images.saveFailed';
+        found.push(t(key, { name: accepted[i].name }));
+      }
+    });
+    setProblems(found);
+    if (stored.length) onChange(prev => [...prev, ...stored].slice(0, MAX_PRODUCT_IMAGES));
+  };
+
+  const remove = id => onChange(prev => prev.filter(image => image.id !== id));
+  const makeCover = id =>
+    onChange(prev => [...prev.filter(image => image.id === id), ...prev.filter(i => i.id !== id)]);
+
+  return (
+    <fieldset className="space-y-2">
+      <legend className="block text-sm font-medium text-gray-700 mb-1">{t('field.images')}</legend>
+      {selected && (
+        <StoredImage
+          image={selected}
+          alt={selected.name}
+          className="w-full h-48 object-contain bg-gray-50 border rounded-md"
+        />
+      )}
+      {images.length > 0 && (
+        <ul className="flex flex-wrap gap-3">
+          {images.map((image, i) => (
+            <li key={image.id} className="relative">
+              <button
+                type="button"
+                onClick={() => setSelectedId(image.id)}
+                aria-label={t('images.preview', { name: image.name })}
+                aria-pressed={image === selected}
+                className={`block w-16 h-16 border rounded overflow-hidden ${
+                  image === selected ? 'ring-2 ring-blue-500' : ''
+                }`}
+              >
+                <StoredImage image={image} className="w-full h-full object-cover" />
+              </button>
+              {i === 0 && (
+                <span className="absolute bottom-0 inset-x-0 text-[10px] text-center text-white bg-black bg-opacity-50">
+                  {t('images.cover')}
+                </span>
+              )}
+              <button
+                type="button"
+                onClick={() => remove(image.id)}
+                aria-label={t('images.remove', { name: image.name })}
+                className="absolute -top-2 -right-2 p-0.5 bg-white border rounded-full text-gray-500 hover:text-red-600"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex items-center space-x-4">
+        {images.length < MAX_PRODUCT_IMAGES && (
+          <label className="inline-flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 rounded-md cursor-pointer hover:bg-gray-100 focus-within:ring-2 focus-within:ring-blue-500">
+            <ImagePlus className="w-4 h-4" />
+            <span>{t('images.upload')}</span>
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={e => {
+                handleFiles([...e.target.files]);
+                e.target.value = '';
+              }}
+              className="sr-only"
+            />
+          </label>
+        )}
+        {selected && selected !== images[0] && (
+          <button
+            type="button"
+            onClick={() => makeCover(selected.id)}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            {t('images.makeCover')}
+          </button>
+        )}
+      </div>
+      {problems.length > 0 && (
+        <ul role="alert" className="text-sm text-red-600">
+          {problems.map(problem => (
+            <li key={problem}>{problem}</li>
+          ))}
+        </ul>
+      )}
+    </fieldset>
+  );
+};
+
+// The price is shown and edited in the display currency and converted back on save.
+// Edits start from a snapshot of `product`; when `latest` (the live copy, or null once it is
+// deleted) moves past that snapshot, someone else saved in the meantime and the form offers
+// to overwrite their version, merge the two, or discard this one.
+// `draft` is a ref the form keeps its committed state in; when it already holds something
+// (after a crash), the form picks up from there. The form waits for `onSave` to settle
+// before it can be submitted again.
+const ProductFormModal = memo(({ title, submitLabel, product, latest, draft, onSave, onClose }) => {
+  const { t, currency, toDisplayPrice, fromDisplayPrice } = useLocale();
+  const { auditLog } = useProducts();
+  const [base, setBase] = useState(() => draft?.current?.base ?? product);
+  const toDisplayValues = useCallback(
+    source => {
+      const values = toFormValues(source);
+      if (values.price !== '') values.price = String(toDisplayPrice(source.price));
+      return {
+        ...values,
+        variants: toVariantRows(source.variants || [], toDisplayPrice),
+        images: source.images || []
+      };
+    },
+    [toDisplayPrice]
+  );
+  const initialValues = useMemo(() => toDisplayValues(base), [base, toDisplayValues]);
+  const [values, setValues] = useState(() => draft?.current?.values ?? initialValues);
+  const [touched, setTouched] = useState({});
+  const [saving, setSaving] = useState(false);
+  const idPrefix = React.useId();
+
+  useEffect(() => {
+    if (draft) draft.current = { base, values };
+  }, [draft, base, values]);
+
+  const errors = useMemo(() => {
+    const result = validateProduct(
+      { ...base, ...values, variants: fromVariantRows(values.variants) },
+      t
+    );
+    const optionError = validateOptions(values.variants, t);
+    return optionError ? { ...result, 'variants.options': optionError } : result;
+  }, [base, values, t]);
+  const isValid = !Object.keys(errors).length;
+  const isDirty = FORM_KEYS.some(key => !sameFormValue(values[key], initialValues[key]));
+
+  // While saving, the live copy is this form's own optimistic update
+  const conflict =
+    !saving && latest !== undefined && (latest === null || latest.version !== base.version);
+  const theirValues = useMemo(
+    () => (conflict && latest ? toDisplayValues(latest) : null),
+    [conflict, latest, toDisplayValues]
+  );
+  const theirChanges = theirValues
+    ? FORM_KEYS.filter(key => !sameFormValue(theirValues[key], initialValues[key])).map(key => ({
+        key,
+        theirs: theirValues[key],
+        yours: values[key],
+        both:
+          !sameFormValue(values[key], initialValues[key]) &&
+          !sameFormValue(values[key], theirValues[key])
+      }))
+    : [];
+  const changedBy = latest && auditLog.find(entry => entry.productId === latest.id)?.actor;
+
+  // Editing stock moves the status along with it, the same way saves are reconciled
+  const handleChange = (key, value) => {
+    setValues(prev => {
+      const next = { ...prev, [key]: value };
+      if (key !== 'stock' || value === '' || !Number.isFinite(Number(value))) return next;
+      const status = reconciledStatus({
+        status: prev.status,
+        stock: Number(value),
+        price: Number(prev.price)
+      });
+      return { ...next, status };
+    });
+    setTouched(prev => ({ ...prev, [key]: true }));
+  };
+
+  // Variants and images change through updaters, since uploads finish asynchronously.
+  // While there are variants the stock is their total, and the status follows it.
+  const handleListChange = (key, update) =>
+    setValues(prev => {
+      const next = { ...prev, [key]: update(prev[key]) };
+      if (key !== 'variants' || !next.variants.rows.length) return next;
+      const stock = next.variants.rows.reduce((sum, row) => sum + (Number(row.stock) || 0), 0);
+      const status = reconciledStatus({ status: prev.status, stock, price: Number(prev.price) });
+      return { ...next, stock: String(stock), status };
+    });
+
+  // An untouched price keeps its exact base value instead of a round-tripped conversion,
+  // and so does each untouched variant price. The save only goes through if `target` is
+  // still the newest version.
+  const submit = async target => {
+    const parsed = parseProduct({
+      ...target,
+      ...values,
+      variants: fromVariantRows(values.variants)
+    });
+    const price =
+      values.price === initialValues.price ? base.price : fromDisplayPrice(parsed.price);
+    const basePrices = new Map((base.variants || []).map(v => [v.id, v.price]));
+    const initialRows = new Map(initialValues.variants.rows.map(row => [row.id, row.price]));
+    const variants = parsed.variants.map((variant, i) => {
+      if (variant.price === '') return variant;
+      const untouched = values.variants.rows[i].price === initialRows.get(variant.id);
+      return {
+        ...variant,
+        price: untouched ? basePrices.get(variant.id) : fromDisplayPrice(variant.price)
+      };
+    });
+    setSaving(true);
+    try {
+      await onSave({ ...parsed, price, variants }, { expectedVersion: target.version });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = () => {
+    if (isValid && !conflict && !saving) submit(base);
+  };
+
+  // Overwrite: this form wins on every field. Merge: fields edited here keep their values,
+  // the rest take theirs, and the form carries on from their version.
+  const handleOverwrite = () => {
+    if (isValid && !saving) submit(latest);
+  };
+
+  const handleMerge = () => {
+    setValues(prev =>
+      Object.fromEntries(
+        FORM_KEYS.map(key => [
+          key,
+          sameFormValue(prev[key], initialValues[key]) ? theirValues[key] : prev[key]
+        ])
+      )
+    );
+    setBase(latest);
+  };
+
+  const displayFormValue = (key, value) => {
+    if (key === 'variants') return t('variants.count', { count: value.rows.length });
+    if (key === 'images') return t('images.count', { count: value.length });
+    return formFields.find(f => f.key === key).type === 'select' ? t(`${key}.${value}`) : value;
+  };
+
+  const handleClose = () => {
+    if (isDirty && !window.confirm(t('form.discard'))) return;
+    onClose();
+  };
+
+  return (
+    <Dialog title={title} onClose={handleClose} className="max-w-2xl">
+      <form
+        noValidate
+        onSubmit={e => {
+          e.preventDefault();
+          handleSubmit();
+        }}
+        className="space-y-4"
+      >
+        {conflict && (
+          <div
+            role="alert"
+            className="p-3 space-y-3 text-sm border border-amber-300 bg-amber-50 rounded-md"
+          >
+            <p className="font-medium text-amber-900">
+              {latest === null
+                ? t('conflict.deleted')
+                : changedBy
+                ? t('conflict.changedBy', { name: changedBy.name })
+                : t('conflict.changedBySomeone')}
+            </p>
+            {theirChanges.length > 0 && (
+              <table className="w-full text-left">
+                <thead className="text-gray-500">
+                  <tr>
+                    <th scope="col" className="font-normal">
+                      {t('conflict.field')}
+                    </th>
+                    <th scope="col" className="font-normal">
+                      {t('conflict.theirs')}
+                    </th>
+                    <th scope="col" className="font-normal">
+                      {t('conflict.yours')}
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {theirChanges.map(({ key, theirs, yours, both }) => (
+                    <tr key={key}>
+                      <th scope="row" className="font-normal text-gray-700">
+                        {key === 'price' ? t('field.priceIn', { currency }) : t(`field.${key}`)}
+                        {both && (
+                          <span className="ml-1 text-xs text-red-600">({t('conflict.both')})</span>
+                        )}
+                      </th>
+                      <td>{displayFormValue(key, theirs)}</td>
+                      <td>{displayFormValue(key, yours)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {latest && <p className="text-gray-600">{t('conflict.mergeHint')}</p>}
+            <div className="flex flex-wrap gap-2">
+              {latest && (
+                <>
+                  <button
+                    type="button"
+                    onClick={handleOverwrite}
+                    disabled={!isValid}
+                    className="px-3 py-1 bg-amber-600 text-white rounded-md hover:bg-amber-700 disabled:opacity-50"
+                  >
+                    {t('conflict.overwrite')}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleMerge}
+                    className="px-3 py-1 bg-white border border-amber-400 rounded-md hover:bg-amber-100"
+                  >
+                    {t('conflict.merge')}
+                  </button>
+                </>
+              )}
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-3 py-1 bg-white border border-gray-300 rounded-md hover:bg-gray-100"
+              >
+                {t('conflict.discard')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {formFields.map(field => {
+          // Cross-field errors show as soon as any field in the rule has been touched
+          const shown =
+            touched[field.key] ||
+            productSchema.rules.some(r => r.field === field.key && r.fields.some(f => touched[f]));
+          const error = shown && errors[field.key];
+          const className = `${inputClass} ${error ? 'border-red-500' : 'border-gray-300'}`;
+          const inputId = `${idPrefix}-${field.key}`;
+          // Products with variants stock whatever their variants add up to
+          const derived = field.key === 'stock' && values.variants.rows.length > 0;
+          const fieldProps = {
+            id: inputId,
+            value: values[field.key],
+            onChange: e => handleChange(field.key, e.target.value),
+            'aria-required': field.required || undefined,
+            'aria-invalid': !!error,
+            'aria-describedby': error
+              ? `${inputId}-error`
+              : derived
+              ? `${inputId}-hint`
+              : undefined,
+            className
+          };
+
+          return (
+            <div key={field.key}>
+              <label htmlFor={inputId} className="block text-sm font-medium text-gray-700 mb-1">
+                {field.key === 'price' ? t('field.priceIn', { currency }) : t(`field.${field.key}`)}
+              </label>
+              {field.type === 'select' ? (
+                <select {...fieldProps}>
+                  {field.options.map(option => (
+                    <option key={option} value={option}>
+                      {t(`${field.key}.${option}`)}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  {...fieldProps}
+                  type={field.type}
+                  min={field.min}
+                  max={field.max}
+                  step={field.step}
+                  placeholder={field.placeholder && t(`field.${field.key}.placeholder`)}
+                  readOnly={derived}
+                  onBlur={() => setTouched(prev => ({ ...prev, [field.key]: true }))}
+                />
+              )}
+              {derived && !error && (
+                <p id={`${inputId}-hint`} className="text-sm text-gray-500 mt-1">
+                  {t('variants.stockHint')}
+                </p>
+              )}
+              {error && (
+                <p id={`${inputId}-error`} className="text-sm text-red-600 mt-1">
+                  {error}
+                </p>
+              )}
+            </div>
+          );
+        })}
+
+        <VariantEditor
+          value={values.variants}
+          errors={errors}
+          onChange={update => handleListChange('variants', update)}
+        />
+        <ImageGalleryEditor
+          images={values.images}
+          onChange={update => handleListChange('images', update)}
+        />
+
+        <div className="flex space-x-3 pt-4">
+          <button
+            type="submit"
+            disabled={!isValid || conflict || saving}
+            className="flex-1 bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? t('form.saving') : submitLabel}
+          </button>
+          <button
+            type="button"
+            onClick={handleClose}
+            className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-md hover:bg-gray-400"
+          >
+            {t('form.cancel')}
+          </button>
+        </div>
+      </form>
+    </Dialog>
+  );
+});
+
+// Shown when the form crashes: what was typed so far, with ways to get back to it
+const DraftErrorFallback = ({ title, values, onRetry, onClose }) => {
+  const { t, currency } = useLocale();
+  const { addNotification } = useNotifications();
+
+  const copy = () =>
+    navigator.clipboard.writeText(JSON.stringify(values, null, 2)).then(
+      () => addNotification({ type: 'success', message: t('errorBoundary.copied') }),
+      () => {}
+    );
+
+  return (
+    <Dialog title={title} onClose={onClose}>
+      <div role="alert" className="space-y-4">
+        <p className="text-sm text-gray-700">{t('errorBoundary.form')}</p>
+        {values && (
+          <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+            {formFields.map(field => (
+              <React.Fragment key={field.key}>
+                <dt className="text-gray-500">
+                  {field.key === 'price'
+                    ? t('field.priceIn', { currency })
+                    : t(`field.${field.key}`)}
+                </dt>
+                <dd className="text-gray-800 break-words">
+                  {field.type === 'select'
+                    ? t(`${field.key}.${values[field.key]}`)
+                    : values[field.key]}
+                </dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        )}
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={onRetry}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            {t('errorBoundary.tryAgain')}
+          </button>
+          {values && navigator.clipboard && (
+            <button
+              onClick={copy}
+              className="px-4 py-2 bg-white border border-gray-300 rounded-md hover:bg-gray-100"
+            >
+              {t('errorBoundary.copyDraft')}
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-white border border-gray-300 rounded-md hover:bg-gray-100"
+          >
+            {t('errorBoundary.discardDraft')}
+          </button>
+        </div>
+      </div>
+    </Dialog>
+  );
+};
+
+// The draft lives out here, above the boundary, so it survives the form crashing
+const RecoverableProductForm = props => {
+  const draft = React.useRef(null);
+  return (
+    <ErrorBoundary
+      name="modal"
+      fallback={({ reset }) => (
+        <DraftErrorFallback
+          title={props.title}
+          values={draft.current?.values}
+          onRetry={reset}
+          onClose={props.onClose}
+        />
+      )}
+    >
+      <ProductFormModal {...props} draft={draft} />
+    </ErrorBoundary>
+  );
+};
+
+// Watches the live copy of the product so saves by other users surface as a conflict.
+// `product` may be an edit that didn't save, opened again on top of an older version.
+// `onSave` reports failures itself.
+const ProductEditModal = memo(({ product, onSave, onClose }) => {
+  const { t } = useLocale();
+  const { products } = useProducts();
+  const latest = products.find(p => p.id === product.id) ?? null;
+
+  return (
+    <RecoverableProductForm
+      title={t('form.editTitle')}
+      submitLabel={t('form.save')}
+      product={product}
+      latest={latest}
+      onSave={onSave}
+      onClose={onClose}
+    />
+  );
+});
+
+const ProductCreateModal = memo(({ onSave, onClose }) => {
+  const { t } = useLocale();
+  return (
+    <RecoverableProductForm
+      title={t('form.addTitle')}
+      submitLabel={t('form.add')}
+      product={emptyProduct}
+      onSave={onSave}
+      onClose={onClose}
+    />
+  );
+});
+
+export { inputClass, ProductEditModal, ProductCreateModal };
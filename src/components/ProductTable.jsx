@@ -0,0 +1,219 @@
+import React, { useState, memo } from 'react';
+import { Edit, Trash2, ArrowUp, ArrowDown, ArrowUpDown, Columns } from 'lucide-react';
+import { sortByKeys } from '../productQuery';
+import { ONE_DECIMAL } from '../i18n/locale';
+import { productPath } from '../contexts/RouterProvider';
+import { useAuth, useLocale } from '../hooks';
+import { Link } from './Link';
+import { hasVariantDetails, ProductPrice, ExpandToggle } from './ProductVariants';
+import { PRODUCT_COLUMNS, numericKeysOf } from '../data/columns';
+
+/* ========= Product Table ========= */
+const TABLE_ROW_HEIGHT = 48;
+
+const STATUS_COLORS = {
+  active: 'bg-green-100 text-green-800',
+  inactive: 'bg-gray-100 text-gray-800',
+  'out-of-stock': 'bg-red-100 text-red-800'
+};
+
+// Cells render with the locale context, by the column's own render or else the one here for
+// its key; the rest show the raw value, with numbers formatted for the locale
+const COLUMN_RENDERERS = {
+  name: p => (
+    <Link to={productPath(p.id)} className="hover:underline">
+      {p.name}
+    </Link>
+  ),
+  category: (p, { t }) => t(`category.${p.category}`),
+  price: p => <ProductPrice product={p} />,
+  rating: (p, { formatNumber }) => `★ ${formatNumber(p.rating, ONE_DECIMAL)}`,
+  status: (p, { t }) => (
+    <span className={`px-2 py-1 rounded-full text-xs ${STATUS_COLORS[p.status] || ''}`}>
+      {t(`status.${p.status}`)}
+    </span>
+  )
+};
+
+const renderCell = (column, row, locale) => {
+  const render = column.render || COLUMN_RENDERERS[column.key];
+  if (render) return render(row, locale);
+  return column.numeric ? locale.formatNumber(row[column.key]) : row[column.key];
+};
+
+const gridTemplate = columns => `40px ${columns.map(c => c.width).join(' ')} 88px`;
+
+// Shift-click adds/toggles a secondary key; a plain click makes the column the only key.
+// Each key cycles asc -> desc -> off.
+const toggleSort = (sort, key, multi) => {
+  const current = sort.find(s => s.key === key);
+  const next = !current ? { key, dir: 'asc' } : current.dir === 'asc' ? { key, dir: 'desc' } : null;
+
+  if (!multi) return next ? [next] : [];
+  if (!current) return [...sort, next];
+  return next ? sort.map(s => (s.key === key ? next : s)) : sort.filter(s => s.key !== key);
+};
+
+// Numeric columns compare as numbers, the rest with a locale-aware natural order
+const sortProducts = (products, sort, columns = PRODUCT_COLUMNS) =>
+  sortByKeys(products, sort, numericKeysOf(columns));
+
+const ProductTableHeader = memo(({ columns, sort, onSort }) => {
+  const { t } = useLocale();
+
+  return (
+    <div
+      className="grid items-center px-4 h-10 border-b bg-gray-50 text-xs font-semibold uppercase text-gray-500"
+      style={{ gridTemplateColumns: gridTemplate(columns) }}
+    >
+      <span />
+      {columns.map(column => {
+        const position = sort.findIndex(s => s.key === column.key);
+        const active = sort[position];
+        const Icon = !active ? ArrowUpDown : active.dir === 'asc' ? ArrowUp : ArrowDown;
+
+        return (
+          <button
+            key={column.key}
+            onClick={e => onSort(column.key, e.shiftKey)}
+            title={t('table.sortHint')}
+            className={`flex items-center space-x-1 uppercase ${
+              column.numeric ? 'justify-end' : ''
+            } ${active ? 'text-blue-700' : 'hover:text-gray-700'}`}
+          >
+            <span>{t(column.labelKey)}</span>
+            <Icon className="w-3 h-3" />
+            {active && sort.length > 1 && <span>{position + 1}</span>}
+          </button>
+        );
+      })}
+      <span className="text-right">{t('table.actions')}</span>
+    </div>
+  );
+});
+
+const ProductTableRow = memo(
+  ({
+    product,
+    columns,
+    index,
+    selected,
+    expanded,
+    onToggleExpand,
+    onToggleSelect,
+    onEdit,
+    onDelete
+  }) => {
+    const { can } = useAuth();
+    const locale = useLocale();
+    const { t } = locale;
+
+    return (
+      <div
+        className={`grid items-center px-4 border-b text-sm text-gray-700 hover:bg-gray-50 ${
+          selected ? 'bg-blue-50' : ''
+        }`}
+        style={{ gridTemplateColumns: gridTemplate(columns), height: TABLE_ROW_HEIGHT }}
+      >
+        {onToggleSelect && can('product:bulk-edit') ? (
+          <input
+            type="checkbox"
+            checked={selected}
+            aria-label={t('product.select', { name: product.name })}
+            onChange={e => onToggleSelect(product.id, index, e.nativeEvent.shiftKey)}
+            className="w-4 h-4"
+          />
+        ) : (
+          <span />
+        )}
+        {columns.map(column => (
+          <div
+            key={column.key}
+            className={`truncate pr-2 ${column.numeric ? 'text-right' : ''} ${
+              column.key === 'name' ? 'font-medium text-gray-800' : ''
+            }`}
+          >
+            {renderCell(column, product, locale)}
+          </div>
+        ))}
+        <div className="flex justify-end space-x-1">
+          {onToggleExpand && hasVariantDetails(product) && (
+            <ExpandToggle product={product} expanded={expanded} onToggle={onToggleExpand} />
+          )}
+          {onEdit && can('product:edit') && (
+            <button
+              onClick={() => onEdit(product)}
+              aria-label={t('product.edit', { name: product.name })}
+              className="p-1 text-blue-600 hover:bg-blue-50 rounded"
+            >
+              <Edit className="w-4 h-4" />
+            </button>
+          )}
+          {onDelete && can('product:delete') && (
+            <button
+              onClick={() => onDelete(product.id)}
+              aria-label={t('product.delete', { name: product.name })}
+              className="p-1 text-red-600 hover:bg-red-50 rounded"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+);
+
+const ColumnPicker = memo(({ visibleColumns, onChange }) => {
+  const { t } = useLocale();
+  const [open, setOpen] = useState(false);
+
+  const toggle = key =>
+    onChange(
+      visibleColumns.includes(key)
+        ? visibleColumns.filter(k => k !== key)
+        : PRODUCT_COLUMNS.map(c => c.key).filter(k => k === key || visibleColumns.includes(k))
+    );
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        aria-expanded={open}
+        className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100 flex items-center space-x-1"
+      >
+        <Columns className="w-4 h-4" />
+        <span>{t('table.columns')}</span>
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-44 bg-white border rounded-md shadow-lg z-20 p-2">
+          {PRODUCT_COLUMNS.map(column => {
+            const checked = visibleColumns.includes(column.key);
+            return (
+              <label key={column.key} className="flex items-center space-x-2 text-sm py-1">
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  // Keep at least one column visible
+                  disabled={checked && visibleColumns.length === 1}
+                  onChange={() => toggle(column.key)}
+                />
+                <span>{t(column.labelKey)}</span>
+              </label>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export {
+  TABLE_ROW_HEIGHT,
+  STATUS_COLORS,
+  toggleSort,
+  sortProducts,
+  ProductTableHeader,
+  ProductTableRow,
+  ColumnPicker
+};
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { salePrice } from '../data/pricing';
+import { useProducts, useLocale, useErrorReporting } from '../hooks';
+import { Dialog } from './Dialog';
+import { useActivePromotion } from './Promotions';
+
+/* ========= Variants and Images ========= */
+// A blank variant price means the product's own
+const variantPrice = (product, variant) =>
+  variant.price == null || variant.price === '' ? product.price : Number(variant.price);
+
+const variantLabel = variant => Object.values(variant.attributes || {}).join(' / ');
+
+const hasVariantDetails = product => product.variants?.length > 0 || product.images?.length > 0;
+
+const variantPanelId = id => `product-variants-${id}`;
+
+// One price, or the range the variants span; during a promotion the regular price is
+// struck through before the sale price
+const ProductPrice = ({ product }) => {
+  const { t, formatPrice } = useLocale();
+  const promotion = useActivePromotion(product);
+  const prices = product.variants?.length
+    ? product.variants.map(variant => variantPrice(product, variant))
+    : [product.price];
+  const format = amounts => {
+    const min = Math.min(...amounts);
+    const max = Math.max(...amounts);
+    return min === max
+      ? formatPrice(min)
+      : t('product.priceRange', { min: formatPrice(min), max: formatPrice(max) });
+  };
+  if (!promotion) return format(prices);
+
+  return (
+    <>
+      <span className="sr-only">{t('promotion.regularPrice')}</span>
+      <s className="mr-1 font-normal text-gray-400">{format(prices)}</s>
+      <span className="sr-only">{t('promotion.salePrice')}</span>
+      <span className="text-red-600">
+        {format(prices.map(price => salePrice(product, promotion, price)))}
+      </span>
+    </>
+  );
+};
+
+const ExpandToggle = ({ product, expanded, onToggle }) => {
+  const { t } = useLocale();
+  const Icon = expanded ? ChevronDown : ChevronRight;
+  return (
+    <button
+      onClick={() => onToggle(product.id)}
+      aria-expanded={expanded}
+      aria-controls={expanded ? variantPanelId(product.id) : undefined}
+      aria-label={t(expanded ? 'product.hideVariants' : 'product.showVariants', {
+        name: product.name
+      })}
+      className="p-1 text-gray-500 hover:bg-gray-100 rounded"
+    >
+      <Icon className="w-4 h-4" />
+    </button>
+  );
+};
+
+// An object URL for an image in the image store, revoked when it is no longer shown. Images
+// saved inline by earlier versions still carry their data URL until the catalog next loads.
+const useImageUrl = image => {
+  const { imageStore } = useProducts();
+  const { report } = useErrorReporting();
+  const [url, setUrl] = useState(null);
+  const { id, src } = image;
+
+  useEffect(() => {
+    if (src || !imageStore) return undefined;
+    let objectUrl = null;
+    let cancelled = false;
+    imageStore
+      .get(id)
+      .then(blob => {
+        if (cancelled || !blob) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(err => report(err, { context: { operation: 'load image', id } }));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      setUrl(null);
+    };
+  }, [imageStore, id, src, report]);
+
+  return src || url;
+};
+
+// Blank while the file loads, or if it is gone
+const StoredImage = ({ image, alt = '', className }) => {
+  const url = useImageUrl(image);
+  return <img src={url || undefined} alt={alt} className={className} />;
+};
+
+// A product's images and variants, under its row in the list and on its detail page
+const ProductVariants = ({ product, className = '' }) => {
+  const { t, formatNumber, formatPrice } = useLocale();
+  const promotion = useActivePromotion(product);
+  const [preview, setPreview] = useState(null);
+  const variants = product.variants || [];
+  const images = product.images || [];
+
+  return (
+    <div id={variantPanelId(product.id)} className={`space-y-3 text-sm ${className}`}>
+      {images.length > 0 && (
+        <ul className="flex flex-wrap gap-2" aria-label={t('field.images')}>
+          {images.map(image => (
+            <li key={image.id}>
+              <button
+                onClick={() => setPreview(image)}
+                aria-label={t('images.preview', { name: image.name })}
+                className="block w-16 h-16 border rounded overflow-hidden hover:ring-2 hover:ring-blue-400"
+              >
+                <StoredImage image={image} className="w-full h-full object-cover" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {variants.length > 0 && (
+        <table className="w-full text-left">
+          <thead className="text-xs uppercase text-gray-500">
+            <tr>
+              <th scope="col" className="py-1 font-semibold">
+                {t('field.sku')}
+              </th>
+              <th scope="col" className="font-semibold">
+                {t('variants.options')}
+              </th>
+              <th scope="col" className="font-semibold text-right">
+                {t('field.price')}
+              </th>
+              <th scope="col" className="font-semibold text-right">
+                {t('field.stock')}
+              </th>
+            </tr>
+          </thead>
+          <tbody className="divide-y text-gray-700">
+            {variants.map(variant => (
+              <tr key={variant.id}>
+                <td className="py-1 font-mono text-xs">{variant.sku || '—'}</td>
+                <td>{variantLabel(variant)}</td>
+                <td className={`text-right ${promotion ? 'text-red-600' : ''}`}>
+                  {formatPrice(
+                    promotion
+                      ? salePrice(product, promotion, variantPrice(product, variant))
+                      : variantPrice(product, variant)
+                  )}
+                </td>
+                <td className={`text-right ${variant.stock === 0 ? 'text-red-600' : ''}`}>
+                  {variant.stock === 0 ? t('variants.soldOut') : formatNumber(variant.stock)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {preview && (
+        <Dialog title={preview.name} onClose={() => setPreview(null)} className="max-w-3xl">
+          <StoredImage image={preview} alt={preview.name} className="max-h-[70vh] mx-auto" />
+        </Dialog>
+      )}
+    </div>
+  );
+};
+
+export {
+  variantLabel,
+  hasVariantDetails,
+  ProductPrice,
+  ExpandToggle,
+  StoredImage,
+  ProductVariants
+};
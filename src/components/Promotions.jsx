@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { promotionStatus, activePromotion } from '../productQuery';
+import { MAX_TIMER_DELAY } from '../data/pricing';
+import { useAuth, useLocale } from '../hooks';
+
+/* ========= Promotions ========= */
+// The product's running promotion, if any. Re-renders when it starts or ends, which is how
+// prices go back to normal without anyone saving the product.
+const useActivePromotion = product => {
+  const [tick, setTick] = useState(0);
+  const { promotion } = product;
+
+  useEffect(() => {
+    if (!promotion) return undefined;
+    const now = Date.now();
+    const next = [promotion.startsAt, promotion.endsAt].map(Date.parse).find(at => at > now);
+    if (next === undefined) return undefined;
+    const timer = setTimeout(() => setTick(n => n + 1), Math.min(next - now, MAX_TIMER_DELAY));
+    return () => clearTimeout(timer);
+  }, [promotion, tick]);
+
+  return activePromotion(product);
+};
+
+const PromotionBadge = ({ product }) => {
+  const { t, formatNumber } = useLocale();
+  const promotion = useActivePromotion(product);
+  if (!promotion) return null;
+  return (
+    <span className="px-2 py-1 rounded-full text-xs bg-red-100 text-red-800">
+      {t('promotion.badge', {
+        percent: formatNumber(1 - promotion.price / product.price, { style: 'percent' })
+      })}
+    </span>
+  );
+};
+
+const PROMOTION_STYLES = {
+  scheduled: 'bg-blue-50 text-blue-800',
+  active: 'bg-red-50 text-red-800',
+  ended: 'bg-gray-50 text-gray-600'
+};
+
+// The product page's note on a scheduled, running or ended promotion
+const PromotionNotice = ({ product, onRemove }) => {
+  const { can } = useAuth();
+  const { t, formatPrice, formatDateTime } = useLocale();
+  useActivePromotion(product);
+  const status = promotionStatus(product.promotion);
+  if (!status) return null;
+
+  const { price, startsAt, endsAt } = product.promotion;
+  return (
+    <div
+      className={`mx-6 mt-6 p-3 rounded-md text-sm flex items-center justify-between ${PROMOTION_STYLES[status]}`}
+    >
+      <span>
+        {t(`promotion.${status}`, {
+          price: formatPrice(price),
+          start: formatDateTime(startsAt),
+          end: formatDateTime(endsAt)
+        })}
+      </span>
+      {can('product:edit') && (
+        <button onClick={onRemove} className="ml-4 underline hover:no-underline">
+          {t(status === 'active' ? 'promotion.end' : 'promotion.remove')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export { useActivePromotion, PromotionBadge, PromotionNotice };
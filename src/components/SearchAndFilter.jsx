@@ -0,0 +1,303 @@
+import React, { useState, useEffect, useMemo, memo } from 'react';
+import { Search, AlertCircle, Trash2, RefreshCw, Bookmark, Star, Share2 } from 'lucide-react';
+import { parseQuery } from '../data/listQuery';
+import {
+  useAuth,
+  useProducts,
+  useNotifications,
+  useLocale,
+  useSavedViews,
+  useDebounce
+} from '../hooks';
+
+/* ========= Search and Filter ========= */
+const SavedViewRow = ({ view, active, pinned, isDefault, own }) => {
+  const { applyView, togglePinned, setDefaultView, updateView, overwriteView, deleteView } =
+    useSavedViews();
+  const { addNotification } = useNotifications();
+  const { t } = useLocale();
+
+  // Only the owner's own actions can throw, if the view was changed in another tab
+  const run = (action, successKey) => {
+    try {
+      action();
+      if (successKey) {
+        addNotification({ type: 'success', message: t(successKey, { name: view.name }) });
+      }
+    } catch (err) {
+      addNotification({ type: 'error', message: err.message });
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(t('views.confirmDelete', { name: view.name }))) return;
+    run(() => deleteView(view.id), 'views.deleted');
+  };
+
+  const iconButton = 'p-1 rounded hover:bg-gray-100';
+  return (
+    <li className="flex items-center px-2 py-1">
+      <button
+        onClick={() => applyView(view.id)}
+        aria-current={active || undefined}
+        className={`flex-1 min-w-0 text-left px-2 py-1 rounded text-sm hover:bg-gray-100 ${
+          active ? 'font-semibold text-blue-700' : 'text-gray-800'
+        }`}
+      >
+        <span className="block truncate">{view.name}</span>
+        {!own && (
+          <span className="block text-xs text-gray-500">
+            {t('views.sharedBy', { name: view.ownerName })}
+          </span>
+        )}
+      </button>
+      <button
+        onClick={() => setDefaultView(view.id)}
+        aria-pressed={isDefault}
+        aria-label={t('views.makeDefault', { name: view.name })}
+        className={`px-1.5 py-0.5 mr-1 text-xs rounded ${
+          isDefault ? 'bg-blue-100 text-blue-800' : 'text-gray-400 hover:bg-gray-100'
+        }`}
+      >
+        {t('views.default')}
+      </button>
+      <button
+        onClick={() => togglePinned(view.id)}
+        aria-pressed={pinned}
+        aria-label={t('views.pin', { name: view.name })}
+        className={`${iconButton} ${pinned ? 'text-yellow-500' : 'text-gray-400'}`}
+      >
+        <Star className="w-4 h-4" fill={pinned ? 'currentColor' : 'none'} />
+      </button>
+      {own && (
+        <>
+          <button
+            onClick={() => run(() => updateView(view.id, { shared: !view.shared }))}
+            aria-pressed={view.shared}
+            aria-label={t('views.share', { name: view.name })}
+            className={`${iconButton} ${view.shared ? 'text-blue-600' : 'text-gray-400'}`}
+          >
+            <Share2 className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => run(() => overwriteView(view.id), 'views.updated')}
+            disabled={active}
+            title={t('views.overwrite', { name: view.name })}
+            aria-label={t('views.overwrite', { name: view.name })}
+            className={`${iconButton} text-gray-400 disabled:opacity-40`}
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+          <button
+            onClick={handleDelete}
+            aria-label={t('views.delete', { name: view.name })}
+            className={`${iconButton} text-gray-400 hover:text-red-600`}
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </>
+      )}
+    </li>
+  );
+};
+
+// Saves the current search, category, facets, sort and columns under a name, and lists the
+// user's views and those others shared
+const SavedViewsMenu = memo(() => {
+  const { views, pinnedIds, defaultViewId, activeViewId, saveView } = useSavedViews();
+  const { user } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t } = useLocale();
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+  const [error, setError] = useState(null);
+
+  const ownViews = views.filter(view => view.ownerId === user.id);
+  const sharedViews = views.filter(view => view.ownerId !== user.id);
+
+  const handleSave = e => {
+    e.preventDefault();
+    try {
+      const view = saveView(name, { shared });
+      addNotification({ type: 'success', message: t('views.saved', { name: view.name }) });
+      setName('');
+      setShared(false);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const renderGroup = (titleKey, items) =>
+    items.length > 0 && (
+      <div className="py-1">
+        <h2 className="px-4 pt-1 text-xs font-semibold uppercase text-gray-500">{t(titleKey)}</h2>
+        <ul>
+          {items.map(view => (
+            <SavedViewRow
+              key={view.id}
+              view={view}
+              own={view.ownerId === user.id}
+              active={view.id === activeViewId}
+              pinned={pinnedIds.includes(view.id)}
+              isDefault={view.id === defaultViewId}
+            />
+          ))}
+        </ul>
+      </div>
+    );
+
+  return (
+    <div className="relative" onKeyDown={e => e.key === 'Escape' && setOpen(false)}>
+      <button
+        onClick={() => setOpen(o => !o)}
+        aria-expanded={open}
+        className="h-full px-4 py-2 border border-gray-300 bg-white rounded-lg hover:bg-gray-100 flex items-center space-x-2"
+      >
+        <Bookmark className="w-5 h-5" />
+        <span>{t('views.button')}</span>
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-96 bg-white border rounded-md shadow-lg z-20">
+          <div className="max-h-80 overflow-y-auto divide-y">
+            {views.length ? (
+              <>
+                {renderGroup('views.mine', ownViews)}
+                {renderGroup('views.sharedWithMe', sharedViews)}
+              </>
+            ) : (
+              <p className="px-4 py-4 text-sm text-center text-gray-500">{t('views.empty')}</p>
+            )}
+          </div>
+          <form onSubmit={handleSave} noValidate className="p-3 border-t space-y-2">
+            <div className="flex space-x-2">
+              <input
+                value={name}
+                onChange={e => setName(e.target.value)}
+                maxLength={60}
+                placeholder={t('views.namePlaceholder')}
+                aria-label={t('views.name')}
+                aria-invalid={!!error}
+                className={`flex-1 px-3 py-1 text-sm border rounded-md ${
+                  error ? 'border-red-500' : 'border-gray-300'
+                }`}
+              />
+              <button
+                type="submit"
+                className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+              >
+                {t('views.save')}
+              </button>
+            </div>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <label className="flex items-center space-x-2 text-sm text-gray-600">
+              <input type="checkbox" checked={shared} onChange={e => setShared(e.target.checked)} />
+              <span>{t('views.shareWithEveryone')}</span>
+            </label>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+});
+
+// Pinned views sit under the search box for one-click access
+const PinnedViews = () => {
+  const { views, pinnedIds, activeViewId, applyView } = useSavedViews();
+  const { t } = useLocale();
+  const pinned = pinnedIds.map(id => views.find(view => view.id === id));
+  if (!pinned.length) return null;
+
+  return (
+    <ul className="flex flex-wrap gap-2" aria-label={t('views.pinned')}>
+      {pinned.map(view => (
+        <li key={view.id}>
+          <button
+            onClick={() => applyView(view.id)}
+            aria-pressed={view.id === activeViewId}
+            className={`flex items-center space-x-1 px-3 py-1 text-sm rounded-full border ${
+              view.id === activeViewId
+                ? 'bg-blue-600 border-blue-600 text-white'
+                : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            <Star className="w-3 h-3" fill="currentColor" />
+            <span>{view.name}</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// `categories` are the ones in use, as counted by the query worker
+const SearchAndFilter = memo(({ categories: catalogCategories }) => {
+  const { filter, searchTerm, dispatch } = useProducts();
+  const { t, locale } = useLocale();
+  const [localSearch, setLocalSearch] = useState(searchTerm);
+  const debouncedSearch = useDebounce(localSearch, 300);
+  const { errors } = useMemo(() => parseQuery(localSearch, t), [localSearch, t]);
+
+  const categories = useMemo(
+    () =>
+      catalogCategories
+        .map(c => ({ value: c, label: t(`category.${c}`) }))
+        .sort((a, b) => a.label.localeCompare(b.label, locale)),
+    [catalogCategories, t, locale]
+  );
+
+  useEffect(() => {
+    dispatch({ type: 'SET_SEARCH', payload: debouncedSearch });
+  }, [debouncedSearch, dispatch]);
+
+  // Follow search changes made elsewhere (back/forward navigation)
+  useEffect(() => {
+    setLocalSearch(prev => (prev === searchTerm ? prev : searchTerm));
+  }, [searchTerm]);
+
+  return (
+    <div className="mb-6 space-y-3">
+      <div className="flex flex-col md:flex-row gap-4">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+          <input
+            type="text"
+            placeholder={t('search.placeholder')}
+            aria-label={t('search.label')}
+            aria-invalid={errors.length > 0}
+            value={localSearch}
+            onChange={e => setLocalSearch(e.target.value)}
+            className={`w-full pl-10 pr-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+              errors.length ? 'border-red-400' : 'border-gray-300'
+            }`}
+          />
+          {errors.length > 0 && (
+            <p className="flex items-center space-x-1 text-sm text-red-600 mt-1">
+              <AlertCircle className="w-4 h-4" />
+              <span>{errors.join('; ')}</span>
+            </p>
+          )}
+        </div>
+
+        <select
+          value={filter}
+          aria-label={t('search.category')}
+          onChange={e => dispatch({ type: 'SET_FILTER', payload: e.target.value })}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="all">{t('search.allCategories')}</option>
+          {categories.map(c => (
+            <option key={c.value} value={c.value}>
+              {c.label}
+            </option>
+          ))}
+        </select>
+        <SavedViewsMenu />
+      </div>
+      <PinnedViews />
+    </div>
+  );
+});
+
+export { SearchAndFilter };
@@ -0,0 +1,555 @@
+import React, { useState, useEffect, useCallback, useLayoutEffect, useMemo, memo } from 'react';
+import { Edit, Trash2, RefreshCw, WifiOff } from 'lucide-react';
+import { ONE_DECIMAL } from '../i18n/locale';
+import { productPath } from '../contexts/RouterProvider';
+import { useAuth, useLocale } from '../hooks';
+import { Link } from './Link';
+import { PromotionBadge } from './Promotions';
+import { hasVariantDetails, ProductPrice, ExpandToggle, ProductVariants } from './ProductVariants';
+import { TABLE_ROW_HEIGHT, STATUS_COLORS, ProductTableRow } from './ProductTable';
+
+/* ========= Virtual List ========= */
+// Row heights are measured after render; these estimates only place rows not yet seen
+const ITEM_HEIGHT = 100;
+
+const GRID_ROW_HEIGHT = 200;
+
+const ESTIMATED_ROW_HEIGHTS = { list: ITEM_HEIGHT, table: TABLE_ROW_HEIGHT, grid: GRID_ROW_HEIGHT };
+
+const GRID_MIN_CARD_WIDTH = 240;
+
+const OVERSCAN = 5;
+
+const DEFAULT_VIEWPORT_HEIGHT = 600;
+
+// Index of the last row starting at or above `position`
+const findRowIndex = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= position) low = mid;
+    else high = mid - 1;
+  }
+  return Math.max(low, 0);
+};
+
+// Reports its own height on mount, whenever `expandedKey` (which of its products show their
+// variants) changes and whenever it resizes
+const MeasuredRow = ({ rowKey, rowIndex, expandedKey, observer, onMeasure, children }) => {
+  const ref = React.useRef();
+
+  useLayoutEffect(() => {
+    onMeasure(rowKey, rowIndex, ref.current.offsetHeight);
+  }, [rowKey, rowIndex, expandedKey, onMeasure]);
+
+  useLayoutEffect(() => {
+    const node = ref.current;
+    if (!observer) return undefined;
+    observer.observe(node);
+    return () => observer.unobserve(node);
+  }, [observer]);
+
+  return (
+    <div ref={ref} data-row-key={rowKey} data-row-index={rowIndex}>
+      {children}
+    </div>
+  );
+};
+
+const VirtualProductList = memo(
+  ({
+    products,
+    variant = 'list',
+    columns,
+    scrollToId,
+    selectedIds,
+    remoteChanges,
+    pendingProducts,
+    onToggleSelect,
+    onEdit,
+    onDelete
+  }) => {
+    const { can } = useAuth();
+    const { t } = useLocale();
+    const containerRef = React.useRef();
+    const rowObserver = React.useRef(null);
+    const estimateRef = React.useRef();
+    const firstVisibleRow = React.useRef(0);
+    // Measured heights by row key; the ref lets measurements in one batch see each other
+    const heightsRef = React.useRef(new Map());
+    const [heights, setHeights] = useState(heightsRef.current);
+    const [viewport, setViewport] = useState({
+      scrollTop: 0,
+      height: DEFAULT_VIEWPORT_HEIGHT,
+      width: 0
+    });
+    const [activeId, setActiveId] = useState(null);
+    const [expandedIds, setExpandedIds] = useState(() => new Set());
+    const estimate = ESTIMATED_ROW_HEIGHTS[variant] || ITEM_HEIGHT;
+    estimateRef.current = estimate;
+
+    // Expanded rows show the product's variants and images underneath; rows are measured,
+    // so the list makes room for them by itself
+    const toggleExpanded = useCallback((id, expand) => {
+      setExpandedIds(prev => {
+        if (prev.has(id) === (expand ?? !prev.has(id))) return prev;
+        const next = new Set(prev);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        return next;
+      });
+    }, []);
+
+    const perRow =
+      variant === 'grid' ? Math.max(1, Math.floor(viewport.width / GRID_MIN_CARD_WIDTH)) : 1;
+
+    // Grid rows hold several cards; keys include the layout so a view switch or a resize
+    // that reflows the grid doesn't reuse heights measured for a different one
+    const rows = useMemo(() => {
+      const result = [];
+      for (let start = 0; start < products.length; start += perRow) {
+        const items = products.slice(start, start + perRow);
+        result.push({ key: `${variant}-${perRow}:${items[0].id}`, start, items });
+      }
+      return result;
+    }, [products, perRow, variant]);
+
+    const offsets = useMemo(() => {
+      const result = [0];
+      rows.forEach((row, i) => result.push(result[i] + (heights.get(row.key) ?? estimate)));
+      return result;
+    }, [rows, heights, estimate]);
+
+    const first = Math.max(0, findRowIndex(offsets, viewport.scrollTop) - OVERSCAN);
+    const last = Math.min(
+      rows.length,
+      findRowIndex(offsets, viewport.scrollTop + viewport.height) + 1 + OVERSCAN
+    );
+    firstVisibleRow.current = findRowIndex(offsets, viewport.scrollTop);
+
+    // Rows above the viewport that turn out taller or shorter than estimated shift the
+    // scroll position by the difference, so what's on screen doesn't jump. The estimate is
+    // read through a ref so rows and the observer keep the same callback.
+    const handleMeasure = useCallback((key, rowIndex, height) => {
+      const previous = heightsRef.current.get(key) ?? estimateRef.current;
+      if (!height || heightsRef.current.get(key) === height) return;
+      heightsRef.current = new Map(heightsRef.current).set(key, height);
+      const container = containerRef.current;
+      if (container && rowIndex < firstVisibleRow.current) {
+        container.scrollTop += height - previous;
+      }
+      setHeights(heightsRef.current);
+    }, []);
+
+    // One observer for every row, created on first render so rows can subscribe to it in
+    // their own layout effects
+    if (rowObserver.current === null && typeof ResizeObserver !== 'undefined') {
+      rowObserver.current = new ResizeObserver(entries =>
+        entries.forEach(({ target }) =>
+          handleMeasure(target.dataset.rowKey, Number(target.dataset.rowIndex), target.offsetHeight)
+        )
+      );
+    }
+
+    useLayoutEffect(() => () => rowObserver.current?.disconnect(), []);
+
+    // Track the viewport size as well as the scroll position; falls back to window
+    // resizes where ResizeObserver isn't available
+    useEffect(() => {
+      const container = containerRef.current;
+      const handleScroll = () => setViewport(prev => ({ ...prev, scrollTop: container.scrollTop }));
+      const handleResize = () =>
+        setViewport(prev => ({
+          ...prev,
+          height: container.clientHeight || prev.height,
+          width: container.clientWidth
+        }));
+
+      handleResize();
+      container.addEventListener('scroll', handleScroll);
+      let resizeObserver = null;
+      if (typeof ResizeObserver !== 'undefined') {
+        resizeObserver = new ResizeObserver(handleResize);
+        resizeObserver.observe(container);
+      } else {
+        window.addEventListener('resize', handleResize);
+      }
+
+      return () => {
+        container.removeEventListener('scroll', handleScroll);
+        if (resizeObserver) resizeObserver.disconnect();
+        else window.removeEventListener('resize', handleResize);
+      };
+    }, []);
+
+    // Brings a product's row into view: aligned to the top, or just enough to show it
+    const scrollIndexIntoView = useCallback(
+      (index, align = 'auto') => {
+        const container = containerRef.current;
+        if (!container || index < 0 || index >= products.length) return;
+        const row = Math.floor(index / perRow);
+        const top = offsets[row];
+        const bottom = offsets[row + 1];
+        if (align === 'start' || top < container.scrollTop) {
+          container.scrollTop = top;
+        } else if (bottom > container.scrollTop + container.clientHeight) {
+          container.scrollTop = bottom - container.clientHeight;
+        }
+      },
+      [products.length, perRow, offsets]
+    );
+
+    // Scroll requests go through a ref so later re-measures don't repeat them
+    const scrollIntoViewRef = React.useRef(scrollIndexIntoView);
+    scrollIntoViewRef.current = scrollIndexIntoView;
+
+    useEffect(() => {
+      if (scrollToId == null) return;
+      scrollIntoViewRef.current(
+        products.findIndex(p => p.id === scrollToId),
+        'start'
+      );
+    }, [scrollToId, products]);
+
+    const activeIndex = activeId == null ? -1 : products.findIndex(p => p.id === activeId);
+
+    // Arrow keys move between products (left/right across a grid row, or expand and
+    // collapse a row elsewhere), Home/End jump to the ends, Enter opens the editor
+    const handleKeyDown = e => {
+      if (e.target !== e.currentTarget || !products.length) return;
+      if (variant !== 'grid' && (e.key === 'ArrowRight' || e.key === 'ArrowLeft')) {
+        if (activeIndex !== -1 && hasVariantDetails(products[activeIndex])) {
+          e.preventDefault();
+          toggleExpanded(products[activeIndex].id, e.key === 'ArrowRight');
+        }
+        return;
+      }
+      const pageSize = Math.max(1, Math.floor(viewport.height / estimate)) * perRow;
+      const moves = {
+        ArrowDown: perRow,
+        ArrowUp: -perRow,
+        ArrowRight: 1,
+        ArrowLeft: -1,
+        PageDown: pageSize,
+        PageUp: -pageSize,
+        Home: -products.length,
+        End: products.length
+      };
+
+      if (e.key === 'Enter') {
+        if (activeIndex !== -1 && onEdit && can('product:edit')) {
+          e.preventDefault();
+          onEdit(products[activeIndex]);
+        }
+        return;
+      }
+      if (!(e.key in moves)) return;
+      e.preventDefault();
+      const from = activeIndex === -1 ? (moves[e.key] > 0 ? -1 : products.length) : activeIndex;
+      const next = Math.min(products.length - 1, Math.max(0, from + moves[e.key]));
+      setActiveId(products[next].id);
+      scrollIndexIntoView(next);
+    };
+
+    const Row =
+      variant === 'table' ? ProductTableRow : variant === 'grid' ? ProductCard : ProductItem;
+
+    // Products other users just changed are outlined until the highlight wears off;
+    // ones with a write still on its way to the data source are dimmed
+    const renderItem = (product, index) => {
+      const remoteChange = remoteChanges?.[product.id];
+      const pending = pendingProducts?.[product.id];
+      const expanded = expandedIds.has(product.id) && hasVariantDetails(product);
+      const highlight =
+        product.id === activeId
+          ? 'ring-2 ring-inset ring-blue-500'
+          : remoteChange
+          ? 'ring-2 ring-inset ring-amber-400 bg-amber-50'
+          : '';
+      return (
+        <div
+          key={product.id}
+          id={`product-option-${product.id}`}
+          title={
+            remoteChange &&
+            (remoteChange.actor
+              ? t('list.changedBy', { name: remoteChange.actor.name })
+              : t('list.changedBySomeone'))
+          }
+          aria-busy={pending ? true : undefined}
+          className={`${variant === 'grid' ? 'p-2' : ''} ${highlight} ${
+            pending ? 'opacity-60' : ''
+          }`}
+        >
+          <Row
+            product={product}
+            columns={columns}
+            index={index}
+            pending={pending}
+            selected={!!selectedIds?.has(product.id)}
+            expanded={expanded}
+            onToggleExpand={toggleExpanded}
+            onToggleSelect={onToggleSelect}
+            onEdit={onEdit}
+            onDelete={onDelete}
+          />
+          {expanded && (
+            <ProductVariants
+              product={product}
+              className={
+                variant === 'grid'
+                  ? 'p-3 border-x border-b rounded-b-lg'
+                  : 'px-4 py-3 border-b bg-gray-50'
+              }
+            />
+          )}
+        </div>
+      );
+    };
+
+    return (
+      <>
+        <div
+          ref={containerRef}
+          tabIndex={0}
+          role="region"
+          aria-label={t('list.label')}
+          onKeyDown={handleKeyDown}
+          className="h-96 overflow-y-auto border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300"
+          style={{ maxHeight: '600px' }}
+        >
+          <div style={{ height: offsets[first] }} />
+          {rows.slice(first, last).map((row, i) => (
+            <MeasuredRow
+              key={row.key}
+              rowKey={row.key}
+              rowIndex={first + i}
+              expandedKey={row.items
+                .filter(p => expandedIds.has(p.id))
+                .map(p => p.id)
+                .join()}
+              observer={rowObserver.current}
+              onMeasure={handleMeasure}
+            >
+              {variant === 'grid' ? (
+                <div
+                  className="grid"
+                  style={{ gridTemplateColumns: `repeat(${perRow}, minmax(0, 1fr))` }}
+                >
+                  {row.items.map((product, j) => renderItem(product, row.start + j))}
+                </div>
+              ) : (
+                renderItem(row.items[0], row.start)
+              )}
+            </MeasuredRow>
+          ))}
+          <div style={{ height: offsets[rows.length] - offsets[last] }} />
+        </div>
+        {/* Announces the keyboard-active row, since the rows themselves never take focus */}
+        <p className="sr-only" aria-live="polite">
+          {activeIndex !== -1 &&
+            t('list.position', {
+              name: products[activeIndex].name,
+              position: activeIndex + 1,
+              total: products.length
+            })}
+        </p>
+      </>
+    );
+  }
+);
+
+const PendingBadge = ({ status }) => {
+  const { t } = useLocale();
+  const Icon = status === 'queued' ? WifiOff : RefreshCw;
+  return (
+    <span className="flex items-center space-x-1 text-xs text-gray-500">
+      <Icon className={`w-3 h-3 ${status === 'saving' ? 'animate-spin' : ''}`} />
+      <span>{t(`product.${status}`)}</span>
+    </span>
+  );
+};
+
+const ProductItem = memo(
+  ({
+    product,
+    index,
+    pending,
+    selected,
+    expanded,
+    onToggleExpand,
+    onToggleSelect,
+    onEdit,
+    onDelete
+  }) => {
+    const { can } = useAuth();
+    const { t, formatNumber } = useLocale();
+    const statusColor = STATUS_COLORS[product.status] || 'bg-gray-100 text-gray-800';
+
+    return (
+      <div
+        className={`flex items-center justify-between p-4 border-b hover:bg-gray-50 ${
+          selected ? 'bg-blue-50' : ''
+        }`}
+      >
+        {onToggleSelect && can('product:bulk-edit') && (
+          <input
+            type="checkbox"
+            checked={selected}
+            aria-label={t('product.select', { name: product.name })}
+            onChange={e => onToggleSelect(product.id, index, e.nativeEvent.shiftKey)}
+            className="mr-4 w-4 h-4"
+          />
+        )}
+        {onToggleExpand && (
+          <div className="w-6 mr-2">
+            {hasVariantDetails(product) && (
+              <ExpandToggle product={product} expanded={expanded} onToggle={onToggleExpand} />
+            )}
+          </div>
+        )}
+        <div className="flex-1">
+          <h3 className="font-semibold text-gray-800">
+            <Link to={productPath(product.id)} className="hover:text-blue-600 hover:underline">
+              {product.name}
+            </Link>
+          </h3>
+          <div className="flex items-center space-x-4 text-sm text-gray-600 mt-1">
+            <span>{t(`category.${product.category}`)}</span>
+            <span>
+              <ProductPrice product={product} />
+            </span>
+            <span>{t('product.stock', { stock: product.stock })}</span>
+            {product.variants?.length > 0 && (
+              <span>{t('variants.count', { count: product.variants.length })}</span>
+            )}
+            <span>{t('product.sales', { sales: product.sales })}</span>
+            <span>★ {formatNumber(product.rating, ONE_DECIMAL)}</span>
+          </div>
+        </div>
+        <div className="flex items-center space-x-3">
+          {pending && <PendingBadge status={pending} />}
+          <PromotionBadge product={product} />
+          <span className={`px-2 py-1 rounded-full text-xs ${statusColor}`}>
+            {t(`status.${product.status}`)}
+          </span>
+          {onEdit && can('product:edit') && (
+            <button
+              onClick={() => onEdit(product)}
+              aria-label={t('product.edit', { name: product.name })}
+              className="p-2 text-blue-600 hover:bg-blue-50 rounded"
+            >
+              <Edit className="w-4 h-4" />
+            </button>
+          )}
+          {onDelete && can('product:delete') && (
+            <button
+              onClick={() => onDelete(product.id)}
+              aria-label={t('product.delete', { name: product.name })}
+              className="p-2 text-red-600 hover:bg-red-50 rounded"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+);
+
+const ProductCard = memo(
+  ({
+    product,
+    index,
+    pending,
+    selected,
+    expanded,
+    onToggleExpand,
+    onToggleSelect,
+    onEdit,
+    onDelete
+  }) => {
+    const { can } = useAuth();
+    const { t, formatNumber } = useLocale();
+    const statusColor = STATUS_COLORS[product.status] || 'bg-gray-100 text-gray-800';
+
+    return (
+      <div
+        className={`h-full p-4 border rounded-lg flex flex-col hover:shadow-md ${
+          selected ? 'bg-blue-50 border-blue-300' : 'bg-white'
+        }`}
+      >
+        <div className="flex items-start justify-between mb-2">
+          <h3 className="font-semibold text-gray-800 truncate">
+            <Link to={productPath(product.id)} className="hover:text-blue-600 hover:underline">
+              {product.name}
+            </Link>
+          </h3>
+          {onToggleSelect && can('product:bulk-edit') && (
+            <input
+              type="checkbox"
+              checked={selected}
+              aria-label={t('product.select', { name: product.name })}
+              onChange={e => onToggleSelect(product.id, index, e.nativeEvent.shiftKey)}
+              className="ml-2 mt-1 w-4 h-4"
+            />
+          )}
+        </div>
+        <p className="text-sm text-gray-500">{t(`category.${product.category}`)}</p>
+        <p className="text-2xl font-bold text-gray-800 my-2">
+          <ProductPrice product={product} />
+        </p>
+        <div className="text-sm text-gray-600 space-x-3">
+          <span>{t('product.stock', { stock: product.stock })}</span>
+          <span>★ {formatNumber(product.rating, ONE_DECIMAL)}</span>
+        </div>
+        {onToggleExpand && hasVariantDetails(product) && (
+          <div className="flex items-center mt-1 text-sm text-gray-600">
+            <ExpandToggle product={product} expanded={expanded} onToggle={onToggleExpand} />
+            <span>
+              {product.variants?.length
+                ? t('variants.count', { count: product.variants.length })
+                : t('images.count', { count: product.images.length })}
+            </span>
+          </div>
+        )}
+        {pending && (
+          <div className="mt-2">
+            <PendingBadge status={pending} />
+          </div>
+        )}
+        <div className="flex items-center justify-between mt-auto pt-3">
+          <div className="flex items-center space-x-1">
+            <span className={`px-2 py-1 rounded-full text-xs ${statusColor}`}>
+              {t(`status.${product.status}`)}
+            </span>
+            <PromotionBadge product={product} />
+          </div>
+          <div className="flex space-x-1">
+            {onEdit && can('product:edit') && (
+              <button
+                onClick={() => onEdit(product)}
+                aria-label={t('product.edit', { name: product.name })}
+                className="p-1 text-blue-600 hover:bg-blue-50 rounded"
+              >
+                <Edit className="w-4 h-4" />
+              </button>
+            )}
+            {onDelete && can('product:delete') && (
+              <button
+                onClick={() => onDelete(product.id)}
+                aria-label={t('product.delete', { name: product.name })}
+                className="p-1 text-red-600 hover:bg-red-50 rounded"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+);
+
+export { VirtualProductList };
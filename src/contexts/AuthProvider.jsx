@@ -0,0 +1,53 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { AuthContext } from './contexts';
+import { hasPermission } from '../data/authBackends';
+import { useErrorReporting } from '../hooks';
+
+/* ========= Auth Provider ========= */
+const AuthProvider = ({ authBackend, children }) => {
+  const [user, setUser] = useState(null);
+  const [restoring, setRestoring] = useState(true);
+  const { setUser: setReportedUser } = useErrorReporting();
+
+  useEffect(() => setReportedUser(user), [user, setReportedUser]);
+
+  useEffect(() => {
+    let cancelled = false;
+    authBackend
+      .restore()
+      .catch(() => null)
+      .then(restored => {
+        if (cancelled) return;
+        setUser(restored);
+        setRestoring(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [authBackend]);
+
+  const login = useCallback(
+    async credentials => {
+      const signedIn = await authBackend.login(credentials);
+      setUser(signedIn);
+      return signedIn;
+    },
+    [authBackend]
+  );
+
+  const logout = useCallback(async () => {
+    await authBackend.logout();
+    setUser(null);
+  }, [authBackend]);
+
+  const can = useCallback(permission => hasPermission(user, permission), [user]);
+
+  const value = useMemo(
+    () => ({ user, isAuthenticated: !!user, restoring, login, logout, can }),
+    [user, restoring, login, logout, can]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export { AuthProvider };
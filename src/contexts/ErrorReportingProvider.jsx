@@ -0,0 +1,94 @@
+import React, { createContext, useCallback, useMemo } from 'react';
+
+/* ========= Error Reporting ========= */
+// A reporter is anything with send(report); pass one to <App errorReporter={...} />.
+// Reports carry the error, the React component stack, the boundary that caught it,
+// the signed-in user and the last few things that happened before it. Errors handled in
+// place (a failed save, say) have no boundary; their `context` says what was being done.
+const MAX_BREADCRUMBS = 20;
+
+const createConsoleErrorReporter = () => ({
+  send: report => console.error('Dashboard Error:', report)
+});
+
+// POSTs each report as JSON; keepalive lets it finish even if the page is closing
+const createHttpErrorReporter = ({ url, headers = {} }) => ({
+  send: async report => {
+    const res = await fetch(url, {
+      method: 'POST',
+      keepalive: true,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(report)
+    });
+    if (!res.ok) throw new Error(`Error report failed: ${res.status} ${res.statusText}`);
+  }
+});
+
+const defaultErrorReporter = createConsoleErrorReporter();
+
+// Action payloads can hold whole catalogs, so a breadcrumb keeps the type and product id only
+const actionBreadcrumb = ({ type, payload }) => ({
+  kind: 'action',
+  type,
+  productId: typeof payload === 'number' ? payload : payload?.id
+});
+
+const buildErrorReport = (error, { boundary, componentStack, context }, user, breadcrumbs) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+  at: new Date().toISOString(),
+  boundary,
+  context,
+  error: { name: error?.name, message: error?.message ?? String(error), stack: error?.stack },
+  componentStack,
+  user,
+  lastActions: breadcrumbs,
+  url: window.location.href,
+  userAgent: navigator.userAgent
+});
+
+// Created here rather than in Context Setup: ErrorBoundary reads it as its contextType,
+// which is evaluated when the class is defined
+const ErrorReportingContext = createContext();
+
+const ErrorReportingProvider = ({ reporter, children }) => {
+  const breadcrumbs = React.useRef([]);
+  const user = React.useRef(null);
+
+  const addBreadcrumb = useCallback(entry => {
+    breadcrumbs.current = [
+      ...breadcrumbs.current.slice(1 - MAX_BREADCRUMBS),
+      { ...entry, at: new Date().toISOString() }
+    ];
+  }, []);
+
+  const setUser = useCallback(next => {
+    user.current = next && { id: next.id, name: next.name, role: next.role };
+  }, []);
+
+  // A sink that throws or rejects must not turn one error into two
+  const report = useCallback(
+    (error, details = {}) => {
+      const entry = buildErrorReport(error, details, user.current, breadcrumbs.current);
+      Promise.resolve()
+        .then(() => reporter.send(entry))
+        .catch(err => console.error('Could not send error report:', err, entry));
+      return entry;
+    },
+    [reporter]
+  );
+
+  const value = useMemo(
+    () => ({ report, addBreadcrumb, setUser }),
+    [report, addBreadcrumb, setUser]
+  );
+  return <ErrorReportingContext.Provider value={value}>{children}</ErrorReportingContext.Provider>;
+};
+
+export {
+  createConsoleErrorReporter,
+  createHttpErrorReporter,
+  defaultErrorReporter,
+  actionBreadcrumb,
+  ErrorReportingContext,
+  ErrorReportingProvider
+};
@@ -0,0 +1,124 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { LOCALE_SETTINGS_KEY, EXCHANGE_RATES_KEY, userKey } from '../data/storage';
+import { BASE_CURRENCY, createTranslator, normalizeLocaleSettings } from '../i18n/locale';
+import { LocaleContext } from './contexts';
+import { useAuth, useErrorReporting } from '../hooks';
+
+/* ========= Locale Provider ========= */
+// Intl formatters are cached per locale/currency; prices come in and go out in BASE_CURRENCY.
+// Each user's language and currency are kept under their id, and the browser's own copy (the
+// last one used on it) covers the sign-in screen and users who have not chosen yet. Exchange
+// rates are shared by everyone.
+const LocaleProvider = ({ storage, children }) => {
+  const { user, can } = useAuth();
+  const { report } = useErrorReporting();
+  const [settings, setSettings] = useState(() => normalizeLocaleSettings());
+  // The key whose saved settings are applied; nothing is saved over a key before it loads
+  const [loadedKey, setLoadedKey] = useState(null);
+  const { locale, currency, exchangeRates } = settings;
+  const preferencesKey = user ? userKey(LOCALE_SETTINGS_KEY, user) : LOCALE_SETTINGS_KEY;
+
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  useEffect(() => {
+    if (!storage) {
+      setLoadedKey(preferencesKey);
+      return undefined;
+    }
+    let cancelled = false;
+    Promise.all([storage.get(preferencesKey), storage.get(EXCHANGE_RATES_KEY)])
+      .then(([saved, rates]) => {
+        if (cancelled) return;
+        setSettings(prev =>
+          normalizeLocaleSettings({
+            ...(saved || { locale: prev.locale, currency: prev.currency }),
+            exchangeRates: rates || prev.exchangeRates
+          })
+        );
+      })
+      .catch(err => report(err, { context: { operation: 'load', key: preferencesKey } }))
+      .finally(() => {
+        if (!cancelled) setLoadedKey(preferencesKey);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, preferencesKey, report]);
+
+  // Only reported: the notifications sit below this provider, and a language is quickly picked
+  useEffect(() => {
+    if (!storage || loadedKey !== preferencesKey) return;
+    const keys = new Set([preferencesKey, LOCALE_SETTINGS_KEY]);
+    Promise.all([...keys].map(key => storage.set(key, { locale, currency }))).catch(err =>
+      report(err, { context: { operation: 'save', key: preferencesKey } })
+    );
+  }, [storage, loadedKey, preferencesKey, locale, currency, report]);
+
+  const setLocale = useCallback(next => setSettings(prev => ({ ...prev, locale: next })), []);
+  const setCurrency = useCallback(next => setSettings(prev => ({ ...prev, currency: next })), []);
+
+  // Resolves once the rates are saved, so the settings page can say if they were not
+  const setExchangeRates = useCallback(
+    async rates => {
+      if (!can('currency:configure')) throw new Error(t('permission.configureCurrency'));
+      const next = { ...rates, [BASE_CURRENCY]: 1 };
+      setSettings(prev => ({ ...prev, exchangeRates: next }));
+      try {
+        await storage?.set(EXCHANGE_RATES_KEY, next);
+      } catch (err) {
+        report(err, { context: { operation: 'save', key: EXCHANGE_RATES_KEY } });
+        throw err;
+      }
+    },
+    [storage, can, t, report]
+  );
+
+  const value = useMemo(() => {
+    const priceRate = exchangeRates[currency] ?? 1;
+    const numbers = new Intl.NumberFormat(locale);
+    const prices = new Intl.NumberFormat(locale, { style: 'currency', currency });
+    const { maximumFractionDigits: priceDecimals } = prices.resolvedOptions();
+    const dateTimes = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' });
+    const months = new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric' });
+    const round = (n, decimals) => Math.round(n * 10 ** decimals) / 10 ** decimals;
+
+    const formatNumber = (n, options) =>
+      (options ? new Intl.NumberFormat(locale, options) : numbers).format(n);
+    // options (e.g. maximumFractionDigits) only need a new formatter when given
+    const formatPrice = (amount, options) =>
+      (options
+        ? new Intl.NumberFormat(locale, { style: 'currency', currency, ...options })
+        : prices
+      ).format(amount * priceRate);
+
+    return {
+      locale,
+      currency,
+      exchangeRates,
+      priceRate,
+      priceDecimals,
+      t,
+      setLocale,
+      setCurrency,
+      setExchangeRates,
+      formatNumber,
+      formatPrice,
+      formatDateTime: date => dateTimes.format(new Date(date)),
+      // 'YYYY-MM' sales history keys
+      formatMonth: month => months.format(new Date(`${month}-01T00:00:00`)),
+      // Base price -> amount shown and edited in the display currency, and back
+      toDisplayPrice: amount => round(amount * priceRate, priceDecimals),
+      fromDisplayPrice: amount => round(amount / priceRate, 2)
+    };
+  }, [locale, currency, exchangeRates, t, setLocale, setCurrency, setExchangeRates]);
+
+  // Waiting for the first load keeps the saved language from replacing the default on screen
+  if (!loadedKey) return null;
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+};
+
+export { LocaleProvider };
@@ -0,0 +1,171 @@
+import React, { useReducer, useState, useEffect, useCallback, useMemo } from 'react';
+import { NOTIFICATION_HISTORY_KEY, userKey } from '../data/storage';
+import { NotificationContext } from './contexts';
+import { nextNotificationId, notificationReducer } from '../reducers/notificationReducer';
+import { useAuth, useErrorReporting } from '../hooks';
+
+/* ========= Notification Provider ========= */
+const NOTIFICATION_DURATION = 5000;
+
+// addNotification({ type, message, actions: [{ label, onClick }], duration, sticky, groupKey });
+// sticky toasts stay until dismissed, and groupKey defaults to the type and message.
+// The history is kept per user; signing out unmounts the provider, so it never mixes two.
+const NotificationProvider = ({ storage, children }) => {
+  const { user } = useAuth();
+  const { report } = useErrorReporting();
+  const [state, dispatch] = useReducer(notificationReducer, {
+    visible: [],
+    queue: [],
+    history: []
+  });
+  const [historyLoaded, setHistoryLoaded] = useState(false);
+  const historyKey = userKey(NOTIFICATION_HISTORY_KEY, user);
+  // id -> { timeout, remaining, startedAt, count }; paused toasts have no timeout
+  const timers = React.useRef(new Map());
+
+  const removeNotification = useCallback(
+    id => dispatch({ type: 'REMOVE', payload: { id, seen: true } }),
+    []
+  );
+
+  const startTimer = useCallback((id, duration, count) => {
+    timers.current.set(id, {
+      timeout: setTimeout(
+        () => dispatch({ type: 'REMOVE', payload: { id, seen: false } }),
+        duration
+      ),
+      remaining: duration,
+      startedAt: Date.now(),
+      count
+    });
+  }, []);
+
+  const addNotification = useCallback(
+    ({
+      type = 'info',
+      message,
+      actions = [],
+      duration = NOTIFICATION_DURATION,
+      sticky = false,
+      groupKey = `${type}:${message}`
+    }) =>
+      dispatch({
+        type: 'ADD',
+        payload: {
+          id: nextNotificationId(),
+          type,
+          message,
+          actions,
+          duration,
+          sticky,
+          groupKey,
+          at: new Date().toISOString()
+        }
+      }),
+    []
+  );
+
+  // Each visible toast that isn't sticky runs a timer, started when it comes off the queue
+  // and over again when a repeat bumps its count
+  useEffect(() => {
+    const active = timers.current;
+    state.visible.forEach(n => {
+      const timer = active.get(n.id);
+      if (n.sticky || timer?.count === n.count) return;
+      if (timer?.timeout === null) {
+        active.set(n.id, { ...timer, remaining: n.duration, count: n.count });
+        return;
+      }
+      clearTimeout(timer?.timeout);
+      startTimer(n.id, n.duration, n.count);
+    });
+    active.forEach((timer, id) => {
+      if (state.visible.some(n => n.id === id)) return;
+      clearTimeout(timer.timeout);
+      active.delete(id);
+    });
+  }, [state.visible, startTimer]);
+
+  // Hovering or focusing a toast holds it on screen until the pointer or focus leaves
+  const pauseNotification = useCallback(id => {
+    const timer = timers.current.get(id);
+    if (!timer || timer.timeout === null) return;
+    clearTimeout(timer.timeout);
+    timers.current.set(id, {
+      ...timer,
+      timeout: null,
+      remaining: timer.remaining - (Date.now() - timer.startedAt)
+    });
+  }, []);
+
+  const resumeNotification = useCallback(
+    id => {
+      const timer = timers.current.get(id);
+      if (timer && timer.timeout === null) {
+        startTimer(id, Math.max(timer.remaining, 1000), timer.count);
+      }
+    },
+    [startTimer]
+  );
+
+  useEffect(() => {
+    const pending = timers.current;
+    return () => pending.forEach(timer => clearTimeout(timer.timeout));
+  }, []);
+
+  useEffect(() => {
+    if (!storage) {
+      setHistoryLoaded(true);
+      return;
+    }
+    storage
+      .get(historyKey)
+      .then(saved => {
+        if (Array.isArray(saved)) dispatch({ type: 'RESTORE_HISTORY', payload: saved });
+      })
+      .catch(err => report(err, { context: { operation: 'load', key: historyKey } }))
+      .finally(() => setHistoryLoaded(true));
+  }, [storage, historyKey, report]);
+
+  // Only reported: a notification about it would change the history and fail to save again
+  useEffect(() => {
+    if (!storage || !historyLoaded) return;
+    storage
+      .set(historyKey, state.history)
+      .catch(err => report(err, { context: { operation: 'save', key: historyKey } }));
+  }, [storage, historyKey, historyLoaded, state.history, report]);
+
+  const markNotificationRead = useCallback(id => dispatch({ type: 'MARK_READ', payload: id }), []);
+  const markAllNotificationsRead = useCallback(() => dispatch({ type: 'MARK_ALL_READ' }), []);
+  const clearNotificationHistory = useCallback(() => dispatch({ type: 'CLEAR_HISTORY' }), []);
+
+  const value = useMemo(
+    () => ({
+      notifications: state.visible,
+      queuedCount: state.queue.length,
+      history: state.history,
+      unreadCount: state.history.filter(h => !h.read).length,
+      addNotification,
+      removeNotification,
+      pauseNotification,
+      resumeNotification,
+      markNotificationRead,
+      markAllNotificationsRead,
+      clearNotificationHistory
+    }),
+    [
+      state,
+      addNotification,
+      removeNotification,
+      pauseNotification,
+      resumeNotification,
+      markNotificationRead,
+      markAllNotificationsRead,
+      clearNotificationHistory
+    ]
+  );
+
+  return <NotificationContext.Provider value={value}>{children}</NotificationContext.Provider>;
+};
+
+export { NotificationProvider };
@@ -0,0 +1,785 @@
+import React, { useReducer, useState, useEffect, useCallback, useMemo } from 'react';
+import { actionBreadcrumb } from './ErrorReportingProvider';
+import { formFields, FORM_LISTS, isValidProduct } from '../data/schema';
+import { defaultCategoryThresholds, reconcileStatus } from '../data/inventory';
+import { withNextVersion, conflictError } from '../data/dataSources';
+import {
+  CATALOG_KEY,
+  THRESHOLDS_KEY,
+  AUDIT_LOG_KEY,
+  loadCatalog,
+  loadAuditLog,
+  saveCatalog,
+  saveCatalogChanges,
+  clearCatalog,
+  storageFailureMessage
+} from '../data/storage';
+import { ProductContext } from './contexts';
+import { parseListQuery, defaultFacets } from '../data/listQuery';
+import { findProduct, changedIdsBetween } from '../reducers/catalog';
+import {
+  nextHistoryId,
+  historyEntryIds,
+  applyHistoryEntry,
+  expectedProducts,
+  syncHistoryEntry
+} from '../reducers/history';
+import { nextAuditId, diffFields, diffProducts, auditedProductReducer } from '../reducers/audit';
+import { useAuth, useLocale, useErrorReporting, useRouter, useReportFailure } from '../hooks';
+import { defaultVisibleColumns } from '../data/columns';
+
+/* ========= Product Provider ========= */
+// Resolves to the fulfilled values and rejection reasons; one failure doesn't stop the rest
+const settleEach = async (items, fn) => {
+  const results = await Promise.allSettled(items.map(fn));
+  return {
+    succeeded: results.filter(r => r.status === 'fulfilled').map(r => r.value),
+    failed: results.filter(r => r.status === 'rejected').map(r => r.reason)
+  };
+};
+
+// fetch() rejects with a TypeError when the request never reached the server
+const isNetworkError = err =>
+  (typeof navigator !== 'undefined' && navigator.onLine === false) || err instanceof TypeError;
+
+// A request for a bulk write: runs `fn` over each item that hasn't reached the server yet.
+// Items that can't reach it are kept for the next try, which the write queue makes once the
+// connection is back; the request resolves to every succeeded value and failed item.
+const settleBatch = (items, fn) => {
+  let remaining = items;
+  const succeeded = [];
+  const failed = [];
+  return async () => {
+    const results = await Promise.allSettled(remaining.map(fn));
+    const unsent = remaining.filter((item, i) => {
+      const { status, value, reason } = results[i];
+      if (status === 'fulfilled') succeeded.push(value);
+      else if (!isNetworkError(reason)) failed.push(item);
+      return status === 'rejected' && isNetworkError(reason);
+    });
+    remaining = unsent;
+    if (unsent.length) throw results.find(r => r.status === 'rejected').reason;
+    return { succeeded, failed };
+  };
+};
+
+const PERSIST_DELAY = 300;
+
+const REMOTE_HIGHLIGHT_DURATION = 10000;
+
+const WRITE_RETRY_INTERVAL = 15000;
+
+const ProductProvider = ({ dataSource, storage, imageStore, realtime, children }) => {
+  const { location } = useRouter();
+  const { can, user } = useAuth();
+  const { t } = useLocale();
+  const { addBreadcrumb, report } = useErrorReporting();
+  const reportFailure = useReportFailure();
+  const [state, dispatchAction] = useReducer(auditedProductReducer, location.search, search => ({
+    products: [],
+    loading: true,
+    filter: 'all',
+    searchTerm: '',
+    facets: defaultFacets,
+    sort: [],
+    visibleColumns: defaultVisibleColumns,
+    viewMode: 'list',
+    categoryThresholds: defaultCategoryThresholds,
+    error: null,
+    history: { past: [], future: [] },
+    auditLog: [],
+    remoteChanges: {},
+    pendingMutations: {},
+    ...parseListQuery(search)
+  }));
+  const [reloadKey, setReloadKey] = useState(0);
+  const [realtimeStatus, setRealtimeStatus] = useState('closed');
+  const stateRef = React.useRef(state);
+  const historyBusy = React.useRef(false);
+  const persistTimer = React.useRef(null);
+  // The catalog as last saved, which the next save only writes the changes to
+  const savedCatalog = React.useRef(null);
+  const skipCache = React.useRef(false);
+  const auditLoaded = React.useRef(false);
+  const connectionRef = React.useRef(null);
+  const writeQueue = React.useRef([]);
+  const flushingWrites = React.useRef(false);
+  const clientId = React.useRef(
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+  );
+  stateRef.current = state;
+
+  // Every action is noted for error reports, so they can show what led up to a crash
+  const dispatch = useCallback(
+    action => {
+      addBreadcrumb(actionBreadcrumb(action));
+      dispatchAction(action);
+    },
+    [addBreadcrumb]
+  );
+
+  // Rehydrate from local storage first; the data source is only asked when nothing was saved
+  const loadProducts = useCallback(
+    async signal => {
+      if (storage && !skipCache.current) {
+        const cached = await loadCatalog(storage).catch(err => {
+          reportFailure(err, { operation: 'load', key: CATALOG_KEY }, 'storage.loadFailed');
+          return null;
+        });
+        if (cached?.missing.length) {
+          reportFailure(
+            new Error(`${cached.missing.length} saved products are missing their records`),
+            { operation: 'load', key: CATALOG_KEY, ids: cached.missing },
+            'storage.missingProducts',
+            { count: cached.missing.length }
+          );
+        }
+        if (cached) {
+          dataSource.hydrate?.(cached.products);
+          return cached;
+        }
+      }
+      skipCache.current = false;
+      return { products: await dataSource.list({ signal }), upToDate: false };
+    },
+    [dataSource, storage, reportFailure]
+  );
+
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    const fetchProducts = async () => {
+      try {
+        dispatch({ type: 'SET_LOADING', payload: true });
+        const { products, upToDate } = await loadProducts(abortController.signal);
+
+        if (!abortController.signal.aborted) {
+          // Statuses are reconciled before validation so stale ones don't get a product dropped
+          const reconciled = products.map(reconcileStatus);
+          const valid = reconciled.filter(isValidProduct);
+          // A saved catalog that loads unchanged doesn't need saving again
+          savedCatalog.current =
+            upToDate && valid.length === products.length && valid.every((p, i) => p === products[i])
+              ? valid
+              : null;
+          const skipped = reconciled.filter(p => !isValidProduct(p));
+          if (skipped.length) {
+            reportFailure(
+              new Error(`Skipped ${skipped.length} products that failed validation`),
+              { operation: 'load', ids: skipped.map(p => p.id) },
+              'storage.skippedProducts',
+              { count: skipped.length }
+            );
+          }
+          dispatch({ type: 'SET_PRODUCTS', payload: valid });
+        }
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          dispatch({ type: 'SET_ERROR', payload: err.message });
+        }
+      }
+    };
+
+    fetchProducts();
+    return () => abortController.abort();
+  }, [loadProducts, reloadKey, dispatch, reportFailure]);
+
+  useEffect(() => {
+    if (!storage) return;
+    storage
+      .get(THRESHOLDS_KEY)
+      .then(saved => {
+        if (saved) {
+          dispatch({
+            type: 'SET_CATEGORY_THRESHOLDS',
+            payload: { ...defaultCategoryThresholds, ...saved }
+          });
+        }
+      })
+      .catch(err =>
+        reportFailure(err, { operation: 'load', key: THRESHOLDS_KEY }, 'storage.loadFailed')
+      );
+  }, [storage, dispatch, reportFailure]);
+
+  useEffect(() => {
+    if (!storage) return;
+    loadAuditLog(storage)
+      .then(saved => {
+        if (saved) dispatch({ type: 'SET_AUDIT_LOG', payload: saved });
+      })
+      .catch(err =>
+        reportFailure(err, { operation: 'load', key: AUDIT_LOG_KEY }, 'storage.loadFailed')
+      )
+      .finally(() => {
+        auditLoaded.current = true;
+      });
+  }, [storage, dispatch, reportFailure]);
+
+  useEffect(() => {
+    if (!storage || !auditLoaded.current) return undefined;
+    const timer = setTimeout(() => {
+      storage
+        .set(AUDIT_LOG_KEY, state.auditLog)
+        .catch(err =>
+          reportFailure(err, { operation: 'save', key: AUDIT_LOG_KEY }, storageFailureMessage(err))
+        );
+    }, PERSIST_DELAY);
+    return () => clearTimeout(timer);
+  }, [storage, state.auditLog, reportFailure]);
+
+  // Save every settled catalog change (debounced) so refreshes and crashes keep edits. Only
+  // the products changed since the last save are written, unless the change log can't say
+  // which those are.
+  useEffect(() => {
+    if (!storage || state.loading || state.error) return undefined;
+    const products = state.products;
+    persistTimer.current = setTimeout(() => {
+      const saved = savedCatalog.current;
+      if (saved === products) return;
+      const ids = saved && changedIdsBetween(saved, products);
+      (ids ? saveCatalogChanges(storage, saved, products, ids) : saveCatalog(storage, products))
+        .then(() => {
+          savedCatalog.current = products;
+        })
+        .catch(err =>
+          reportFailure(err, { operation: 'save', key: CATALOG_KEY }, storageFailureMessage(err))
+        );
+    }, PERSIST_DELAY);
+    return () => clearTimeout(persistTimer.current);
+  }, [storage, state.products, state.loading, state.error, reportFailure]);
+
+  // Falling back to localStorage loses nothing yet, but it is much smaller; images kept in
+  // memory instead are gone once the page closes
+  useEffect(
+    () => storage?.onFallback?.(err => report(err, { context: { operation: 'open storage' } })),
+    [storage, report]
+  );
+  useEffect(
+    () =>
+      imageStore?.onFallback?.(err =>
+        reportFailure(err, { operation: 'open image store' }, 'images.notKept')
+      ),
+    [imageStore, reportFailure]
+  );
+
+  // Other clients' changes stream in once the catalog has loaded. The data source hears about
+  // them too (the mock one keeps a copy per tab) so later saves see the same products.
+  const { loading } = state;
+  useEffect(() => {
+    if (!realtime || loading) return undefined;
+    const highlightTimers = new Set();
+
+    const handleEvent = event => {
+      if (event.origin === clientId.current) return;
+      const meta = {
+        actor: event.actor ?? null,
+        at: event.at,
+        auditId: nextAuditId(),
+        source: event.source
+      };
+      if (event.type === 'product:deleted') {
+        dataSource.receive?.(event);
+        dispatch({ type: 'REMOTE_DELETE_PRODUCT', payload: event.id, meta });
+        return;
+      }
+      if (event.type !== 'product:created' && event.type !== 'product:updated') return;
+      if (!isValidProduct(event.product)) {
+        reportFailure(
+          new Error('Ignored an invalid product from the realtime channel'),
+          { operation: 'realtime', event },
+          'realtime.dropped'
+        );
+        return;
+      }
+      dataSource.receive?.(event);
+      dispatch({ type: 'REMOTE_SAVE_PRODUCT', payload: event.product, meta });
+      const timer = setTimeout(() => {
+        highlightTimers.delete(timer);
+        dispatch({ type: 'CLEAR_REMOTE_CHANGE', payload: { id: event.product.id, at: event.at } });
+      }, REMOTE_HIGHLIGHT_DURATION);
+      highlightTimers.add(timer);
+    };
+
+    connectionRef.current = realtime.connect({
+      onEvent: handleEvent,
+      onStatus: setRealtimeStatus,
+      onError: (err, details) =>
+        reportFailure(err, { operation: 'realtime', ...details }, 'realtime.dropped')
+    });
+    return () => {
+      connectionRef.current.close();
+      connectionRef.current = null;
+      highlightTimers.forEach(clearTimeout);
+    };
+  }, [realtime, dataSource, loading, dispatch, reportFailure]);
+
+  // Mutations re-check permissions so a hidden button is never the only guard
+  const requirePermission = useCallback(
+    (permission, messageKey) => {
+      if (!can(permission)) throw new Error(t(messageKey));
+    },
+    [can, t]
+  );
+
+  // Audit metadata for the next mutation; `source` overrides the one implied by the action
+  const auditMeta = useCallback(
+    source => ({
+      actor: user ? { id: user.id, name: user.name, role: user.role } : null,
+      at: new Date().toISOString(),
+      auditId: nextAuditId(),
+      source
+    }),
+    [user]
+  );
+
+  // Tells other clients about changes this one made; `source` is what their activity log shows
+  const publish = useCallback(
+    (kind, products, source = 'edit') => {
+      const connection = connectionRef.current;
+      if (!connection) return;
+      const { actor, at } = auditMeta();
+      products.forEach(product =>
+        connection.publish({
+          type: `product:${kind}`,
+          ...(kind === 'deleted' ? { id: product.id } : { product }),
+          actor,
+          at,
+          source,
+          origin: clientId.current
+        })
+      );
+    },
+    [auditMeta]
+  );
+
+  const reload = useCallback(() => {
+    dispatch({ type: 'SET_LOADING', payload: true });
+    setReloadKey(k => k + 1);
+  }, [dispatch]);
+
+  // Optimistic writes are already in the reducer; their requests go out one at a time, in
+  // order. A request that can't reach the server stops the queue (everything left is marked
+  // queued and its promise resolves with null) until the connection is back; any other
+  // failure rolls the change back. Queued writes report how they end to onQueuedSuccess and
+  // onQueuedError instead.
+  const flushWrites = useCallback(async () => {
+    if (flushingWrites.current) return;
+    flushingWrites.current = true;
+    try {
+      while (writeQueue.current.length) {
+        const write = writeQueue.current[0];
+        try {
+          const result = await write.request();
+          dispatch({ type: 'CLEAR_PENDING_MUTATION', payload: write.id });
+          const value = write.onSuccess(result);
+          if (write.queued) write.onQueuedSuccess?.(value);
+          else write.resolve(value);
+        } catch (err) {
+          if (isNetworkError(err)) {
+            writeQueue.current.forEach(pending => {
+              const { id, productIds } = pending;
+              dispatch({
+                type: 'SET_PENDING_MUTATION',
+                payload: { id, productIds, status: 'queued' }
+              });
+              pending.queued = true;
+              pending.resolve(null);
+            });
+            return;
+          }
+          dispatch({ type: 'ROLLBACK_MUTATION', payload: { id: write.id } });
+          dispatch({ type: 'CLEAR_PENDING_MUTATION', payload: write.id });
+          write.onError?.(err);
+          if (write.queued) write.onQueuedError?.(err);
+          else write.reject(err);
+        }
+        writeQueue.current.shift();
+      }
+    } finally {
+      flushingWrites.current = false;
+    }
+  }, [dispatch]);
+
+  // Resolves with onSuccess's result once the data source accepts the write, or with null
+  // once it has to wait for the connection
+  const enqueueWrite = useCallback(
+    write =>
+      new Promise((resolve, reject) => {
+        const queued = writeQueue.current.length > 0 && !flushingWrites.current;
+        dispatch({
+          type: 'SET_PENDING_MUTATION',
+          payload: {
+            id: write.id,
+            productIds: write.productIds,
+            status: queued ? 'queued' : 'saving'
+          }
+        });
+        writeQueue.current.push({ ...write, resolve, reject });
+        flushWrites();
+      }),
+    [flushWrites, dispatch]
+  );
+
+  useEffect(() => {
+    window.addEventListener('online', flushWrites);
+    const timer = setInterval(flushWrites, WRITE_RETRY_INTERVAL);
+    return () => {
+      window.removeEventListener('online', flushWrites);
+      clearInterval(timer);
+    };
+  }, [flushWrites]);
+
+  // Queued writes only live in memory, so leaving the page would drop them (signing out
+  // asks first too; see Header)
+  const hasPendingWrites = Object.keys(state.pendingMutations).length > 0;
+  useEffect(() => {
+    if (!hasPendingWrites) return undefined;
+    const handleBeforeUnload = e => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasPendingWrites]);
+
+  // New products go through the data source first, since it assigns their ids; edits and
+  // deletes are applied optimistically and rolled back if the data source rejects them.
+  // onApplied(historyId) is called as soon as the change shows. Status is reconciled with
+  // stock on the way out.
+  const addProduct = useCallback(
+    async (product, { source } = {}) => {
+      requirePermission('product:create', 'permission.addProducts');
+      const created = await dataSource.create(reconcileStatus(product));
+      dispatch({
+        type: 'ADD_PRODUCT',
+        payload: created,
+        meta: { historyId: nextHistoryId(), ...auditMeta(source) }
+      });
+      publish('created', [created], source);
+      return created;
+    },
+    [dataSource, requirePermission, auditMeta, publish, dispatch]
+  );
+
+  // expectedVersion makes the save fail with a ConflictError if someone else got there first
+  const updateProduct = useCallback(
+    async (
+      product,
+      { source, expectedVersion, onApplied, onQueuedSuccess, onQueuedError } = {}
+    ) => {
+      requirePermission('product:edit', 'permission.editProducts');
+      const current = findProduct(stateRef.current.products, product.id);
+      if (!current) throw new Error(`Product ${product.id} not found`);
+      if (expectedVersion != null && current.version !== expectedVersion) {
+        throw conflictError(current);
+      }
+
+      const reconciled = reconcileStatus(product);
+      const historyId = nextHistoryId();
+      const meta = auditMeta(source);
+      dispatch({
+        type: 'UPDATE_PRODUCT',
+        payload: withNextVersion(current, reconciled),
+        meta: { historyId, ...meta }
+      });
+      onApplied?.(historyId);
+      return enqueueWrite({
+        id: historyId,
+        productIds: [product.id],
+        request: () => dataSource.update(reconciled, { expectedVersion, actor: meta.actor }),
+        onSuccess: updated => {
+          dispatch({ type: 'SYNC_PRODUCT', payload: updated });
+          publish('updated', [updated], source);
+          return updated;
+        },
+        // Catch up with the newer copy, and whoever saved it, so the product can be edited
+        // again from there
+        onError: err => {
+          if (err.name === 'ConflictError') {
+            dispatch({
+              type: 'REMOTE_SAVE_PRODUCT',
+              payload: err.current,
+              meta: { ...auditMeta(), actor: err.actor }
+            });
+          }
+        },
+        onQueuedSuccess,
+        onQueuedError
+      });
+    },
+    [dataSource, requirePermission, auditMeta, publish, enqueueWrite, dispatch]
+  );
+
+  const deleteProduct = useCallback(
+    async (id, { onApplied, onQueuedError } = {}) => {
+      requirePermission('product:delete', 'permission.deleteProducts');
+      const historyId = nextHistoryId();
+      dispatch({ type: 'DELETE_PRODUCT', payload: id, meta: { historyId, ...auditMeta() } });
+      onApplied?.(historyId);
+      await enqueueWrite({
+        id: historyId,
+        productIds: [id],
+        request: () => dataSource.remove(id),
+        onSuccess: () => publish('deleted', [{ id }]),
+        onQueuedError
+      });
+      return historyId;
+    },
+    [dataSource, requirePermission, auditMeta, publish, enqueueWrite, dispatch]
+  );
+
+  // Bulk adds fan out over the data source; whatever succeeded lands as one reducer action.
+  // Bulk edits and deletes are one optimistic write, and only the products the data source
+  // turns down are rolled back. They resolve with { succeeded, failed, historyId } counts.
+  const bulkAddProducts = useCallback(
+    async (products, { source } = {}) => {
+      requirePermission('product:create', 'permission.addProducts');
+      const { succeeded, failed } = await settleEach(products, p =>
+        dataSource.create(reconcileStatus(p))
+      );
+      const historyId = nextHistoryId();
+      if (succeeded.length) {
+        dispatch({
+          type: 'BULK_ADD_PRODUCTS',
+          payload: succeeded,
+          meta: { historyId, ...auditMeta(source) }
+        });
+        publish('created', succeeded, source || 'bulk');
+      }
+      return { succeeded: succeeded.length, failed: failed.length, historyId };
+    },
+    [dataSource, requirePermission, auditMeta, publish, dispatch]
+  );
+
+  const bulkUpdateProducts = useCallback(
+    async (products, { source, onQueuedSuccess, onQueuedError } = {}) => {
+      requirePermission('product:bulk-edit', 'permission.bulkEditProducts');
+      const current = stateRef.current.products;
+      const reconciled = products.map(reconcileStatus).filter(p => findProduct(current, p.id));
+      const historyId = nextHistoryId();
+      if (!reconciled.length) return { succeeded: 0, failed: 0, historyId };
+      dispatch({
+        type: 'BULK_UPDATE_PRODUCTS',
+        payload: reconciled.map(p => withNextVersion(findProduct(current, p.id), p)),
+        meta: { historyId, ...auditMeta(source) }
+      });
+      return enqueueWrite({
+        id: historyId,
+        productIds: reconciled.map(p => p.id),
+        request: settleBatch(reconciled, p => dataSource.update(p)),
+        onSuccess: ({ succeeded, failed }) => {
+          dispatch({ type: 'SYNC_PRODUCTS', payload: succeeded });
+          if (failed.length) {
+            dispatch({
+              type: 'ROLLBACK_MUTATION',
+              payload: { id: historyId, productIds: failed.map(p => p.id) }
+            });
+          }
+          if (succeeded.length) publish('updated', succeeded, source || 'bulk');
+          return { succeeded: succeeded.length, failed: failed.length, historyId };
+        },
+        onQueuedSuccess,
+        onQueuedError
+      });
+    },
+    [dataSource, requirePermission, auditMeta, publish, enqueueWrite, dispatch]
+  );
+
+  const bulkDeleteProducts = useCallback(
+    async (ids, { onQueuedSuccess, onQueuedError } = {}) => {
+      requirePermission('product:bulk-delete', 'permission.bulkDeleteProducts');
+      const existing = ids.filter(id => findProduct(stateRef.current.products, id));
+      const historyId = nextHistoryId();
+      if (!existing.length) return { succeeded: 0, failed: 0, historyId };
+      dispatch({
+        type: 'BULK_DELETE_PRODUCTS',
+        payload: existing,
+        meta: { historyId, ...auditMeta() }
+      });
+      return enqueueWrite({
+        id: historyId,
+        productIds: existing,
+        request: settleBatch(existing, async id => {
+          await dataSource.remove(id);
+          return id;
+        }),
+        onSuccess: ({ succeeded, failed }) => {
+          if (failed.length) {
+            dispatch({
+              type: 'ROLLBACK_MUTATION',
+              payload: { id: historyId, productIds: failed }
+            });
+          }
+          if (succeeded.length) {
+            publish(
+              'deleted',
+              succeeded.map(id => ({ id })),
+              'bulk'
+            );
+          }
+          return { succeeded: succeeded.length, failed: failed.length, historyId };
+        },
+        onQueuedSuccess,
+        onQueuedError
+      });
+    },
+    [dataSource, requirePermission, auditMeta, publish, enqueueWrite, dispatch]
+  );
+
+  // Resolves with the replayed entry, or null when there was nothing to replay.
+  // Passing a historyId only undoes that entry, and only if nothing newer sits on top of it.
+  const replay = useCallback(
+    async (forward, historyId) => {
+      const { past, future } = stateRef.current.history;
+      const stack = forward ? future : past;
+      const entry = stack[stack.length - 1];
+      if (!entry || historyBusy.current) return null;
+      requirePermission('product:edit', forward ? 'permission.redo' : 'permission.undo');
+      if (historyId !== undefined && entry.id !== historyId) {
+        throw new Error(t('history.undoNewerFirst'));
+      }
+      if (stateRef.current.pendingMutations[entry.id]) throw new Error(t('history.stillSaving'));
+
+      // Someone else changing a product since leaves nothing to undo (or redo) on it
+      const expected = expectedProducts(entry, forward);
+      const current = new Map(
+        expected
+          .map(p => findProduct(stateRef.current.products, p.id))
+          .filter(Boolean)
+          .map(p => [p.id, p])
+      );
+      const changed = expected.find(
+        p => !current.has(p.id) || diffFields(p, current.get(p.id)).length
+      );
+      if (changed) throw new Error(t('history.changedSince', { name: changed.name }));
+      const versions = new Map([...current].map(([id, p]) => [id, p.version]));
+
+      historyBusy.current = true;
+      try {
+        try {
+          await syncHistoryEntry(dataSource, entry, forward, versions);
+        } catch (err) {
+          if (err.name !== 'ConflictError') throw err;
+          dispatch({
+            type: 'REMOTE_SAVE_PRODUCT',
+            payload: err.current,
+            meta: { ...auditMeta(), actor: err.actor }
+          });
+          throw new Error(t('history.changedSince', { name: err.current.name }));
+        }
+        const { products } = stateRef.current;
+        const changes = diffProducts(
+          products,
+          applyHistoryEntry(products, entry, forward),
+          historyEntryIds(entry)
+        );
+        dispatch({ type: forward ? 'REDO' : 'UNDO', meta: auditMeta() });
+        changes.forEach(change =>
+          publish(change.kind, [change.after || change.before], forward ? 'redo' : 'undo')
+        );
+        return entry;
+      } finally {
+        historyBusy.current = false;
+      }
+    },
+    [dataSource, requirePermission, auditMeta, publish, t, dispatch]
+  );
+
+  // Drops local edits (and their activity log, since ids get reused) and loads a fresh
+  // catalog from the data source
+  const resetCatalog = useCallback(async () => {
+    requirePermission('catalog:reset', 'permission.resetCatalog');
+    clearTimeout(persistTimer.current);
+    if (storage) await clearCatalog(storage);
+    savedCatalog.current = null;
+    dispatch({ type: 'CLEAR_AUDIT_LOG' });
+    dataSource.reset?.();
+    skipCache.current = true;
+    reload();
+  }, [dataSource, storage, requirePermission, reload, dispatch]);
+
+  // Restores a product's editable fields from an audit snapshot; a deleted one is re-created
+  const revertProduct = useCallback(
+    async snapshot => {
+      const current = findProduct(stateRef.current.products, snapshot.id);
+      if (!current) return addProduct(snapshot, { source: 'restore' });
+      // Snapshots from before products had variants and images leave those alone
+      const keys = [...formFields.map(f => f.key), ...FORM_LISTS.filter(key => key in snapshot)];
+      const fields = Object.fromEntries(keys.map(key => [key, snapshot[key]]));
+      return updateProduct(
+        { ...current, ...fields, promotion: snapshot.promotion ?? null },
+        { source: 'revert' }
+      );
+    },
+    [addProduct, updateProduct]
+  );
+
+  const setCategoryThresholds = useCallback(
+    async thresholds => {
+      requirePermission('inventory:configure', 'permission.configureInventory');
+      dispatch({ type: 'SET_CATEGORY_THRESHOLDS', payload: thresholds });
+      if (storage) await storage.set(THRESHOLDS_KEY, thresholds);
+    },
+    [storage, requirePermission, dispatch]
+  );
+
+  const undo = useCallback(historyId => replay(false, historyId), [replay]);
+  const redo = useCallback(() => replay(true), [replay]);
+
+  // productId -> 'saving' | 'queued' for rows to show; queued wins over saving
+  const pendingProducts = useMemo(() => {
+    const byProduct = {};
+    Object.values(state.pendingMutations).forEach(({ productIds, status }) =>
+      productIds.forEach(id => {
+        if (byProduct[id] !== 'queued') byProduct[id] = status;
+      })
+    );
+    return byProduct;
+  }, [state.pendingMutations]);
+
+  const value = useMemo(
+    () => ({
+      ...state,
+      imageStore,
+      canUndo: state.history.past.length > 0,
+      canRedo: state.history.future.length > 0,
+      realtimeStatus,
+      pendingProducts,
+      dispatch,
+      reload,
+      addProduct,
+      updateProduct,
+      deleteProduct,
+      bulkAddProducts,
+      bulkUpdateProducts,
+      bulkDeleteProducts,
+      resetCatalog,
+      revertProduct,
+      setCategoryThresholds,
+      undo,
+      redo
+    }),
+    [
+      state,
+      imageStore,
+      realtimeStatus,
+      pendingProducts,
+      dispatch,
+      reload,
+      addProduct,
+      updateProduct,
+      deleteProduct,
+      bulkAddProducts,
+      bulkUpdateProducts,
+      bulkDeleteProducts,
+      resetCatalog,
+      revertProduct,
+      setCategoryThresholds,
+      undo,
+      redo
+    ]
+  );
+  return <ProductContext.Provider value={value}>{children}</ProductContext.Provider>;
+};
+
+export { ProductProvider };
@@ -0,0 +1,56 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { RouterContext } from './contexts';
+import { useErrorReporting } from '../hooks';
+
+/* ========= Router ========= */
+// Minimal History API router: the pathname picks the page, the query string carries list state
+const readLocation = () => ({
+  pathname: window.location.pathname,
+  search: window.location.search
+});
+
+const RouterProvider = ({ children }) => {
+  const [location, setLocation] = useState(readLocation);
+  const { addBreadcrumb } = useErrorReporting();
+
+  useEffect(() => {
+    addBreadcrumb({ kind: 'navigation', path: location.pathname });
+  }, [location.pathname, addBreadcrumb]);
+
+  useEffect(() => {
+    const handlePopState = () => setLocation(readLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const url = new URL(to, window.location.href);
+    if (url.pathname === window.location.pathname && url.search === window.location.search) return;
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', url.pathname + url.search);
+    setLocation(readLocation());
+  }, []);
+
+  const value = useMemo(() => ({ location, navigate }), [location, navigate]);
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+};
+
+// matchPath('/products/:id', '/products/42') -> { id: '42' }
+const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = pathname.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+const productPath = id => `/products/${id}`;
+
+export { RouterProvider, matchPath, productPath };
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { nextItemId } from '../data/schema';
+import {
+  SAVED_VIEWS_KEY,
+  VIEW_PREFERENCES_KEY,
+  userKey,
+  storageFailureMessage
+} from '../data/storage';
+import { SavedViewsContext } from './contexts';
+import { defaultFacets } from '../data/listQuery';
+import { useAuth, useProducts, useLocale, useReportFailure } from '../hooks';
+import { PRODUCT_COLUMNS, defaultVisibleColumns } from '../data/columns';
+
+/* ========= Saved Views Provider ========= */
+// A view is a named copy of the list's search, category, facets, sort and table columns.
+// Views live in the app's storage, which everyone signing in on this browser shares; views
+// marked shared are listed for all of them. Pins and the default view are stored per user.
+const listSnapshot = ({ searchTerm, filter, facets, sort, visibleColumns }) => ({
+  searchTerm,
+  filter,
+  facets,
+  sort,
+  visibleColumns
+});
+
+// Views saved before a column or facet existed (or after one was removed) still apply
+const restoreSnapshot = query => {
+  const columns = new Set(PRODUCT_COLUMNS.map(c => c.key));
+  const visibleColumns = (query.visibleColumns || []).filter(key => columns.has(key));
+  return {
+    searchTerm: query.searchTerm || '',
+    filter: query.filter || 'all',
+    facets: { ...defaultFacets, ...query.facets },
+    sort: (query.sort || []).filter(s => columns.has(s.key)),
+    visibleColumns: visibleColumns.length ? visibleColumns : defaultVisibleColumns
+  };
+};
+
+const sameSnapshot = (a, b) => JSON.stringify(listSnapshot(a)) === JSON.stringify(listSnapshot(b));
+
+const noPreferences = { pinned: [], defaultViewId: null };
+
+const SavedViewsProvider = ({ storage, children }) => {
+  const { user } = useAuth();
+  const { t, locale } = useLocale();
+  const { searchTerm, filter, facets, sort, visibleColumns, dispatch } = useProducts();
+  const reportFailure = useReportFailure();
+  const [views, setViews] = useState([]);
+  const [preferences, setPreferences] = useState(noPreferences);
+  const [loaded, setLoaded] = useState(false);
+  const defaultChecked = React.useRef(false);
+  const viewWrites = React.useRef(Promise.resolve());
+
+  const current = useMemo(
+    () => ({ searchTerm, filter, facets, sort, visibleColumns }),
+    [searchTerm, filter, facets, sort, visibleColumns]
+  );
+  const latest = React.useRef();
+  latest.current = { current, views };
+
+  useEffect(() => {
+    if (!storage) {
+      setLoaded(true);
+      return;
+    }
+    Promise.all([storage.get(SAVED_VIEWS_KEY), storage.get(userKey(VIEW_PREFERENCES_KEY, user))])
+      .then(([savedViews, savedPreferences]) => {
+        if (Array.isArray(savedViews)) setViews(savedViews);
+        if (savedPreferences) setPreferences({ ...noPreferences, ...savedPreferences });
+      })
+      .catch(err =>
+        reportFailure(err, { operation: 'load', key: SAVED_VIEWS_KEY }, 'storage.loadFailed')
+      )
+      .finally(() => setLoaded(true));
+  }, [storage, user, reportFailure]);
+
+  // Each change is made again to the views as stored right now, not as this tab loaded them,
+  // so views saved in the meantime (in another tab, say) aren't written over. This tab's
+  // writes go one after another, and the last one brings in everything stored.
+  const changeViews = useCallback(
+    change => {
+      setViews(change);
+      if (!storage) return;
+      const write = viewWrites.current
+        .then(async () => {
+          const saved = await storage.get(SAVED_VIEWS_KEY);
+          const next = change(Array.isArray(saved) ? saved : []);
+          await storage.set(SAVED_VIEWS_KEY, next);
+          if (viewWrites.current === write) setViews(next);
+        })
+        .catch(err =>
+          reportFailure(
+            err,
+            { operation: 'save', key: SAVED_VIEWS_KEY },
+            storageFailureMessage(err)
+          )
+        );
+      viewWrites.current = write;
+    },
+    [storage, reportFailure]
+  );
+
+  useEffect(() => {
+    if (!storage || !loaded) return;
+    const key = userKey(VIEW_PREFERENCES_KEY, user);
+    storage
+      .set(key, preferences)
+      .catch(err => reportFailure(err, { operation: 'save', key }, storageFailureMessage(err)));
+  }, [storage, user, loaded, preferences, reportFailure]);
+
+  // The user's own views and everyone's shared ones, by name
+  const visibleViews = useMemo(
+    () =>
+      views
+        .filter(view => view.ownerId === user?.id || view.shared)
+        .sort((a, b) => a.name.localeCompare(b.name, locale)),
+    [views, user, locale]
+  );
+
+  const pinnedIds = useMemo(
+    () => preferences.pinned.filter(id => visibleViews.some(view => view.id === id)),
+    [preferences, visibleViews]
+  );
+  const defaultViewId = visibleViews.some(view => view.id === preferences.defaultViewId)
+    ? preferences.defaultViewId
+    : null;
+
+  const activeViewId = useMemo(
+    () => visibleViews.find(view => sameSnapshot(restoreSnapshot(view.query), current))?.id ?? null,
+    [visibleViews, current]
+  );
+
+  const applyView = useCallback(
+    id => {
+      const view = latest.current.views.find(v => v.id === id);
+      if (!view) return;
+      const next = restoreSnapshot(view.query);
+      dispatch({ type: 'SET_SEARCH', payload: next.searchTerm });
+      dispatch({ type: 'SET_FILTER', payload: next.filter });
+      dispatch({ type: 'SET_FACETS', payload: next.facets });
+      dispatch({ type: 'SET_SORT', payload: next.sort });
+      dispatch({ type: 'SET_VISIBLE_COLUMNS', payload: next.visibleColumns });
+    },
+    [dispatch]
+  );
+
+  // The default view replaces the list state it starts with, unless a deep link or anything
+  // done before the views loaded already changed it
+  useEffect(() => {
+    if (!loaded || defaultChecked.current) return;
+    defaultChecked.current = true;
+    if (defaultViewId && sameSnapshot(latest.current.current, restoreSnapshot({}))) {
+      applyView(defaultViewId);
+    }
+  }, [loaded, defaultViewId, applyView]);
+
+  // Views are only changed by their owner; anyone they are shared with can apply them
+  const ownView = useCallback(
+    id => {
+      const view = latest.current.views.find(v => v.id === id);
+      if (!view || view.ownerId !== user?.id) throw new Error(t('views.notOwner'));
+      return view;
+    },
+    [user, t]
+  );
+
+  const saveView = useCallback(
+    (name, { shared = false } = {}) => {
+      const trimmed = name.trim();
+      if (!trimmed) throw new Error(t('validation.required', { field: t('views.name') }));
+      const taken = latest.current.views.some(
+        view =>
+          view.ownerId === user.id &&
+          view.name.localeCompare(trimmed, locale, { sensitivity: 'accent' }) === 0
+      );
+      if (taken) throw new Error(t('views.duplicateName', { name: trimmed }));
+
+      const view = {
+        id: nextItemId(),
+        name: trimmed,
+        ownerId: user.id,
+        ownerName: user.name,
+        shared,
+        createdAt: new Date().toISOString(),
+        query: listSnapshot(latest.current.current)
+      };
+      changeViews(prev => [...prev, view]);
+      return view;
+    },
+    [user, t, locale, changeViews]
+  );
+
+  const updateView = useCallback(
+    (id, changes) => {
+      ownView(id);
+      changeViews(prev => prev.map(view => (view.id === id ? { ...view, ...changes } : view)));
+    },
+    [ownView, changeViews]
+  );
+
+  const overwriteView = useCallback(
+    id => updateView(id, { query: listSnapshot(latest.current.current) }),
+    [updateView]
+  );
+
+  // Other users' pins and defaults pointing at the view are ignored once it is gone
+  const deleteView = useCallback(
+    id => {
+      ownView(id);
+      changeViews(prev => prev.filter(view => view.id !== id));
+      setPreferences(prev => ({
+        pinned: prev.pinned.filter(pinnedId => pinnedId !== id),
+        defaultViewId: prev.defaultViewId === id ? null : prev.defaultViewId
+      }));
+    },
+    [ownView, changeViews]
+  );
+
+  const updatePreferences = useCallback(
+    update => setPreferences(prev => ({ ...prev, ...update(prev) })),
+    []
+  );
+
+  const togglePinned = useCallback(
+    id =>
+      updatePreferences(prefs => ({
+        pinned: prefs.pinned.includes(id)
+          ? prefs.pinned.filter(pinnedId => pinnedId !== id)
+          : [...prefs.pinned, id]
+      })),
+    [updatePreferences]
+  );
+
+  // Passing the current default (or null) clears it
+  const setDefaultView = useCallback(
+    id => updatePreferences(prefs => ({ defaultViewId: prefs.defaultViewId === id ? null : id })),
+    [updatePreferences]
+  );
+
+  const value = useMemo(
+    () => ({
+      views: visibleViews,
+      pinnedIds,
+      defaultViewId,
+      activeViewId,
+      applyView,
+      saveView,
+      updateView,
+      overwriteView,
+      deleteView,
+      togglePinned,
+      setDefaultView
+    }),
+    [
+      visibleViews,
+      pinnedIds,
+      defaultViewId,
+      activeViewId,
+      applyView,
+      saveView,
+      updateView,
+      overwriteView,
+      deleteView,
+      togglePinned,
+      setDefaultView
+    ]
+  );
+  return <SavedViewsContext.Provider value={value}>{children}</SavedViewsContext.Provider>;
+};
+
+export { SavedViewsProvider };
@@ -0,0 +1,23 @@
+import { createContext } from 'react';
+
+/* ========= Context Setup ========= */
+const AuthContext = createContext();
+
+const ProductContext = createContext();
+
+const NotificationContext = createContext();
+
+const RouterContext = createContext();
+
+const LocaleContext = createContext();
+
+const SavedViewsContext = createContext();
+
+export {
+  AuthContext,
+  ProductContext,
+  NotificationContext,
+  RouterContext,
+  LocaleContext,
+  SavedViewsContext
+};
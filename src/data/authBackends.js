@@ -0,0 +1,65 @@
+import { wait } from './dataSources';
+
+/* ========= Auth Backends ========= */
+// Roles are cumulative: editors get everything viewers can do, admins everything editors can
+const ROLE_PERMISSIONS = {
+  viewer: [],
+  editor: [
+    'product:create',
+    'product:edit',
+    'product:delete',
+    'product:bulk-edit',
+    'product:import',
+    'inventory:configure'
+  ],
+  admin: [
+    'product:create',
+    'product:edit',
+    'product:delete',
+    'product:bulk-edit',
+    'product:bulk-delete',
+    'product:import',
+    'inventory:configure',
+    'catalog:reset',
+    'currency:configure'
+  ]
+};
+
+const hasPermission = (user, permission) =>
+  !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+const MOCK_USERS = [
+  { id: 1, name: 'John Admin', role: 'admin', email: 'admin@example.com', password: 'admin' },
+  { id: 2, name: 'Erin Editor', role: 'editor', email: 'editor@example.com', password: 'editor' },
+  { id: 3, name: 'Victor Viewer', role: 'viewer', email: 'viewer@example.com', password: 'viewer' }
+];
+
+// Every auth backend exposes login/logout/restore and returns promises;
+// restore() resolves with the signed-in user from a previous visit, or null
+const createMockAuthBackend = ({ users = MOCK_USERS, storageKey = 'dashboard.session' } = {}) => {
+  const publicUser = user =>
+    Object.fromEntries(Object.entries(user).filter(([key]) => key !== 'password'));
+
+  return {
+    login: async ({ email, password }) => {
+      await wait(300);
+      const user = users.find(
+        u => u.email.toLowerCase() === email.trim().toLowerCase() && u.password === password
+      );
+      if (!user) throw new Error('Invalid email or password');
+      localStorage.setItem(storageKey, String(user.id));
+      return publicUser(user);
+    },
+    logout: async () => {
+      localStorage.removeItem(storageKey);
+    },
+    restore: async () => {
+      const user = users.find(u => String(u.id) === localStorage.getItem(storageKey));
+      return user ? publicUser(user) : null;
+    }
+  };
+};
+
+const defaultAuthBackend = createMockAuthBackend();
+
+export { hasPermission, createMockAuthBackend, defaultAuthBackend };
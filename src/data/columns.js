@@ -0,0 +1,18 @@
+/* ========= Product Columns ========= */
+// The list's columns; numeric ones sort as numbers and are formatted for the locale
+const PRODUCT_COLUMNS = [
+  { key: 'name', labelKey: 'field.name', width: 'minmax(160px, 2fr)' },
+  { key: 'sku', labelKey: 'field.sku', width: '120px', hidden: true },
+  { key: 'category', labelKey: 'field.category', width: 'minmax(110px, 1fr)' },
+  { key: 'price', labelKey: 'field.price', width: '140px', numeric: true },
+  { key: 'stock', labelKey: 'field.stock', width: '80px', numeric: true },
+  { key: 'sales', labelKey: 'field.sales', width: '80px', numeric: true },
+  { key: 'rating', labelKey: 'field.rating', width: '80px', numeric: true },
+  { key: 'status', labelKey: 'field.status', width: '120px' }
+];
+
+const defaultVisibleColumns = PRODUCT_COLUMNS.filter(c => !c.hidden).map(c => c.key);
+
+const numericKeysOf = columns => columns.filter(c => c.numeric).map(c => c.key);
+
+export { PRODUCT_COLUMNS, defaultVisibleColumns, numericKeysOf };
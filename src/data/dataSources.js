@@ -0,0 +1,263 @@
+import { stockOf } from '../productQuery';
+import { PRODUCT_CATEGORIES, PRODUCT_STATUSES, nextItemId } from './schema';
+
+/* ========= Data Sources ========= */
+const SALES_HISTORY_MONTHS = 12;
+
+// 'YYYY-MM' keys for the last `count` months, oldest first
+const recentMonths = (count, from = new Date()) =>
+  Array.from({ length: count }, (_, i) => {
+    const date = new Date(from.getFullYear(), from.getMonth() - (count - 1 - i), 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  });
+
+// Spreads a unit total over random monthly buckets that add back up to it
+const generateSalesHistory = total => {
+  const months = recentMonths(SALES_HISTORY_MONTHS);
+  const weights = months.map(() => Math.random());
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  let remaining = total;
+  return months.map((month, i) => {
+    const units =
+      i === months.length - 1
+        ? remaining
+        : Math.min(remaining, Math.round((total * weights[i]) / weightSum));
+    remaining -= units;
+    return { month, units };
+  });
+};
+
+// Option values per category, and how much more each variant after the first costs
+const MOCK_VARIANT_OPTIONS = {
+  Clothing: { options: { Size: ['S', 'M', 'L'], Color: ['Black', 'White'] }, priceStep: 0 },
+  Electronics: { options: { Storage: ['128 GB', '256 GB', '512 GB'] }, priceStep: 100 }
+};
+
+// Every combination of the options' values, as attribute objects
+const optionCombinations = options =>
+  Object.entries(options).reduce(
+    (combos, [name, values]) =>
+      combos.flatMap(combo => values.map(value => ({ ...combo, [name]: value }))),
+    [{}]
+  );
+
+const skuPart = value => value.replace(/\s+/g, '').slice(0, 3).toUpperCase();
+
+// The first variant keeps the product's price; out-of-stock products get empty variants
+const generateVariants = (sku, category, price, inStock) => {
+  const { options, priceStep } = MOCK_VARIANT_OPTIONS[category];
+  return optionCombinations(options).map((attributes, i) => ({
+    id: nextItemId(),
+    sku: [sku, ...Object.values(attributes).map(skuPart)].join('-'),
+    attributes,
+    price: priceStep && i ? price + priceStep * i : '',
+    stock: inStock ? Math.floor(Math.random() * 30) : 0
+  }));
+};
+
+// Generate fake data; about half the clothing and electronics come in variants
+const generateMockProducts = (count = 1000) =>
+  Array.from({ length: count }, (_, i) => {
+    const status = PRODUCT_STATUSES[Math.floor(Math.random() * PRODUCT_STATUSES.length)];
+    const category = PRODUCT_CATEGORIES[Math.floor(Math.random() * PRODUCT_CATEGORIES.length)];
+    const price = Math.floor(Math.random() * 500) + 10;
+    const sales = Math.floor(Math.random() * 1000);
+    const sku = `${skuPart(category)}-${String(i + 1).padStart(5, '0')}`;
+    const variants =
+      MOCK_VARIANT_OPTIONS[category] && Math.random() < 0.5
+        ? generateVariants(sku, category, price, status !== 'out-of-stock')
+        : [];
+    const stock = status === 'out-of-stock' ? 0 : Math.floor(Math.random() * 100);
+    return {
+      id: i + 1,
+      name: `Product ${i + 1}`,
+      sku,
+      category,
+      price,
+      stock: variants.length ? stockOf({ variants }) : stock,
+      status,
+      sales,
+      salesHistory: generateSalesHistory(sales),
+      rating: (Math.random() * 5).toFixed(1),
+      variants,
+      images: [],
+      version: 1
+    };
+  });
+
+const abortError = () => {
+  const err = new Error('The operation was aborted');
+  err.name = 'AbortError';
+  return err;
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    });
+  });
+
+// Every stored change bumps a product's version; an update carrying an expectedVersion
+// that no longer matches is rejected with a ConflictError holding the current product and,
+// when the data source knows it, who saved that
+const withNextVersion = (current, next) => ({ ...next, version: (current.version ?? 0) + 1 });
+
+const conflictError = (current, actor = null) => {
+  const err = new Error(`Product ${current.id} was changed by someone else`);
+  err.name = 'ConflictError';
+  err.current = current;
+  err.actor = actor;
+  return err;
+};
+
+// In-memory source backed by generateMockProducts; every data source exposes
+// list/get/create/update/remove and returns promises. Writes take `writeLatency`, fail
+// like fetch() does while the browser is offline, and fail at random with `failureRate`.
+const createMockDataSource = ({
+  count = 1000,
+  latency = 1000,
+  writeLatency = 300,
+  failureRate = 0
+} = {}) => {
+  let products = null;
+  let lastId = 0;
+  // Who saved each product last, for conflicts to name
+  const savedBy = new Map();
+  const load = () => {
+    if (!products) {
+      products = generateMockProducts(count);
+      lastId = products.reduce((max, p) => Math.max(max, p.id), 0);
+    }
+    return products;
+  };
+
+  const send = async signal => {
+    await wait(writeLatency, signal);
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      throw new TypeError('Failed to fetch');
+    }
+    if (Math.random() < failureRate) throw new Error('Simulated server error');
+  };
+
+  const find = id => {
+    const product = load().find(p => p.id === id);
+    if (!product) throw new Error(`Product ${id} not found`);
+    return product;
+  };
+
+  return {
+    list: async ({ signal } = {}) => {
+      await wait(latency, signal);
+      return [...load()];
+    },
+    // A catalog rehydrated from local storage replaces the generated one,
+    // so later mutations find the same products the UI shows
+    hydrate: items => {
+      products = [...items];
+      lastId = products.reduce((max, p) => Math.max(max, p.id), 0);
+    },
+    reset: () => {
+      products = null;
+    },
+    get: async (id, { signal } = {}) => {
+      await wait(0, signal);
+      return find(id);
+    },
+    create: async (product, { signal } = {}) => {
+      await send(signal);
+      load();
+      // Restored products (undo of a delete) keep their id; new ones get the next
+      // monotonic id, which never collides with the generated 1..count range
+      if (product.id != null && products.some(p => p.id === product.id)) {
+        throw new Error(`Product ${product.id} already exists`);
+      }
+      const created = { ...product, id: product.id ?? ++lastId, version: product.version ?? 1 };
+      products = [...products, created];
+      return created;
+    },
+    update: async (product, { signal, expectedVersion, actor = null } = {}) => {
+      await send(signal);
+      const current = find(product.id);
+      if (expectedVersion != null && current.version !== expectedVersion) {
+        throw conflictError(current, savedBy.get(product.id));
+      }
+      const updated = withNextVersion(current, product);
+      products = load().map(p => (p.id === product.id ? updated : p));
+      savedBy.set(product.id, actor);
+      return updated;
+    },
+    remove: async (id, { signal } = {}) => {
+      await send(signal);
+      find(id);
+      products = load().filter(p => p.id !== id);
+    },
+    // Applies a change another client made, so every tab's copy of the mock backend agrees
+    receive: event => {
+      load();
+      if (event.type === 'product:deleted') {
+        products = products.filter(p => p.id !== event.id);
+        savedBy.delete(event.id);
+        return;
+      }
+      const { product } = event;
+      const current = products.find(p => p.id === product.id);
+      if (current && current.version >= product.version) return;
+      lastId = Math.max(lastId, product.id);
+      savedBy.set(product.id, event.actor ?? null);
+      products = current
+        ? products.map(p => (p.id === product.id ? product : p))
+        : [...products, product];
+    }
+  };
+};
+
+// REST adapter: GET/POST /products, GET/PUT/DELETE /products/:id. Versioned updates send
+// If-Match and expect 409 or 412 with the current product when it has moved on.
+const createRestDataSource = ({ baseUrl, headers = {} }) => {
+  const request = async (path, { method = 'GET', body, signal, ifMatch } = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(ifMatch == null ? {} : { 'If-Match': `"${ifMatch}"` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (res.status === 409 || res.status === 412) throw conflictError(await res.json());
+    if (!res.ok) throw new Error(`Request failed: ${res.status} ${res.statusText}`);
+    return res.status === 204 ? null : res.json();
+  };
+
+  return {
+    list: ({ signal } = {}) => request('/products', { signal }),
+    get: (id, { signal } = {}) => request(`/products/${id}`, { signal }),
+    create: (product, { signal } = {}) =>
+      request('/products', { method: 'POST', body: product, signal }),
+    update: (product, { signal, expectedVersion } = {}) =>
+      request(`/products/${product.id}`, {
+        method: 'PUT',
+        body: product,
+        signal,
+        ifMatch: expectedVersion
+      }),
+    remove: (id, { signal } = {}) => request(`/products/${id}`, { method: 'DELETE', signal })
+  };
+};
+
+const defaultDataSource = createMockDataSource();
+
+export {
+  generateMockProducts,
+  wait,
+  withNextVersion,
+  conflictError,
+  createMockDataSource,
+  createRestDataSource,
+  defaultDataSource
+};
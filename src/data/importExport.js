@@ -0,0 +1,256 @@
+import { productSchema, parseProduct, validateProduct, nextItemId, emptyProduct } from './schema';
+import { translate } from '../i18n/locale';
+
+/* ========= Import / Export ========= */
+const EXPORT_FIELDS = ['id', ...productSchema.fields.map(f => f.key)];
+
+const IMPORT_FIELDS = [{ key: 'id', label: 'ID' }, ...productSchema.fields];
+
+// Only JSON carries these; a CSV row has one cell per field
+const NESTED_FIELDS = ['variants', 'images', 'promotion', 'salesHistory'];
+
+const escapeCsvCell = value => {
+  let cell = value == null ? '' : String(value);
+  // Stop spreadsheets from evaluating text that looks like a formula
+  if (/^[=+\-@]/.test(cell) && Number.isNaN(Number(cell))) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+const toCsv = products =>
+  [EXPORT_FIELDS, ...products.map(p => EXPORT_FIELDS.map(key => p[key]))]
+    .map(row => row.map(escapeCsvCell).join(','))
+    .join('\r\n');
+
+const blobToDataUrl = blob =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+// Image files go into the JSON as data URLs so the export can be imported elsewhere. An image
+// whose file is no longer stored is left out.
+const exportImages = async (images = [], imageStore) =>
+  (
+    await Promise.all(
+      images.map(async ({ id, name }) => {
+        const blob = await imageStore.get(id);
+        return blob ? { id, name, data: await blobToDataUrl(blob) } : null;
+      })
+    )
+  ).filter(Boolean);
+
+const toJson = async (products, imageStore) =>
+  JSON.stringify(
+    await Promise.all(
+      products.map(async p => ({
+        ...Object.fromEntries(EXPORT_FIELDS.map(key => [key, p[key]])),
+        variants: p.variants || [],
+        images: await exportImages(p.images, imageStore),
+        promotion: p.promotion ?? null,
+        salesHistory: p.salesHistory || []
+      }))
+    ),
+    null,
+    2
+  );
+
+// RFC 4180: quoted fields may contain commas, newlines and doubled quotes
+const parseCsv = text => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Normalises either format to { columns, records } with string cell values. JSON files also
+// return `nested`: the variants, images, promotion and sales history each item has, by row.
+const parseImportFile = (name, text) => {
+  const content = text.replace(/^\uFEFF/, '');
+
+  if (/\.json$/i.test(name)) {
+    const data = JSON.parse(content);
+    const items = Array.isArray(data) ? data : data.products;
+    if (!Array.isArray(items)) throw new Error('Expected an array of products');
+    const columns = [...new Set(items.flatMap(item => Object.keys(item)))].filter(
+      c => !NESTED_FIELDS.includes(c)
+    );
+    const records = items.map(item =>
+      Object.fromEntries(columns.map(c => [c, item[c] == null ? '' : String(item[c])]))
+    );
+    const nested = items.map(item =>
+      Object.fromEntries(NESTED_FIELDS.filter(key => key in item).map(key => [key, item[key]]))
+    );
+    return { columns, records, nested };
+  }
+
+  const [header, ...rows] = parseCsv(content);
+  if (!header) throw new Error('The file is empty');
+  const columns = header.map(h => h.trim());
+  const records = rows.map(r => Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ''])));
+  return { columns, records };
+};
+
+const guessMapping = columns =>
+  Object.fromEntries(
+    IMPORT_FIELDS.map(field => [
+      field.key,
+      columns.find(
+        c =>
+          c.toLowerCase() === field.key.toLowerCase() ||
+          c.toLowerCase() === field.label.toLowerCase()
+      ) || ''
+    ])
+  );
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The checks validateProduct can't make because it expects these fields in the shape the
+// dashboard itself saves. An image needs its file unless the product already has it.
+const NESTED_SHAPES = {
+  variants: value =>
+    Array.isArray(value) &&
+    value.every(
+      variant =>
+        isPlainObject(variant) &&
+        (variant.attributes === undefined || isPlainObject(variant.attributes))
+    ),
+  images: (value, existing) =>
+    Array.isArray(value) &&
+    value.every(
+      image =>
+        isPlainObject(image) &&
+        typeof image.name === 'string' &&
+        (/^data:image\//.test(image.data) ||
+          (existing?.images || []).some(current => current.id === image.id))
+    ),
+  promotion: value => value === null || isPlainObject(value),
+  salesHistory: value =>
+    Array.isArray(value) &&
+    value.every(
+      entry =>
+        isPlainObject(entry) &&
+        /^\d{4}-\d{2}$/.test(entry.month) &&
+        Number.isInteger(entry.units) &&
+        entry.units >= 0
+    )
+};
+
+// Imported images keep their file as `src`, which storeInlineImages moves to the image store
+const importNested = (key, value) => {
+  if (key === 'images') {
+    return value.map(({ id, name, data }) => ({
+      id: id == null ? nextItemId() : String(id),
+      name,
+      ...(data ? { src: data } : {})
+    }));
+  }
+  if (key === 'variants') {
+    return value.map(variant => ({
+      ...variant,
+      id: variant.id == null ? nextItemId() : variant.id,
+      attributes: variant.attributes || {}
+    }));
+  }
+  return value;
+};
+
+const withoutImageData = images => (images || []).map(({ id, name }) => ({ id, name }));
+
+const nestedChanged = (existing, product, key) =>
+  key === 'images'
+    ? JSON.stringify(withoutImageData(existing.images)) !==
+      JSON.stringify(withoutImageData(product.images))
+    : JSON.stringify(existing[key] ?? null) !== JSON.stringify(product[key] ?? null);
+
+// Classifies every row as add / update / unchanged / conflict / invalid
+const buildImportPlan = (records, mapping, products, t = translate, nested = []) => {
+  const byId = new Map(products.map(p => [String(p.id), p]));
+  const idColumn = mapping.id;
+  const idCounts = new Map();
+  if (idColumn) {
+    records.forEach(r => {
+      const id = (r[idColumn] || '').trim();
+      if (id) idCounts.set(id, (idCounts.get(id) || 0) + 1);
+    });
+  }
+
+  return records.map((record, i) => {
+    const values = {};
+    productSchema.fields.forEach(field => {
+      if (mapping[field.key]) values[field.key] = (record[mapping[field.key]] ?? '').trim();
+    });
+    const id = idColumn ? (record[idColumn] || '').trim() : '';
+    const existing = id ? byId.get(id) : null;
+    const row = { line: i + 1, id };
+
+    if (id && idCounts.get(id) > 1) {
+      return { ...row, kind: 'conflict', reason: t('import.duplicateId', { id }) };
+    }
+
+    const nestedValues = nested[i] || {};
+    const malformed = Object.keys(nestedValues).find(
+      key => !NESTED_SHAPES[key](nestedValues[key], existing)
+    );
+    if (malformed) {
+      const reason = t('import.invalidNested', { field: t(`field.${malformed}`) });
+      return { ...row, kind: 'invalid', reason };
+    }
+    Object.entries(nestedValues).forEach(([key, value]) => {
+      values[key] = importNested(key, value);
+    });
+
+    const merged = existing ? { ...existing, ...values } : { ...emptyProduct, ...values };
+    const errors = Object.values(validateProduct(merged, t));
+    if (errors.length) return { ...row, kind: 'invalid', reason: errors.join('; ') };
+
+    const product = parseProduct(merged);
+    if (id && !existing) {
+      const reason = t('import.unknownId', { id });
+      return { ...row, kind: 'conflict', reason, product, resolvable: true };
+    }
+    if (!existing) return { ...row, kind: 'add', product };
+
+    const changed =
+      productSchema.fields.some(
+        f => String(existing[f.key] ?? '') !== String(product[f.key] ?? '')
+      ) || Object.keys(nestedValues).some(key => nestedChanged(existing, product, key));
+    return { ...row, kind: changed ? 'update' : 'unchanged', product };
+  });
+};
+
+export { IMPORT_FIELDS, toCsv, toJson, parseImportFile, guessMapping, buildImportPlan };
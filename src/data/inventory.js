@@ -0,0 +1,93 @@
+import { DEFAULT_REORDER_THRESHOLD, stockOf, reorderThresholdFor } from '../productQuery';
+import { PRODUCT_CATEGORIES } from './schema';
+
+/* ========= Inventory ========= */
+const VELOCITY_MONTHS = 3;
+
+const REORDER_COVER_MONTHS = 2;
+
+const defaultCategoryThresholds = Object.fromEntries(
+  PRODUCT_CATEGORIES.map(category => [category, DEFAULT_REORDER_THRESHOLD])
+);
+
+// Average units per month over the most recent months of sales history
+const salesVelocity = product => {
+  const recent = [...(product.salesHistory || [])]
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .slice(-VELOCITY_MONTHS);
+  return recent.length ? recent.reduce((sum, entry) => sum + entry.units, 0) / recent.length : 0;
+};
+
+// Enough to get back above the threshold and cover REORDER_COVER_MONTHS of demand
+const suggestedReorderQuantity = (product, categoryThresholds) =>
+  Math.max(
+    0,
+    Math.ceil(
+      reorderThresholdFor(product, categoryThresholds) +
+        salesVelocity(product) * REORDER_COVER_MONTHS -
+        product.stock
+    )
+  );
+
+// Keeps status in step with stock: an empty active product is out of stock and a restocked
+// one is active again (inactive if it has no price yet). Inactive products are left alone.
+const reconciledStatus = ({ status, stock, price }) => {
+  if (status === 'active' && stock === 0) return 'out-of-stock';
+  if (status === 'out-of-stock' && stock > 0) return price > 0 ? 'active' : 'inactive';
+  return status;
+};
+
+// Stock is rolled up from the variants first, for products that have them
+const reconcileStatus = product => {
+  const stock = stockOf(product);
+  const status = reconciledStatus({ ...product, stock });
+  return status === product.status && stock === product.stock
+    ? product
+    : { ...product, stock, status };
+};
+
+// Spreads a stock change over the variants, filling the emptiest first and drawing from
+// the fullest, so restocks and write-offs keep sizes evenly stocked. The variants at the
+// lowest (or highest) level move together until they reach the next one.
+const adjustStock = (product, delta) => {
+  if (!product.variants?.length) return { ...product, stock: Math.max(0, product.stock + delta) };
+  const sign = Math.sign(delta);
+  const stocks = product.variants.map(v => v.stock);
+  const extreme = values => (sign > 0 ? Math.min(...values) : Math.max(...values));
+  let left = Math.abs(delta);
+  while (left > 0) {
+    const mark = extreme(stocks);
+    if (mark === 0 && sign < 0) break;
+    const level = stocks.flatMap((stock, i) => (stock === mark ? [i] : []));
+    const others = stocks.filter(stock => stock !== mark);
+    const next = others.length ? extreme(others) : sign > 0 ? Infinity : 0;
+    const step = Math.min(Math.abs(next - mark), Math.floor(left / level.length));
+    if (step === 0) {
+      level.slice(0, left).forEach(i => {
+        stocks[i] += sign;
+      });
+      break;
+    }
+    level.forEach(i => {
+      stocks[i] += sign * step;
+    });
+    left -= step * level.length;
+  }
+  return {
+    ...product,
+    variants: product.variants.map((v, i) =>
+      stocks[i] === v.stock ? v : { ...v, stock: stocks[i] }
+    )
+  };
+};
+
+export {
+  VELOCITY_MONTHS,
+  REORDER_COVER_MONTHS,
+  defaultCategoryThresholds,
+  salesVelocity,
+  suggestedReorderQuantity,
+  reconciledStatus,
+  reconcileStatus,
+  adjustStock
+};
@@ -0,0 +1,119 @@
+import { translate } from '../i18n/locale';
+import { PRODUCT_COLUMNS } from './columns';
+
+/* ========= List Query ========= */
+// List state <-> query string: ?q=...&category=...&sort=-price,name
+const parseListQuery = search => {
+  const params = new URLSearchParams(search);
+  const sortable = new Set(PRODUCT_COLUMNS.map(c => c.key));
+  const sort = (params.get('sort') || '')
+    .split(',')
+    .filter(Boolean)
+    .map(part =>
+      part.startsWith('-') ? { key: part.slice(1), dir: 'desc' } : { key: part, dir: 'asc' }
+    )
+    .filter(s => sortable.has(s.key));
+
+  return {
+    searchTerm: params.get('q') || '',
+    filter: params.get('category') || 'all',
+    sort
+  };
+};
+
+const serializeSort = sort => sort.map(s => (s.dir === 'desc' ? `-${s.key}` : s.key)).join(',');
+
+const buildListQuery = ({ searchTerm, filter, sort }) => {
+  const params = new URLSearchParams();
+  if (searchTerm) params.set('q', searchTerm);
+  if (filter !== 'all') params.set('category', filter);
+  if (sort.length) params.set('sort', serializeSort(sort));
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+// Search box syntax: bare words and "quoted phrases" match name/category;
+// field:value, field:<n, field:>=n and field:min..max filter on a field; a leading - negates
+const QUERY_FIELDS = {
+  name: 'text',
+  sku: 'text',
+  category: 'text',
+  status: 'text',
+  price: 'number',
+  stock: 'number',
+  sales: 'number',
+  rating: 'number'
+};
+
+const QUERY_TOKEN = /(-)?(?:([a-z]+):)?(?:"([^"]*)("?)|([^\s"]+))/gi;
+
+const NUMBER_COMPARISON = /^(<=|>=|<|>|=)?(-?\d+(?:\.\d+)?)$/;
+
+const NUMBER_RANGE = /^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/;
+
+const parseQuery = (query, t = translate) => {
+  const clauses = [];
+  const errors = [];
+
+  for (const match of query.matchAll(QUERY_TOKEN)) {
+    const [token, negate, rawField, quoted, closingQuote, bare] = match;
+    const field = rawField?.toLowerCase();
+    const value = quoted ?? bare;
+
+    if (quoted !== undefined && !closingQuote) {
+      errors.push(t('query.unterminatedQuote', { token: token.trim() }));
+      continue;
+    }
+    if (!field) {
+      if (/^[a-z]+:$/i.test(value) && QUERY_FIELDS[value.slice(0, -1).toLowerCase()]) {
+        errors.push(t('query.missingValue', { field: value.slice(0, -1) }));
+      } else if (value) {
+        clauses.push({ field: null, op: 'text', value: value.toLowerCase(), negate: !!negate });
+      }
+      continue;
+    }
+    if (!QUERY_FIELDS[field]) {
+      errors.push(t('query.unknownField', { field: rawField }));
+      continue;
+    }
+
+    if (QUERY_FIELDS[field] === 'text') {
+      const op = field === 'name' ? 'contains' : 'eq';
+      clauses.push({ field, op, value: value.toLowerCase(), negate: !!negate });
+      continue;
+    }
+
+    const range = value.match(NUMBER_RANGE);
+    const comparison = value.match(NUMBER_COMPARISON);
+    if (range) {
+      const [, min, max] = range;
+      clauses.push({ field, op: 'range', value: [Number(min), Number(max)], negate: !!negate });
+    } else if (comparison) {
+      const [, op = '=', n] = comparison;
+      clauses.push({ field, op, value: Number(n), negate: !!negate });
+    } else {
+      errors.push(t('query.invalidNumber', { value, field }));
+    }
+  }
+
+  return { clauses, errors };
+};
+
+// soldIn is a 'YYYY-MM' month, set by clicking the sales trend chart
+const defaultFacets = { statuses: [], minPrice: '', maxPrice: '', minRating: 0, soldIn: '' };
+
+const hasActiveFacets = facets =>
+  facets.statuses.length > 0 ||
+  facets.minPrice !== '' ||
+  facets.maxPrice !== '' ||
+  facets.minRating > 0 ||
+  facets.soldIn !== '';
+
+export {
+  parseListQuery,
+  serializeSort,
+  buildListQuery,
+  parseQuery,
+  defaultFacets,
+  hasActiveFacets
+};
@@ -0,0 +1,36 @@
+/* ========= Pricing ========= */
+// Price rules work on amounts in the display currency, so .99 endings are what people see.
+// `amount` is signed (-10 with kind 'percent' takes 10% off) and the min/max guards, when
+// set, win over the rounding.
+const PRICE_ROUNDINGS = ['none', 'whole', 'ninetyNine'];
+
+const roundPrice = (price, rounding, decimals) => {
+  const rounded =
+    rounding === 'whole'
+      ? Math.round(price)
+      : rounding === 'ninetyNine'
+      ? Math.max(1, Math.round(price + 0.01)) - 0.01
+      : price;
+  return Math.round(rounded * 10 ** decimals) / 10 ** decimals;
+};
+
+// Returns the new price, whether a guard moved it and whether rounding was held back.
+// Rounding never turns a cut into a rise or the other way round (a cut from 0.30 would
+// otherwise end in .99 at 0.99), so such prices stay where they are.
+const applyPriceRule = (price, { kind, amount, rounding, min, max }, decimals = 2) => {
+  const changed = kind === 'percent' ? price * (1 + amount / 100) : price + amount;
+  const rounded = roundPrice(Math.max(0, changed), rounding, decimals);
+  const held = (changed < price && rounded > price) || (changed > price && rounded < price);
+  const kept = held ? price : rounded;
+  const guarded = Math.min(Math.max(kept, min ?? 0), max ?? Infinity);
+  return { price: guarded, limited: guarded !== kept, held };
+};
+
+// Variants with a price of their own get the same share off
+const salePrice = (product, promotion, price) =>
+  Math.round(((price * promotion.price) / product.price) * 100) / 100;
+
+// setTimeout can't wait longer than this; longer waits just check again when it fires
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+export { PRICE_ROUNDINGS, applyPriceRule, salePrice, MAX_TIMER_DELAY };
@@ -0,0 +1,247 @@
+import { createProductIndex, handleIndexMessage } from '../productQuery';
+import { PRODUCT_STATUSES } from './schema';
+import { defaultCategoryThresholds } from './inventory';
+import { generateMockProducts } from './dataSources';
+import { parseQuery, defaultFacets } from './listQuery';
+import {
+  positionsOf,
+  findProduct,
+  replaceProducts,
+  logCatalogChange,
+  changedIdsBetween
+} from '../reducers/catalog';
+import { PRODUCT_COLUMNS, numericKeysOf } from './columns';
+
+/* ========= Query Worker ========= */
+// Filtering, sorting, facet counts and analytics for the dashboard run in
+// productQuery.worker.js so typing in the search box stays responsive on 100k+ products.
+// Where workers aren't available (tests, very old browsers) the same index runs in the page.
+
+// Past this share of changed products, sending the whole catalog is cheaper than a patch
+const PATCH_LIMIT = 0.5;
+
+const createInlineWorker = () => {
+  const index = createProductIndex();
+  let closed = false;
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    postMessage: data =>
+      setTimeout(() => {
+        if (closed) return;
+        try {
+          const reply = handleIndexMessage(index, data);
+          if (reply) worker.onmessage?.({ data: reply });
+        } catch (error) {
+          worker.onerror?.({ message: error.message, error });
+        }
+      }),
+    terminate: () => {
+      closed = true;
+    }
+  };
+  return worker;
+};
+
+// Changed slots and removed ids between two versions of the catalog, in the shape the
+// index's patch expects, worked out from the products the change log says were touched.
+// Null when the log can't tell or a fresh copy is the better deal. Catalog changes never
+// reorder products, so the patch only has to insert, replace and remove.
+const catalogPatch = (prev, next) => {
+  const ids = changedIdsBetween(prev, next);
+  if (!ids || ids.size > next.length * PATCH_LIMIT) return null;
+  const positions = positionsOf(next);
+  const saved = [];
+  const removed = [];
+  ids.forEach(id => {
+    const index = positions.get(id);
+    const before = findProduct(prev, id);
+    if (index === undefined) {
+      if (before) removed.push(id);
+    } else if (next[index] !== before) {
+      saved.push([index, next[index]]);
+    }
+  });
+  return { removed, saved: saved.sort((a, b) => a[0] - b[0]) };
+};
+
+const createBrowserWorker = () =>
+  typeof Worker === 'undefined'
+    ? createInlineWorker()
+    : new Worker(new URL('../productQuery.worker.js', import.meta.url));
+
+// `createWorker` returns anything shaped like a Web Worker; scripts/bench.js passes one
+// backed by a Node worker thread
+const createProductQueryClient = ({ createWorker = createBrowserWorker } = {}) => {
+  const worker = createWorker();
+  let synced = null;
+  let revision = 0;
+  let lastQueryId = 0;
+  let inFlight = null;
+  let queued = null;
+
+  const send = ({ request, resolve, reject }) => {
+    inFlight = { id: ++lastQueryId, resolve, reject };
+    worker.postMessage({ type: 'query', id: inFlight.id, request });
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data.id !== inFlight?.id) return;
+    const { resolve } = inFlight;
+    inFlight = null;
+    // An answer computed before the latest sync describes products that have since changed
+    resolve(data.result.revision === revision ? data.result : null);
+    if (queued) {
+      const next = queued;
+      queued = null;
+      send(next);
+    }
+  };
+
+  // An error fails the waiting queries, and the next sync sends a fresh copy of the catalog
+  // in case the worker's was left half patched
+  worker.onerror = event => {
+    event.preventDefault?.();
+    const error = event.error || new Error(event.message || 'The product query worker failed');
+    inFlight?.reject(error);
+    queued?.reject(error);
+    inFlight = queued = null;
+    synced = null;
+  };
+
+  return {
+    // Brings the worker's copy of the catalog in line with `products`
+    sync: products => {
+      if (products === synced) return;
+      const patch = synced && catalogPatch(synced, products);
+      revision += 1;
+      worker.postMessage(
+        patch ? { type: 'patch', revision, ...patch } : { type: 'reset', revision, products }
+      );
+      synced = products;
+    },
+    // One query runs at a time and only the newest waiting one is kept;
+    // queries that are dropped or answered too late resolve to null
+    query: request =>
+      new Promise((resolve, reject) => {
+        if (!inFlight) return send({ request, resolve, reject });
+        queued?.resolve(null);
+        queued = { request, resolve, reject };
+      }),
+    terminate: () => {
+      worker.terminate();
+      inFlight?.resolve(null);
+      queued?.resolve(null);
+      inFlight = queued = null;
+    }
+  };
+};
+
+const dashboardQuery = ({ filter, searchTerm, facets, sort, priceRate, categoryThresholds }) => ({
+  filter,
+  // Clauses with parse errors are dropped rather than hiding everything
+  clauses: parseQuery(searchTerm).clauses,
+  facets,
+  sort,
+  numericKeys: numericKeysOf(PRODUCT_COLUMNS),
+  priceRate,
+  categoryThresholds,
+  statuses: PRODUCT_STATUSES
+});
+
+// Keystrokes come this far apart, about a quick typist's pace
+const TYPING_INTERVAL = 100;
+
+// The main thread stalling this long or longer counts as a long task, as in the browser
+const LONG_TASK = 50;
+
+// Types `search` into a catalog of `count` generated products one keystroke every
+// TYPING_INTERVAL, without waiting for answers, and reports in ms: the initial load, the
+// worst input delay (from when a keystroke was due until the page had handed it over), how
+// long the last keystroke took to come back answered, the long tasks a 16ms timer saw while
+// typing (how many and the longest), a one-product edit round trip, and what the last
+// keystroke costs run directly in the page.
+// From the console: benchmarkProductQueries({ count: 100000 }); from Node: npm run bench
+const benchmarkProductQueries = async ({
+  count = 100000,
+  search = 'product 12',
+  createWorker
+} = {}) => {
+  const products = generateMockProducts(count);
+  const client = createProductQueryClient({ createWorker });
+  const requestFor = searchTerm =>
+    dashboardQuery({
+      filter: 'all',
+      searchTerm,
+      facets: defaultFacets,
+      sort: [{ key: 'name', dir: 'asc' }],
+      priceRate: 1,
+      categoryThresholds: defaultCategoryThresholds
+    });
+  const round = ms => Math.round(ms * 10) / 10;
+
+  const longTasks = [];
+  let typing = false;
+  let lastTick = performance.now();
+  const probe = setInterval(() => {
+    const now = performance.now();
+    const stall = now - lastTick - 16;
+    if (typing && stall >= LONG_TASK) longTasks.push(stall);
+    lastTick = now;
+  }, 16);
+
+  try {
+    let started = performance.now();
+    client.sync(products);
+    await client.query(requestFor(''));
+    const load = performance.now() - started;
+
+    typing = true;
+    started = performance.now();
+    const { inputDelays, answered } = await new Promise(resolve => {
+      const delays = [];
+      for (let i = 1; i <= search.length; i += 1) {
+        const due = started + i * TYPING_INTERVAL;
+        setTimeout(() => {
+          const answer = client.query(requestFor(search.slice(0, i)));
+          const handedOver = performance.now();
+          delays.push(handedOver - due);
+          if (i < search.length) return;
+          answer.then(() =>
+            resolve({ inputDelays: delays, answered: performance.now() - handedOver })
+          );
+        }, i * TYPING_INTERVAL);
+      }
+    });
+    typing = false;
+
+    const edited = replaceProducts(products, [{ ...products[0], stock: products[0].stock + 1 }]);
+    logCatalogChange(products, edited, [products[0].id]);
+    started = performance.now();
+    client.sync(edited);
+    await client.query(requestFor(search));
+    const edit = performance.now() - started;
+
+    const inPage = createProductIndex();
+    inPage.reset(products, 0);
+    started = performance.now();
+    inPage.query(requestFor(search));
+    const mainThread = performance.now() - started;
+
+    return {
+      count,
+      load: round(load),
+      maxInputDelay: round(Math.max(0, ...inputDelays)),
+      lastAnswer: round(answered),
+      longTasks: longTasks.length,
+      longestTask: round(Math.max(0, ...longTasks)),
+      edit: round(edit),
+      mainThread: round(mainThread)
+    };
+  } finally {
+    clearInterval(probe);
+    client.terminate();
+  }
+};
+
+export { createProductQueryClient, dashboardQuery, benchmarkProductQueries };
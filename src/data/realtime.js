@@ -0,0 +1,125 @@
+/* ========= Realtime ========= */
+// Product changes are shared between clients as JSON events:
+//   { type: 'product:created' | 'product:updated', product, actor, at, source, origin }
+//   { type: 'product:deleted', id, actor, at, source, origin }
+// `origin` is the sending client's id, so a client can skip its own events if they echo back.
+// Every channel exposes connect({ onEvent, onStatus, onError }) -> { publish, close }; the
+// status is 'connecting', 'open' or 'closed', and onError hears about messages it dropped.
+const REALTIME_RETRY_DELAY = 1000;
+
+const REALTIME_MAX_RETRY_DELAY = 30000;
+
+// Reconnects with exponential backoff until closed
+const createWebSocketChannel = ({ url, createSocket = target => new WebSocket(target) }) => ({
+  connect: ({ onEvent, onStatus, onError }) => {
+    let socket = null;
+    let closed = false;
+    let attempts = 0;
+    let retryTimer = null;
+
+    const open = () => {
+      onStatus('connecting');
+      socket = createSocket(url);
+      socket.onopen = () => {
+        attempts = 0;
+        onStatus('open');
+      };
+      socket.onmessage = ({ data }) => {
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch (err) {
+          onError?.(err, { message: data });
+          return;
+        }
+        onEvent(event);
+      };
+      socket.onclose = () => {
+        onStatus('closed');
+        if (closed) return;
+        const delay = Math.min(REALTIME_RETRY_DELAY * 2 ** attempts++, REALTIME_MAX_RETRY_DELAY);
+        retryTimer = setTimeout(open, delay);
+      };
+    };
+
+    open();
+    return {
+      // Events sent while disconnected are dropped; the next load picks the changes up
+      publish: event => {
+        if (socket.readyState === 1) socket.send(JSON.stringify(event));
+      },
+      close: () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        socket.close();
+      }
+    };
+  }
+});
+
+// Stands in for a relay server: sockets from createSocket() get every message the others
+// send, including sockets in other tabs of the same browser (over BroadcastChannel), so
+// two signed-in tabs behave like two users. emit() pushes a message from the "server".
+const createMockSocketServer = ({
+  channelName = 'ecommerce-dashboard.realtime',
+  latency = 50
+} = {}) => {
+  const sockets = new Set();
+  let bus = null;
+
+  const deliver = (data, sender) =>
+    sockets.forEach(socket => {
+      if (socket !== sender && socket.readyState === 1) socket.onmessage?.({ data });
+    });
+
+  const connectBus = () => {
+    if (bus || typeof BroadcastChannel === 'undefined') return;
+    bus = new BroadcastChannel(channelName);
+    bus.onmessage = ({ data }) => deliver(data);
+  };
+
+  const broadcast = (data, sender) => {
+    setTimeout(() => deliver(data, sender), latency);
+    bus?.postMessage(data);
+  };
+
+  return {
+    createSocket: () => {
+      connectBus();
+      const socket = {
+        readyState: 0,
+        onopen: null,
+        onmessage: null,
+        onclose: null,
+        send: data => broadcast(data, socket),
+        close: () => {
+          if (socket.readyState === 3) return;
+          socket.readyState = 3;
+          sockets.delete(socket);
+          if (!sockets.size && bus) {
+            bus.close();
+            bus = null;
+          }
+          socket.onclose?.({});
+        }
+      };
+      sockets.add(socket);
+      setTimeout(() => {
+        if (socket.readyState !== 0) return;
+        socket.readyState = 1;
+        socket.onopen?.({});
+      }, latency);
+      return socket;
+    },
+    emit: event => broadcast(JSON.stringify(event))
+  };
+};
+
+const mockSocketServer = createMockSocketServer();
+
+const defaultRealtime = createWebSocketChannel({
+  url: 'ws://localhost/catalog',
+  createSocket: mockSocketServer.createSocket
+});
+
+export { createWebSocketChannel, createMockSocketServer, defaultRealtime };
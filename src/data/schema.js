@@ -0,0 +1,248 @@
+import { translate } from '../i18n/locale';
+
+/* ========= Product Schema ========= */
+const PRODUCT_CATEGORIES = ['Electronics', 'Clothing', 'Books', 'Home', 'Sports', 'Beauty'];
+
+const PRODUCT_STATUSES = ['active', 'inactive', 'out-of-stock'];
+
+// Fields with `form: false` are validated on load but not editable. Variants carry their
+// own SKU, price and stock plus `attributes` ({ Size: 'M' }); a blank variant price means
+// the product's price.
+const productSchema = {
+  fields: [
+    { key: 'name', label: 'Name', type: 'text', required: true, maxLength: 120 },
+    { key: 'sku', label: 'SKU', type: 'text', maxLength: 40 },
+    {
+      key: 'category',
+      label: 'Category',
+      type: 'select',
+      options: PRODUCT_CATEGORIES,
+      required: true
+    },
+    {
+      key: 'price',
+      label: 'Price',
+      type: 'number',
+      required: true,
+      min: 0,
+      decimals: 2,
+      step: '0.01'
+    },
+    {
+      key: 'stock',
+      label: 'Stock',
+      type: 'number',
+      required: true,
+      min: 0,
+      decimals: 0,
+      step: '1'
+    },
+    { key: 'status', label: 'Status', type: 'select', options: PRODUCT_STATUSES, required: true },
+    {
+      key: 'rating',
+      label: 'Rating',
+      type: 'number',
+      required: true,
+      min: 0,
+      max: 5,
+      decimals: 1,
+      step: '0.1',
+      format: n => n.toFixed(1)
+    },
+    { key: 'sales', label: 'Sales', type: 'number', min: 0, decimals: 0, form: false },
+    {
+      key: 'reorderThreshold',
+      label: 'Reorder at',
+      type: 'number',
+      min: 0,
+      decimals: 0,
+      step: '1',
+      placeholder: 'Category default'
+    }
+  ],
+  variantFields: [
+    { key: 'sku', label: 'SKU', type: 'text', maxLength: 40 },
+    { key: 'price', label: 'Price', type: 'number', min: 0, decimals: 2, step: '0.01' },
+    { key: 'stock', label: 'Stock', type: 'number', required: true, min: 0, decimals: 0, step: '1' }
+  ],
+  rules: [
+    {
+      field: 'stock',
+      fields: ['status', 'stock'],
+      check: p => p.status !== 'out-of-stock' || p.stock === 0,
+      messageKey: 'validation.outOfStockHasStock'
+    },
+    {
+      field: 'status',
+      fields: ['status', 'price'],
+      check: p => p.status !== 'active' || p.price > 0,
+      messageKey: 'validation.activeNeedsPrice'
+    }
+  ]
+};
+
+const formFields = productSchema.fields.filter(f => f.form !== false);
+
+// Lists the form edits alongside the schema fields
+const FORM_LISTS = ['variants', 'images'];
+
+const countDecimals = str => (str.includes('.') ? str.split('.')[1].length : 0);
+
+const validateField = (field, value, t = translate) => {
+  const label = t(`field.${field.key}`);
+  const empty = value === undefined || value === null || String(value).trim() === '';
+  if (empty) return field.required ? t('validation.required', { field: label }) : null;
+
+  if (field.type === 'number') {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return t('validation.number', { field: label });
+    if (field.min !== undefined && n < field.min) {
+      return t('validation.min', { field: label, min: field.min });
+    }
+    if (field.max !== undefined && n > field.max) {
+      return t('validation.max', { field: label, max: field.max });
+    }
+    if (field.decimals !== undefined && countDecimals(String(value)) > field.decimals) {
+      return field.decimals === 0
+        ? t('validation.wholeNumber', { field: label })
+        : t('validation.decimals', { field: label, decimals: field.decimals });
+    }
+  }
+  if (field.type === 'select' && !field.options.includes(value)) {
+    return t('validation.oneOf', { field: label, options: field.options.join(', ') });
+  }
+  if (field.maxLength && String(value).length > field.maxLength) {
+    return t('validation.maxLength', { field: label, maxLength: field.maxLength });
+  }
+  return null;
+};
+
+const parseFields = (fields, values) =>
+  fields.reduce(
+    (parsed, field) => {
+      const value = values[field.key];
+      if (field.type === 'number' && value !== undefined && value !== '') {
+        const n = Number(value);
+        parsed[field.key] = field.format ? field.format(n) : n;
+      } else if (field.type === 'text' && typeof value === 'string') {
+        parsed[field.key] = value.trim();
+      }
+      return parsed;
+    },
+    { ...values }
+  );
+
+// Converts raw (string) form values into a typed product
+const parseProduct = values => {
+  const product = parseFields(productSchema.fields, values);
+  if (values.variants) {
+    product.variants = values.variants.map(variant => ({
+      ...parseFields(productSchema.variantFields, variant),
+      attributes: Object.fromEntries(
+        Object.entries(variant.attributes || {}).map(([name, value]) => [
+          name.trim(),
+          String(value).trim()
+        ])
+      )
+    }));
+  }
+  return product;
+};
+
+const normalized = value => `${value ?? ''}`.trim().toLowerCase();
+
+// Keyed `variants.<index>.<field>`, plus `variants.<index>.attributes` for an option left
+// blank or a combination of options an earlier variant already has. SKUs must be unique
+// within the product, its own included.
+const validateVariants = (values, t) => {
+  const errors = {};
+  const skus = new Set([normalized(values.sku)]);
+  const combinations = new Set();
+  (values.variants || []).forEach((variant, i) => {
+    productSchema.variantFields.forEach(field => {
+      const error = validateField(field, variant[field.key], t);
+      if (error) errors[`variants.${i}.${field.key}`] = error;
+    });
+    const sku = normalized(variant.sku);
+    if (sku && skus.has(sku) && !errors[`variants.${i}.sku`]) {
+      errors[`variants.${i}.sku`] = t('validation.duplicateSku', { sku: variant.sku });
+    }
+    skus.add(sku);
+
+    const attributes = Object.entries(variant.attributes || {}).sort(([a], [b]) =>
+      a.localeCompare(b)
+    );
+    const blank = attributes.find(([, value]) => String(value ?? '').trim() === '');
+    const combination = JSON.stringify(attributes.map(([, v]) => normalized(v)));
+    if (blank) {
+      errors[`variants.${i}.attributes`] = t('validation.required', { field: blank[0] });
+    } else if (combinations.has(combination)) {
+      errors[`variants.${i}.attributes`] = t('validation.duplicateVariant');
+    }
+    combinations.add(combination);
+  });
+  return errors;
+};
+
+// A promotion's sale price is in the base currency like `price`, and it has to end after
+// it starts
+const validatePromotion = (promotion, t) => {
+  if (!promotion) return {};
+  if (!(Number(promotion.price) > 0)) return { promotion: t('validation.promotionPrice') };
+  if (!(Date.parse(promotion.startsAt) < Date.parse(promotion.endsAt))) {
+    return { promotion: t('validation.promotionDates') };
+  }
+  return {};
+};
+
+// Returns { [fieldKey]: message }; cross-field rules only run once their fields are valid
+const validateProduct = (values, t = translate) => {
+  const errors = {};
+  productSchema.fields.forEach(field => {
+    const error = validateField(field, values[field.key], t);
+    if (error) errors[field.key] = error;
+  });
+  Object.assign(errors, validateVariants(values, t), validatePromotion(values.promotion, t));
+  if (Object.keys(errors).length) return errors;
+
+  const product = parseProduct(values);
+  productSchema.rules.forEach(rule => {
+    if (!errors[rule.field] && !rule.check(product)) errors[rule.field] = t(rule.messageKey);
+  });
+  return errors;
+};
+
+// Ids for variants and images, which only need to be unique within their product
+let lastItemId = 0;
+
+const nextItemId = () => `${Date.now().toString(36)}-${++lastItemId}`;
+
+const isValidProduct = product =>
+  product != null && product.id != null && !Object.keys(validateProduct(product)).length;
+
+const emptyProduct = {
+  name: '',
+  sku: '',
+  category: PRODUCT_CATEGORIES[0],
+  price: '',
+  stock: 0,
+  status: 'active',
+  sales: 0,
+  salesHistory: [],
+  rating: '0.0',
+  variants: [],
+  images: []
+};
+
+export {
+  PRODUCT_CATEGORIES,
+  PRODUCT_STATUSES,
+  productSchema,
+  formFields,
+  FORM_LISTS,
+  parseProduct,
+  validateProduct,
+  nextItemId,
+  isValidProduct,
+  emptyProduct
+};
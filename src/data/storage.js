@@ -0,0 +1,323 @@
+import { positionsOf, findProduct } from '../reducers/catalog';
+
+/* ========= Local Persistence ========= */
+// Key/value storages with the same async get/set/remove interface
+const idbRequest = request =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const createIndexedDbStorage = ({ dbName = 'ecommerce-dashboard', storeName = 'catalog' } = {}) => {
+  let db = null;
+  const open = () => {
+    if (!db) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      db = idbRequest(request);
+    }
+    return db;
+  };
+
+  const run = async (mode, operation) => {
+    const database = await open();
+    return idbRequest(operation(database.transaction(storeName, mode).objectStore(storeName)));
+  };
+
+  // Many keys at once share one transaction
+  const runMany = async (mode, operations) => {
+    const database = await open();
+    const store = database.transaction(storeName, mode).objectStore(storeName);
+    return Promise.all(operations(store).map(idbRequest));
+  };
+
+  return {
+    get: key => run('readonly', store => store.get(key)),
+    set: (key, value) => run('readwrite', store => store.put(value, key)),
+    remove: key => run('readwrite', store => store.delete(key)),
+    getMany: keys => runMany('readonly', store => keys.map(key => store.get(key))),
+    setMany: entries =>
+      runMany('readwrite', store => entries.map(([key, value]) => store.put(value, key))),
+    removeMany: keys => runMany('readwrite', store => keys.map(key => store.delete(key)))
+  };
+};
+
+// Storages may read and write many keys in one go; the ones that can't do it one key at a time
+const getMany = (storage, keys) =>
+  storage.getMany ? storage.getMany(keys) : Promise.all(keys.map(key => storage.get(key)));
+
+const setMany = (storage, entries) =>
+  storage.setMany
+    ? storage.setMany(entries)
+    : Promise.all(entries.map(([key, value]) => storage.set(key, value)));
+
+const removeMany = (storage, keys) =>
+  storage.removeMany ? storage.removeMany(keys) : Promise.all(keys.map(key => storage.remove(key)));
+
+const createLocalStorageStorage = ({ prefix = 'ecommerce-dashboard.' } = {}) => ({
+  get: async key => {
+    const raw = localStorage.getItem(prefix + key);
+    return raw === null ? undefined : JSON.parse(raw);
+  },
+  set: async (key, value) => localStorage.setItem(prefix + key, JSON.stringify(value)),
+  remove: async key => localStorage.removeItem(prefix + key)
+});
+
+const createMemoryStorage = () => {
+  const values = new Map();
+  return {
+    get: async key => values.get(key),
+    set: async (key, value) => {
+      values.set(key, value);
+    },
+    remove: async key => {
+      values.delete(key);
+    }
+  };
+};
+
+// Prefers IndexedDB; falls back to localStorage (or `fallback`) when it is missing or fails
+// to open (private browsing, blocked storage). onFallback(listener) hears why, even if it
+// already happened, and returns an unsubscribe function.
+const createBrowserStorage = ({ fallback = null, ...options } = {}) => {
+  if (!fallback) fallback = createLocalStorageStorage(options);
+  if (typeof indexedDB === 'undefined') return fallback;
+
+  const primary = createIndexedDbStorage(options);
+  const listeners = new Set();
+  let fallbackError = null;
+  let active = null;
+  const resolve = async () => {
+    if (!active) {
+      active = primary
+        .get('__probe__')
+        .then(() => primary)
+        .catch(err => {
+          fallbackError = err;
+          listeners.forEach(listener => listener(err));
+          return fallback;
+        });
+    }
+    return active;
+  };
+
+  return {
+    get: async key => (await resolve()).get(key),
+    set: async (key, value) => (await resolve()).set(key, value),
+    remove: async key => (await resolve()).remove(key),
+    getMany: async keys => getMany(await resolve(), keys),
+    setMany: async entries => setMany(await resolve(), entries),
+    removeMany: async keys => removeMany(await resolve(), keys),
+    onFallback: listener => {
+      if (fallbackError) listener(fallbackError);
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+// Bump CATALOG_VERSION whenever the stored product shape changes and add a migration
+// that upgrades records saved by the previous version
+const CATALOG_KEY = 'products';
+
+const THRESHOLDS_KEY = 'category-thresholds';
+
+const AUDIT_LOG_KEY = 'audit-log';
+
+const SAVED_VIEWS_KEY = 'saved-views';
+
+const VIEW_PREFERENCES_KEY = 'view-preferences';
+
+const NOTIFICATION_HISTORY_KEY = 'notification-history';
+
+const LOCALE_SETTINGS_KEY = 'locale-settings';
+
+const EXCHANGE_RATES_KEY = 'exchange-rates';
+
+const CATALOG_VERSION = 5;
+
+// Records that belong to one user are stored under the key followed by their id
+const userKey = (key, user) => `${key}.${user.id}`;
+
+const catalogMigrations = {
+  // v1: unversioned records may carry numeric fields as strings
+  1: record => ({
+    ...record,
+    products: record.products.map(p => ({
+      ...p,
+      price: Number(p.price),
+      stock: Number(p.stock),
+      sales: Number(p.sales),
+      rating: Number(p.rating).toFixed(1)
+    }))
+  }),
+  // v2: products gained monthly salesHistory; older records have none
+  2: record => ({
+    ...record,
+    products: record.products.map(p => ({
+      ...p,
+      salesHistory: Array.isArray(p.salesHistory) ? p.salesHistory : []
+    }))
+  }),
+  // v3: products gained a version for conflict detection
+  3: record => ({
+    ...record,
+    products: record.products.map(p => ({ ...p, version: p.version ?? 1 }))
+  }),
+  // v4: products gained a SKU, variants and images
+  4: record => ({
+    ...record,
+    products: record.products.map(p => ({
+      ...p,
+      sku: p.sku ?? '',
+      variants: Array.isArray(p.variants) ? p.variants : [],
+      images: Array.isArray(p.images) ? p.images : []
+    }))
+  }),
+  // v5: each product is saved in a record of its own (see saveCatalog); the products
+  // themselves are unchanged
+  5: record => record
+};
+
+// Where each product of the saved catalog is kept
+const catalogRecordKey = id => `${CATALOG_KEY}/${id}`;
+
+const migrateCatalog = record => {
+  let current = record;
+  for (let version = (record.version || 0) + 1; version <= CATALOG_VERSION; version++) {
+    current = { ...catalogMigrations[version](current), version };
+  }
+  return current;
+};
+
+// Resolves to { products, missing, upToDate }, where missing lists the ids whose product
+// record is gone and upToDate says the catalog was saved the way saveCatalog saves it now
+const loadCatalog = async storage => {
+  const record = await storage.get(CATALOG_KEY);
+  if (record?.version > CATALOG_VERSION) {
+    throw new Error(`The saved catalog is from a newer version (${record.version})`);
+  }
+  if (Array.isArray(record?.ids)) {
+    const saved = await getMany(storage, record.ids.map(catalogRecordKey));
+    const missing = record.ids.filter((id, i) => !saved[i]);
+    // Product records are migrated like the catalog they were saved with
+    const { products } = migrateCatalog({
+      version: record.version,
+      products: saved.filter(Boolean)
+    });
+    return {
+      products,
+      missing,
+      upToDate: record.version === CATALOG_VERSION && !missing.length
+    };
+  }
+  if (!record || !Array.isArray(record.products)) return null;
+  return { products: migrateCatalog(record).products, missing: [], upToDate: false };
+};
+
+const loadAuditLog = async storage => {
+  const saved = await storage.get(AUDIT_LOG_KEY);
+  return Array.isArray(saved) ? saved : null;
+};
+
+// The catalog record only lists the products' ids, in order
+const saveCatalogRecord = (storage, products) =>
+  storage.set(CATALOG_KEY, {
+    version: CATALOG_VERSION,
+    savedAt: new Date().toISOString(),
+    ids: products.map(p => p.id)
+  });
+
+// Replaces the saved catalog with `products`. Product records are written before the catalog
+// record that lists them and removed after it, so a save cut short never lists a missing one.
+const saveCatalog = async (storage, products) => {
+  const record = await storage.get(CATALOG_KEY);
+  await setMany(
+    storage,
+    products.map(p => [catalogRecordKey(p.id), p])
+  );
+  await saveCatalogRecord(storage, products);
+  const positions = positionsOf(products);
+  const stale = (record?.ids || []).filter(id => !positions.has(id));
+  await removeMany(storage, stale.map(catalogRecordKey));
+};
+
+// Writes only the products in `ids`, which changed since `saved` was saved; the catalog
+// record is only rewritten when products were added or removed
+const saveCatalogChanges = async (storage, saved, products, ids) => {
+  const kept = [...ids].filter(id => findProduct(products, id));
+  const removed = [...ids].filter(id => !findProduct(products, id));
+  await setMany(
+    storage,
+    kept.map(id => [catalogRecordKey(id), findProduct(products, id)])
+  );
+  if (removed.length || kept.some(id => !findProduct(saved, id))) {
+    await saveCatalogRecord(storage, products);
+  }
+  await removeMany(storage, removed.map(catalogRecordKey));
+};
+
+const clearCatalog = async storage => {
+  const record = await storage.get(CATALOG_KEY);
+  await storage.remove(CATALOG_KEY);
+  await removeMany(storage, (record?.ids || []).map(catalogRecordKey));
+};
+
+const defaultStorage = createBrowserStorage();
+
+// Image files (Blobs) keyed by image id, in a database of their own so products, the saved
+// catalog and activity snapshots only carry ids. localStorage can't hold Blobs, so without
+// IndexedDB they are kept in memory until the page closes.
+const createImageStore = ({ dbName = 'ecommerce-dashboard-images' } = {}) =>
+  createBrowserStorage({ dbName, storeName: 'images', fallback: createMemoryStorage() });
+
+const defaultImageStore = createImageStore();
+
+// Imported images carry their file as a data URL in `src`; it moves to the image store
+const storeInlineImages = async (images, imageStore) => {
+  if (!Array.isArray(images) || !images.some(image => image.src)) return images;
+  return Promise.all(
+    images.map(async image => {
+      if (!image.src) return image;
+      const blob = await (await fetch(image.src)).blob();
+      await imageStore.set(image.id, blob);
+      return { id: image.id, name: image.name };
+    })
+  );
+};
+
+const withStoredImages = async (product, imageStore) => {
+  const images = await storeInlineImages(product?.images, imageStore);
+  return images === product?.images ? product : { ...product, images };
+};
+
+// Chrome and Safari name it QuotaExceededError; older Firefox has its own name
+const isQuotaError = err =>
+  err?.name === 'QuotaExceededError' || err?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+
+const storageFailureMessage = err => (isQuotaError(err) ? 'storage.full' : 'storage.saveFailed');
+
+export {
+  createLocalStorageStorage,
+  createBrowserStorage,
+  CATALOG_KEY,
+  THRESHOLDS_KEY,
+  AUDIT_LOG_KEY,
+  SAVED_VIEWS_KEY,
+  VIEW_PREFERENCES_KEY,
+  NOTIFICATION_HISTORY_KEY,
+  LOCALE_SETTINGS_KEY,
+  EXCHANGE_RATES_KEY,
+  userKey,
+  loadCatalog,
+  loadAuditLog,
+  saveCatalog,
+  saveCatalogChanges,
+  clearCatalog,
+  defaultStorage,
+  createImageStore,
+  defaultImageStore,
+  withStoredImages,
+  isQuotaError,
+  storageFailureMessage
+};
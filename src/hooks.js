@@ -0,0 +1,199 @@
+import React, { useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { ErrorReportingContext } from './contexts/ErrorReportingProvider';
+import { MAX_TIMER_DELAY } from './data/pricing';
+import {
+  AuthContext,
+  ProductContext,
+  NotificationContext,
+  RouterContext,
+  LocaleContext,
+  SavedViewsContext
+} from './contexts/contexts';
+import { parseListQuery, serializeSort, buildListQuery } from './data/listQuery';
+import { createProductQueryClient } from './data/queryClient';
+
+/* ========= Custom Hooks ========= */
+const useAuth = () => {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error('useAuth must be used within AuthProvider');
+  return ctx;
+};
+
+const useProducts = () => {
+  const ctx = useContext(ProductContext);
+  if (!ctx) throw new Error('useProducts must be used within ProductProvider');
+  return ctx;
+};
+
+const useNotifications = () => {
+  const ctx = useContext(NotificationContext);
+  if (!ctx) throw new Error('useNotifications must be used within NotificationProvider');
+  return ctx;
+};
+
+const useLocale = () => {
+  const ctx = useContext(LocaleContext);
+  if (!ctx) throw new Error('useLocale must be used within LocaleProvider');
+  return ctx;
+};
+
+const useErrorReporting = () => {
+  const ctx = useContext(ErrorReportingContext);
+  if (!ctx) throw new Error('useErrorReporting must be used within ErrorReportingProvider');
+  return ctx;
+};
+
+const useSavedViews = () => {
+  const ctx = useContext(SavedViewsContext);
+  if (!ctx) throw new Error('useSavedViews must be used within SavedViewsProvider');
+  return ctx;
+};
+
+const useRouter = () => {
+  const ctx = useContext(RouterContext);
+  if (!ctx) throw new Error('useRouter must be used within RouterProvider');
+  return ctx;
+};
+
+// For failures handled in place: the error is reported with what was being done, and the
+// user is shown `messageKey` when data was lost or left out. Stable, so effects can use it.
+const useReportFailure = () => {
+  const { report } = useErrorReporting();
+  const { addNotification } = useNotifications();
+  const { t } = useLocale();
+  const latest = React.useRef();
+  latest.current = { report, addNotification, t };
+
+  return useCallback((error, context, messageKey, params) => {
+    latest.current.report(error, { context });
+    if (messageKey) {
+      latest.current.addNotification({
+        type: 'error',
+        message: latest.current.t(messageKey, params)
+      });
+    }
+  }, []);
+};
+
+// Keeps search, category and sort in the query string. Filter/sort changes push a history
+// entry; search edits replace it so typing doesn't flood the back button.
+const useListUrlSync = () => {
+  const { filter, searchTerm, sort, dispatch } = useProducts();
+  const { location, navigate } = useRouter();
+  const urlState = useMemo(() => parseListQuery(location.search), [location.search]);
+
+  // Each effect reacts to one side only and reads the other through a ref
+  const latest = React.useRef();
+  latest.current = { filter, searchTerm, sort, urlState, pathname: location.pathname };
+
+  // URL -> state (deep links, back/forward)
+  useEffect(() => {
+    const current = latest.current;
+    if (urlState.searchTerm !== current.searchTerm) {
+      dispatch({ type: 'SET_SEARCH', payload: urlState.searchTerm });
+    }
+    if (urlState.filter !== current.filter) {
+      dispatch({ type: 'SET_FILTER', payload: urlState.filter });
+    }
+    if (serializeSort(urlState.sort) !== serializeSort(current.sort)) {
+      dispatch({ type: 'SET_SORT', payload: urlState.sort });
+    }
+  }, [urlState, dispatch]);
+
+  // state -> URL
+  useEffect(() => {
+    const { urlState: fromUrl, pathname } = latest.current;
+    const query = buildListQuery({ filter, searchTerm, sort });
+    if (query === buildListQuery(fromUrl)) return;
+
+    const onlySearchChanged = buildListQuery({ ...fromUrl, searchTerm }) === query;
+    navigate(`${pathname}${query}`, { replace: onlySearchChanged });
+  }, [filter, searchTerm, sort, navigate]);
+};
+
+// debounce hook
+const useDebounce = (value, delay) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+};
+
+// Answers refer to products by position, so they are mapped back onto the catalog they were
+// computed for. `categories` lists those the whole catalog uses. Until the first answer
+// `analytics` is undefined, `facetCounts` null and `categories` empty;
+// after that the previous answer stays up while the next one is worked out.
+// Queries are priced at `now`, which moves on whenever a promotion starts or ends.
+const useProductQuery = (products, request) => {
+  const reportFailure = useReportFailure();
+  const clientRef = React.useRef(null);
+  const [answer, setAnswer] = useState(null);
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    const client = createProductQueryClient();
+    clientRef.current = client;
+    return () => client.terminate();
+  }, []);
+
+  useEffect(() => {
+    let current = true;
+    const client = clientRef.current;
+    client.sync(products);
+    client
+      .query({ ...request, now })
+      .then(result => {
+        if (current && result) setAnswer({ products, result });
+      })
+      .catch(err => {
+        if (current) reportFailure(err, { operation: 'query' }, 'list.queryFailed');
+      });
+    return () => {
+      current = false;
+    };
+  }, [products, request, now, reportFailure]);
+
+  useEffect(() => {
+    const next = answer?.result.nextPromotionChange;
+    if (next == null) return undefined;
+    const delay = Math.min(Math.max(next - Date.now(), 0), MAX_TIMER_DELAY);
+    const timer = setTimeout(() => setNow(Date.now()), delay);
+    return () => clearTimeout(timer);
+  }, [answer]);
+
+  return useMemo(() => {
+    if (!answer) {
+      return { filteredProducts: [], facetCounts: null, analytics: undefined, categories: [] };
+    }
+    const { products: catalog, result } = answer;
+    const at = positions => positions.map(i => catalog[i]);
+    return {
+      filteredProducts: at(result.filtered),
+      facetCounts: result.facetCounts,
+      categories: result.categories,
+      analytics: result.analytics && {
+        ...result.analytics,
+        topSellers: at(result.analytics.topSellers),
+        bottomSellers: at(result.analytics.bottomSellers)
+      }
+    };
+  }, [answer]);
+};
+
+export {
+  useAuth,
+  useProducts,
+  useNotifications,
+  useLocale,
+  useErrorReporting,
+  useSavedViews,
+  useRouter,
+  useReportFailure,
+  useListUrlSync,
+  useDebounce,
+  useProductQuery
+};
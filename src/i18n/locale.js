@@ -0,0 +1,75 @@
+import { MESSAGES } from './messages';
+
+/* ========= Localization ========= */
+// Catalog prices are stored in BASE_CURRENCY; every other currency is a display conversion
+// at the configured exchange rates
+const BASE_CURRENCY = 'USD';
+
+const DEFAULT_LOCALE = 'en-US';
+
+const LOCALES = {
+  'en-US': { label: 'English (US)', currency: 'USD' },
+  'en-GB': { label: 'English (UK)', currency: 'GBP' },
+  'de-DE': { label: 'Deutsch', currency: 'EUR' },
+  'es-ES': { label: 'Español', currency: 'EUR' }
+};
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY'];
+
+// Units of each currency per one BASE_CURRENCY
+const DEFAULT_EXCHANGE_RATES = { USD: 1, EUR: 0.92, GBP: 0.79, JPY: 150 };
+
+const ONE_DECIMAL = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+const NO_DECIMALS = { minimumFractionDigits: 0, maximumFractionDigits: 0 };
+
+const createTranslator = locale => {
+  const messages = MESSAGES[locale.split('-')[0]] || MESSAGES.en;
+  const plurals = new Intl.PluralRules(locale);
+  const numbers = new Intl.NumberFormat(locale);
+
+  return (key, params = {}) => {
+    let message = messages[key] ?? MESSAGES.en[key] ?? key;
+    if (typeof message === 'object') {
+      message = message[plurals.select(params.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value === undefined) return placeholder;
+      return typeof value === 'number' ? numbers.format(value) : String(value);
+    });
+  };
+};
+
+// English translator for code that runs outside the locale provider
+const translate = createTranslator(DEFAULT_LOCALE);
+
+// navigator.language picks the first-visit locale; a bare language ('de') matches its region
+const detectLocale = () => {
+  const preferred = typeof navigator === 'undefined' ? '' : navigator.language || '';
+  if (LOCALES[preferred]) return preferred;
+  const language = preferred.split('-')[0];
+  return Object.keys(LOCALES).find(l => l.split('-')[0] === language) || DEFAULT_LOCALE;
+};
+
+// Anything saved for a locale or currency that no longer exists falls back to the defaults
+const normalizeLocaleSettings = (saved = {}) => {
+  const locale = LOCALES[saved.locale] ? saved.locale : detectLocale();
+  return {
+    locale,
+    currency: CURRENCIES.includes(saved.currency) ? saved.currency : LOCALES[locale].currency,
+    exchangeRates: { ...DEFAULT_EXCHANGE_RATES, ...saved.exchangeRates }
+  };
+};
+
+export {
+  BASE_CURRENCY,
+  LOCALES,
+  CURRENCIES,
+  ONE_DECIMAL,
+  NO_DECIMALS,
+  createTranslator,
+  translate,
+  detectLocale,
+  normalizeLocaleSettings
+};
@@ -0,0 +1,1675 @@
+/* ========= Messages ========= */
+// Messages use {name} placeholders; an object value picks a plural form from params.count.
+// Keys missing from a language fall back to English.
+const MESSAGES = {
+  en: {
+    'app.title': 'E-Commerce Dashboard',
+    'errorBoundary.title': 'Something went wrong',
+    'errorBoundary.message': 'We’re sorry, but there was an error loading the dashboard.',
+    'errorBoundary.refresh': 'Refresh Page',
+    'errorBoundary.tryAgain': 'Try again',
+    'errorBoundary.header': 'The header couldn’t be displayed.',
+    'errorBoundary.page': 'This page couldn’t be displayed.',
+    'errorBoundary.analytics': 'The analytics couldn’t be displayed.',
+    'errorBoundary.list': 'The product list couldn’t be displayed.',
+    'errorBoundary.form':
+      'This form ran into a problem. Your unsaved changes are kept below; try again to carry on editing them.',
+    'errorBoundary.copyDraft': 'Copy as JSON',
+    'errorBoundary.copied': 'Unsaved changes copied to the clipboard',
+    'errorBoundary.discardDraft': 'Discard changes',
+
+    'storage.saveFailed':
+      'Changes couldn’t be saved in this browser and will be lost when the page is reloaded.',
+    'storage.full':
+      'This browser is out of storage space, so changes aren’t being saved and will be lost when the page is reloaded.',
+    'storage.loadFailed': 'Some saved data couldn’t be loaded, so it isn’t shown.',
+    'list.queryFailed': 'The product list couldn’t be updated. Reload the page to try again.',
+    'storage.skippedProducts': {
+      one: '{count} saved product was damaged and has been left out.',
+      other: '{count} saved products were damaged and have been left out.'
+    },
+    'storage.missingProducts': {
+      one: '{count} saved product couldn’t be found and has been left out.',
+      other: '{count} saved products couldn’t be found and have been left out.'
+    },
+    'realtime.dropped':
+      'A change made by someone else couldn’t be read. Reload to see the latest catalog.',
+
+    'field.id': 'ID',
+    'field.name': 'Name',
+    'field.category': 'Category',
+    'field.price': 'Price',
+    'field.priceIn': 'Price ({currency})',
+    'field.stock': 'Stock',
+    'field.status': 'Status',
+    'field.rating': 'Rating',
+    'field.sales': 'Sales',
+    'field.reorderThreshold': 'Reorder at',
+    'field.reorderThreshold.placeholder': 'Category default',
+    'field.sku': 'SKU',
+    'field.variants': 'Variants',
+    'field.images': 'Images',
+    'field.promotion': 'Promotion',
+    'field.salesHistory': 'Sales history',
+    'category.Electronics': 'Electronics',
+    'category.Clothing': 'Clothing',
+    'category.Books': 'Books',
+    'category.Home': 'Home',
+    'category.Sports': 'Sports',
+    'category.Beauty': 'Beauty',
+    'status.active': 'active',
+    'status.inactive': 'inactive',
+    'status.out-of-stock': 'out-of-stock',
+    'role.admin': 'admin',
+    'role.editor': 'editor',
+    'role.viewer': 'viewer',
+
+    'validation.required': '{field} is required',
+    'validation.number': '{field} must be a number',
+    'validation.min': '{field} must be at least {min}',
+    'validation.max': '{field} must be at most {max}',
+    'validation.wholeNumber': '{field} must be a whole number',
+    'validation.decimals': '{field} allows at most {decimals} decimal places',
+    'validation.oneOf': '{field} must be one of {options}',
+    'validation.maxLength': '{field} must be {maxLength} characters or fewer',
+    'validation.outOfStockHasStock': 'Out-of-stock products must have stock 0',
+    'validation.activeNeedsPrice': 'Active products need a price above 0',
+    'validation.duplicateSku': 'SKU {sku} is already used by this product',
+    'validation.duplicateVariant': 'Another variant already has these options',
+    'validation.duplicateOption': 'Option names must be different',
+    'validation.promotionPrice': 'A promotion needs a sale price above zero',
+    'validation.promotionDates': 'A promotion has to end after it starts',
+
+    'permission.addProducts': "You don't have permission to add products",
+    'permission.editProducts': "You don't have permission to edit products",
+    'permission.deleteProducts': "You don't have permission to delete products",
+    'permission.bulkEditProducts': "You don't have permission to bulk edit products",
+    'permission.bulkDeleteProducts': "You don't have permission to bulk delete products",
+    'permission.undo': "You don't have permission to undo changes",
+    'permission.redo': "You don't have permission to redo changes",
+    'permission.resetCatalog': "You don't have permission to reset the catalog",
+    'permission.configureInventory': "You don't have permission to change reorder thresholds",
+    'permission.configureCurrency': "You don't have permission to change exchange rates",
+
+    'history.undoNewerFirst': 'Newer changes must be undone first',
+    'history.stillSaving': 'Wait until this change has finished saving',
+    'history.changedSince': '{name} was changed by someone else in the meantime',
+    'history.add': 'add of {name}',
+    'history.edit': 'edit of {name}',
+    'history.delete': 'delete of {name}',
+    'history.import': { one: 'import of {count} product', other: 'import of {count} products' },
+    'history.bulkEdit': {
+      one: 'bulk edit of {count} product',
+      other: 'bulk edit of {count} products'
+    },
+    'history.bulkDelete': {
+      one: 'bulk delete of {count} product',
+      other: 'bulk delete of {count} products'
+    },
+
+    'notifications.region': 'Notifications',
+    'notifications.dismiss': 'Dismiss notification',
+    'notifications.undo': 'Undo',
+    'notifications.repeated': { one: 'Shown once', other: 'Shown {count} times' },
+    'notifications.more': { one: '{count} more waiting', other: '{count} more waiting' },
+    'notifications.center': {
+      one: 'Notifications, {count} unread',
+      other: 'Notifications, {count} unread'
+    },
+    'notifications.title': 'Notifications',
+    'notifications.markAllRead': 'Mark all as read',
+    'notifications.clear': 'Clear',
+    'notifications.unread': 'Unread',
+    'notifications.empty': 'No notifications yet',
+    'dialog.close': 'Close dialog',
+
+    'analytics.loading': 'Loading analytics...',
+    'analytics.empty': 'No products match the current filters.',
+    'analytics.subset': 'Showing analytics for {shown} of {total} products',
+    'analytics.revenue': 'Revenue',
+    'analytics.unitsSold': { one: '{count} unit sold', other: '{count} units sold' },
+    'analytics.totalProducts': 'Total Products',
+    'analytics.avgRating': 'Avg Rating',
+    'analytics.outOfStock': 'Out of Stock',
+    'analytics.lowStock': '{count} at or below reorder level',
+    'analytics.unitsInStock': { one: '{count} unit in stock', other: '{count} units in stock' },
+    'analytics.soldOutVariants': {
+      one: '{count} variant sold out',
+      other: '{count} variants sold out'
+    },
+    'analytics.revenueByCategory': 'Revenue by category',
+    'analytics.revenueByStatus': 'Revenue by status',
+    'analytics.productCount': { one: '{count} product', other: '{count} products' },
+    'analytics.ratingDistribution': 'Rating distribution',
+    'analytics.ratingBucket': '{count} rated {from}–{to}; click for ★ {from}+',
+    'analytics.unitsPerMonth': 'Units sold per month',
+    'analytics.soldIn': 'Sold in {month} ×',
+    'analytics.monthBar': { one: '{count} unit · {revenue}', other: '{count} units · {revenue}' },
+    'analytics.noHistory': 'No dated sales history for these products.',
+    'analytics.sellers': 'Top and bottom sellers',
+
+    'list.label': 'Products, use arrow keys to move and Enter to edit',
+    'list.position': '{name}, {position} of {total}',
+    'list.changedBy': 'Just changed by {name}',
+    'list.changedBySomeone': 'Just changed by another user',
+    'product.select': 'Select {name}',
+    'product.edit': 'Edit {name}',
+    'product.delete': 'Delete {name}',
+    'product.stock': 'Stock: {stock}',
+    'product.sales': 'Sales: {sales}',
+    'product.saving': 'Saving…',
+    'product.queued': 'Waiting for connection',
+    'product.priceRange': '{min}–{max}',
+    'product.showVariants': 'Show variants and images of {name}',
+    'product.hideVariants': 'Hide variants and images of {name}',
+    'variants.count': { one: '{count} variant', other: '{count} variants' },
+    'variants.options': 'Options',
+    'variants.option': 'Option',
+    'variants.optionLabel': 'Name of option {index}',
+    'variants.optionPlaceholder': 'e.g. Size',
+    'variants.addOption': 'Add option',
+    'variants.removeOption': 'Remove option {name}',
+    'variants.add': 'Add variant',
+    'variants.remove': 'Remove variant {index}',
+    'variants.fieldLabel': '{field} of variant {index}',
+    'variants.pricePlaceholder': 'Product price',
+    'variants.stockHint': 'The total of the variants below',
+    'variants.soldOut': 'Sold out',
+    'images.count': { one: '{count} image', other: '{count} images' },
+    'images.upload': 'Upload images',
+    'images.preview': 'Preview {name}',
+    'images.remove': 'Remove {name}',
+    'images.cover': 'Cover',
+    'images.makeCover': 'Use as cover',
+    'images.notImage': '{name} is not an image',
+    'images.tooLarge': '{name} is larger than {max}',
+    'images.tooMany': 'A product can have up to {count} images',
+    'images.saveFailed': '{name} could not be saved',
+    'images.storageFull': '{name} could not be saved because the browser is out of storage space',
+    'images.notKept':
+      'Images can’t be stored in this browser and will be lost when the page is closed.',
+    'promotion.badge': 'Sale −{percent}',
+    'promotion.regularPrice': 'Regular price',
+    'promotion.salePrice': 'Sale price',
+    'promotion.scheduled': 'On sale for {price} from {start} until {end}',
+    'promotion.active': 'On sale for {price} until {end}',
+    'promotion.ended': 'The sale at {price} ended {end}',
+    'promotion.end': 'End promotion',
+    'promotion.remove': 'Remove promotion',
+    'promotion.removed': 'Removed the promotion on {name}',
+    'promotion.summary': '{price} from {start} until {end}',
+    'pricing.button': 'Pricing',
+    'pricing.title': 'Pricing',
+    'pricing.mode.change': 'Change prices',
+    'pricing.mode.promotion': 'Schedule a promotion',
+    'pricing.scope': 'Apply to',
+    'pricing.scopeFiltered': {
+      one: 'Current filters ({count} product)',
+      other: 'Current filters ({count} products)'
+    },
+    'pricing.scopeSelected': {
+      one: 'Selection ({count} product)',
+      other: 'Selection ({count} products)'
+    },
+    'pricing.kind': 'Change by',
+    'pricing.kind.percent': 'Percentage',
+    'pricing.kind.fixed': 'Amount ({currency})',
+    'pricing.amountPercent': 'Change (%)',
+    'pricing.amountFixed': 'Change ({currency})',
+    'pricing.rounding': 'Rounding',
+    'pricing.rounding.none': 'None',
+    'pricing.rounding.whole': 'Whole amounts',
+    'pricing.rounding.ninetyNine': 'End in .99',
+    'pricing.min': 'Minimum price',
+    'pricing.max': 'Maximum price',
+    'pricing.minIn': 'Minimum price ({currency})',
+    'pricing.maxIn': 'Maximum price ({currency})',
+    'pricing.startsAt': 'Starts',
+    'pricing.endsAt': 'Ends',
+    'pricing.amountRequired': 'Enter a change other than zero, e.g. -10',
+    'pricing.percentTooLow': "Prices can't drop by 100% or more",
+    'pricing.promotionRaises': 'A promotion has to lower prices; use a negative change',
+    'pricing.minAboveMax': 'The maximum price must not be below the minimum price',
+    'pricing.endsInPast': 'The promotion would already be over',
+    'pricing.summary': {
+      one: '{count} of {total} products will change.',
+      other: '{count} of {total} products will change.'
+    },
+    'pricing.limited': {
+      one: '{count} is held by the minimum or maximum price.',
+      other: '{count} are held by the minimum or maximum price.'
+    },
+    'pricing.held': {
+      one: '{count} keeps its price, since rounding would move it the wrong way.',
+      other: '{count} keep their price, since rounding would move them the wrong way.'
+    },
+    'pricing.replacesPromotion': 'Promotions already on these products are replaced.',
+    'pricing.current': 'Current',
+    'pricing.new': 'New',
+    'pricing.sale': 'Sale',
+    'pricing.difference': 'Difference',
+    'pricing.guarded': 'limit',
+    'pricing.more': { one: 'and {count} more product', other: 'and {count} more products' },
+    'pricing.apply': {
+      one: 'Change {count} price',
+      other: 'Change {count} prices'
+    },
+    'pricing.schedule': {
+      one: 'Schedule for {count} product',
+      other: 'Schedule for {count} products'
+    },
+    'pricing.changeLabel': 'Price change',
+    'pricing.promotionLabel': 'Promotion',
+
+    'table.sortHint': 'Click to sort, Shift+click to add a secondary sort',
+    'table.actions': 'Actions',
+    'table.columns': 'Columns',
+
+    'bulk.selected': '{count} selected',
+    'bulk.setStatusLabel': 'Set status of selected products',
+    'bulk.setStatus': 'Set status…',
+    'bulk.changeCategoryLabel': 'Change category of selected products',
+    'bulk.changeCategory': 'Change category…',
+    'bulk.stockPlaceholder': '± stock',
+    'bulk.stockLabel': 'Stock adjustment',
+    'bulk.adjustStock': 'Adjust stock',
+    'bulk.delete': 'Delete',
+    'bulk.clear': 'Clear selection',
+    'bulk.setStatusTo': 'Set status to {status}',
+    'bulk.moveTo': 'Move to {category}',
+    'bulk.adjustBy': 'Adjust stock by {delta}',
+    'bulk.updated': '{count} updated',
+    'bulk.skipped': '{count} skipped (invalid)',
+    'bulk.failedCount': '{count} failed',
+    'bulk.queued': '{count} waiting for connection',
+    'bulk.summary': '{label}: {parts}',
+    'bulk.failed': '{label} failed: {error}',
+    'bulk.deleted': { one: 'Deleted {count} product', other: 'Deleted {count} products' },
+    'bulk.deletedWithFailures': {
+      one: 'Deleted {count} product, {failed} failed',
+      other: 'Deleted {count} products, {failed} failed'
+    },
+    'bulk.deletedQueued': {
+      one: 'Deleted {count} product; waiting for connection to save',
+      other: 'Deleted {count} products; waiting for connection to save'
+    },
+    'bulk.deleteFailed': 'Bulk delete failed: {error}',
+
+    'export.button': 'Export',
+    'export.csvFiltered': 'CSV – filtered ({count})',
+    'export.csvAll': 'CSV – all ({count})',
+    'export.jsonFiltered': 'JSON – filtered ({count})',
+    'export.jsonAll': 'JSON – all ({count})',
+    'export.failed': 'Export failed: {error}',
+
+    'import.title': 'Import Products',
+    'import.titleWithFile': 'Import Products – {file}',
+    'import.intro':
+      'Choose a CSV (with a header row) or JSON file. Rows with an id update the matching ' +
+      'product; rows without one are added. Prices are read as {currency}. JSON exports also ' +
+      'bring back variants, images, promotions and sales history.',
+    'import.fileLabel': 'File to import',
+    'import.readError': 'Could not read {file}: {error}',
+    'import.noRows': 'No rows found',
+    'import.rowsFound': {
+      one: '{count} row found. Match each product field to a column in the file.',
+      other: '{count} rows found. Match each product field to a column in the file.'
+    },
+    'import.notImported': '— not imported —',
+    'import.back': 'Back',
+    'import.preview': 'Preview',
+    'import.kind.add': 'add',
+    'import.kind.update': 'update',
+    'import.kind.unchanged': 'unchanged',
+    'import.kind.conflict': 'conflict',
+    'import.kind.invalid': 'invalid',
+    'import.kindCount': '{count} {kind}',
+    'import.addConflicts': "Add rows whose id isn't in the catalog as new products",
+    'import.importing': 'Importing…',
+    'import.apply': 'Apply import',
+    'import.added': '{count} added',
+    'import.updated': '{count} updated',
+    'import.unchanged': '{count} unchanged',
+    'import.skipped': '{count} skipped (invalid or conflicting)',
+    'import.failed': '{count} failed to save',
+    'import.done': 'Done',
+    'import.finished': 'Import finished: {added} added, {updated} updated',
+    'import.error': 'Import failed: {error}',
+    'import.duplicateId': 'Duplicate id {id} in file',
+    'import.unknownId': 'No product with id {id}',
+    'import.invalidNested': '{field} isn’t in the expected format',
+
+    'query.unterminatedQuote': 'Unterminated quote in {token}',
+    'query.missingValue': 'Missing value for {field}',
+    'query.unknownField': 'Unknown field "{field}"',
+    'query.invalidNumber': 'Invalid number "{value}" for {field}',
+
+    'facets.status': 'Status',
+    'facets.price': 'Price ({currency})',
+    'facets.min': 'Min',
+    'facets.max': 'Max',
+    'facets.minLabel': 'Minimum price',
+    'facets.maxLabel': 'Maximum price',
+    'facets.inRange': { one: '{count} product in range', other: '{count} products in range' },
+    'facets.rating': 'Rating',
+    'facets.clear': 'Clear facets',
+    'facets.ratingAtLeast': '★ {rating}+',
+    'facets.anyRating': 'Any rating',
+
+    'search.placeholder': 'Search products... e.g. price:<50 status:active rating:>=4 "wireless"',
+    'search.label': 'Search products',
+    'search.category': 'Category',
+    'search.allCategories': 'All Categories',
+    'views.button': 'Views',
+    'views.mine': 'My views',
+    'views.sharedWithMe': 'Shared with me',
+    'views.sharedBy': 'Shared by {name}',
+    'views.empty': 'No saved views yet. Set up the list and save it below.',
+    'views.name': 'View name',
+    'views.namePlaceholder': 'Name this view',
+    'views.save': 'Save view',
+    'views.shareWithEveryone': 'Share with everyone',
+    'views.saved': 'Saved view {name}',
+    'views.updated': 'Updated view {name}',
+    'views.deleted': 'Deleted view {name}',
+    'views.confirmDelete': 'Delete the view {name}?',
+    'views.duplicateName': 'You already have a view named {name}',
+    'views.notOwner': 'Only the owner of a view can change it',
+    'views.default': 'Default',
+    'views.makeDefault': 'Open the list with {name}',
+    'views.pin': 'Pin {name}',
+    'views.share': 'Share {name} with everyone',
+    'views.overwrite': 'Replace {name} with the current filters',
+    'views.delete': 'Delete {name}',
+    'views.pinned': 'Pinned views',
+
+    'dashboard.title': 'Product Dashboard',
+    'dashboard.loading': 'Loading products...',
+    'dashboard.loadError': 'Error Loading Products',
+    'dashboard.retry': 'Retry',
+    'dashboard.undo': 'Undo',
+    'dashboard.undoHint': 'Undo (Ctrl+Z)',
+    'dashboard.redo': 'Redo',
+    'dashboard.redoHint': 'Redo (Ctrl+Shift+Z)',
+    'dashboard.reset': 'Reset to sample data',
+    'dashboard.resetConfirm':
+      'Discard all local changes and activity, and reload the sample catalog?',
+    'dashboard.import': 'Import',
+    'dashboard.addProduct': 'Add Product',
+    'dashboard.products': 'Products ({count})',
+    'dashboard.view.list': 'List view',
+    'dashboard.view.grid': 'Grid view',
+    'dashboard.view.table': 'Table view',
+    'dashboard.selectAll': 'Select all matching',
+    'dashboard.undone': 'Undid {action}',
+    'dashboard.undoFailed': 'Undo failed: {error}',
+    'dashboard.redone': 'Redid {action}',
+    'dashboard.redoFailed': 'Redo failed: {error}',
+    'dashboard.deleted': 'Product deleted successfully',
+    'dashboard.deleteFailed': 'Could not delete {name}, so it was put back: {error}',
+    'dashboard.updated': 'Product updated successfully',
+    'dashboard.reopen': 'Open again',
+    'dashboard.updateFailed': 'Could not save {name}, so the change was undone: {error}',
+    'dashboard.conflict':
+      'Someone else saved {name} first, so your change was undone. Open it again to see theirs.',
+    'dashboard.added': '{name} added successfully',
+    'dashboard.addFailed': 'Failed to add product: {error}',
+    'dashboard.resetDone': 'Catalog reset to sample data',
+    'dashboard.resetFailed': 'Reset failed: {error}',
+
+    'detail.back': 'Back to products',
+    'detail.notFound': 'Product {id} not found',
+    'detail.edit': 'Edit',
+    'detail.tab.details': 'Details',
+    'detail.tab.history': 'History ({count})',
+    'detail.noHistory': 'No changes recorded yet.',
+    'detail.lowStock': {
+      one: 'Low on stock. Suggested reorder: {count} unit (selling {velocity} a month).',
+      other: 'Low on stock. Suggested reorder: {count} units (selling {velocity} a month).'
+    },
+    'detail.categoryDefault': '{threshold} (category default)',
+
+    'inventory.title': 'Low Stock',
+    'inventory.thresholds': 'Category reorder thresholds',
+    'inventory.saveThresholds': 'Save thresholds',
+    'inventory.thresholdsHelp':
+      'Products without their own "Reorder at" value use their category\'s threshold.',
+    'inventory.thresholdsSaved': 'Reorder thresholds saved',
+    'inventory.thresholdsFailed': 'Could not save thresholds: {error}',
+    'inventory.restocked': {
+      one: 'Restocked {name} with {count} unit',
+      other: 'Restocked {name} with {count} units'
+    },
+    'inventory.restockFailed': 'Restock failed: {error}',
+    'inventory.column.reorderAt': 'Reorder at',
+    'inventory.column.velocity': 'Per month',
+    'inventory.column.suggested': 'Suggested',
+    'inventory.restockHint': 'Add the suggested quantity to stock',
+    'inventory.restock': 'Restock +{count}',
+    'inventory.belowLevel': 'At or below reorder level ({count})',
+    'inventory.suggestionHelp':
+      "Suggestions cover {cover} months of sales at the last {months} months' rate on top of " +
+      'the threshold.',
+    'inventory.allStocked': 'Every product is above its reorder threshold.',
+    'inventory.alertOne': '{name} is low on stock: {stock} left (reorder at {threshold})',
+    'inventory.alertMany': {
+      one: '{count} product dropped to its reorder threshold',
+      other: '{count} products dropped to their reorder threshold'
+    },
+    'inventory.view': 'View',
+
+    'activity.title': 'Activity',
+    'activity.kind.created': 'created',
+    'activity.kind.updated': 'updated',
+    'activity.kind.deleted': 'deleted',
+    'activity.source.edit': 'edit',
+    'activity.source.undo': 'undo',
+    'activity.source.redo': 'redo',
+    'activity.source.bulk': 'bulk edit',
+    'activity.source.import': 'import',
+    'activity.source.restock': 'restock',
+    'activity.source.revert': 'revert',
+    'activity.source.restore': 'restore',
+    'activity.source.pricing': 'price rule',
+    'activity.source.promotion': 'promotion',
+    'activity.by': 'by {actor}',
+    'activity.actor': '{name} ({role})',
+    'activity.unknownUser': 'unknown user',
+    'activity.via': 'via {source}',
+    'activity.restore': 'Restore',
+    'activity.revert': 'Revert to before this change',
+    'activity.restored': 'Restored {name}',
+    'activity.reverted': 'Reverted {name}',
+    'activity.revertFailed': 'Revert failed: {error}',
+    'activity.showMore': 'Show more ({count} older)',
+    'activity.filterUser': 'Filter by user',
+    'activity.everyone': 'Everyone',
+    'activity.filterKind': 'Filter by change type',
+    'activity.allChanges': 'All changes',
+    'activity.empty': 'No changes recorded yet.',
+
+    'form.editTitle': 'Edit Product',
+    'form.save': 'Save Changes',
+    'form.addTitle': 'Add Product',
+    'form.add': 'Add Product',
+    'form.cancel': 'Cancel',
+    'form.saving': 'Saving…',
+    'form.discard': 'Discard unsaved changes?',
+    'conflict.changedBy': '{name} changed this product while you were editing.',
+    'conflict.changedBySomeone': 'Someone else changed this product while you were editing.',
+    'conflict.deleted':
+      'Someone else deleted this product, so your changes can no longer be saved.',
+    'conflict.field': 'Field',
+    'conflict.theirs': 'Theirs',
+    'conflict.yours': 'Yours',
+    'conflict.both': 'changed by both',
+    'conflict.mergeHint':
+      'Merge keeps your edits and takes their changes to fields you left alone.',
+    'conflict.overwrite': 'Overwrite with mine',
+    'conflict.merge': 'Merge',
+    'conflict.discard': 'Discard mine',
+
+    'login.email': 'Email',
+    'login.password': 'Password',
+    'login.signIn': 'Sign in',
+    'login.signingIn': 'Signing in…',
+    'login.demo':
+      'Demo accounts: admin@example.com / admin, editor@example.com / editor, ' +
+      'viewer@example.com / viewer',
+
+    'header.lowStock': 'Low stock',
+    'header.activity': 'Activity',
+    'header.settings': 'Settings',
+    'header.signOut': 'Sign out',
+    'header.live': 'Live',
+    'header.connecting': 'Connecting…',
+    'header.offline': 'Offline',
+    'header.realtimeHint': 'Whether changes made by other users show up as they happen',
+    'header.pendingWrites': {
+      one: '{count} change waiting to sync',
+      other: '{count} changes waiting to sync'
+    },
+    'header.signOutPending': {
+      one: '{count} change hasn’t been saved yet and will be lost if you sign out. Sign out anyway?',
+      other:
+        '{count} changes haven’t been saved yet and will be lost if you sign out. Sign out anyway?'
+    },
+
+    'settings.title': 'Settings',
+    'settings.language': 'Language',
+    'settings.currency': 'Currency',
+    'settings.currencyHelp':
+      'Catalog prices are stored in {base} and converted for display, editing and analytics.',
+    'settings.rates': 'Exchange rates',
+    'settings.ratesHelp': 'How much one {base} is worth in each currency.',
+    'settings.rateLabel': '{currency} per {base}',
+    'settings.saveRates': 'Save rates',
+    'settings.ratesSaved': 'Exchange rates saved',
+    'settings.ratesFailed': 'Could not save exchange rates: {error}'
+  },
+  de: {
+    'app.title': 'E-Commerce-Dashboard',
+    'errorBoundary.title': 'Etwas ist schiefgelaufen',
+    'errorBoundary.message': 'Beim Laden des Dashboards ist leider ein Fehler aufgetreten.',
+    'errorBoundary.refresh': 'Seite neu laden',
+    'errorBoundary.tryAgain': 'Erneut versuchen',
+    'errorBoundary.header': 'Die Kopfzeile konnte nicht angezeigt werden.',
+    'errorBoundary.page': 'Diese Seite konnte nicht angezeigt werden.',
+    'errorBoundary.analytics': 'Die Auswertungen konnten nicht angezeigt werden.',
+    'errorBoundary.list': 'Die Produktliste konnte nicht angezeigt werden.',
+    'errorBoundary.form':
+      'In diesem Formular ist ein Fehler aufgetreten. Ihre ungespeicherten Änderungen stehen unten; versuchen Sie es erneut, um weiterzuarbeiten.',
+    'errorBoundary.copyDraft': 'Als JSON kopieren',
+    'errorBoundary.copied': 'Ungespeicherte Änderungen in die Zwischenablage kopiert',
+    'errorBoundary.discardDraft': 'Änderungen verwerfen',
+
+    'storage.saveFailed':
+      'Änderungen konnten in diesem Browser nicht gespeichert werden und gehen beim Neuladen der Seite verloren.',
+    'storage.full':
+      'Der Speicherplatz dieses Browsers ist voll. Änderungen werden nicht gespeichert und gehen beim Neuladen der Seite verloren.',
+    'storage.loadFailed':
+      'Einige gespeicherte Daten konnten nicht geladen werden und werden nicht angezeigt.',
+    'list.queryFailed':
+      'Die Produktliste konnte nicht aktualisiert werden. Laden Sie die Seite neu, um es erneut zu versuchen.',
+    'storage.skippedProducts': {
+      one: '{count} gespeichertes Produkt war beschädigt und wurde ausgelassen.',
+      other: '{count} gespeicherte Produkte waren beschädigt und wurden ausgelassen.'
+    },
+    'storage.missingProducts': {
+      one: '{count} gespeichertes Produkt wurde nicht gefunden und wurde ausgelassen.',
+      other: '{count} gespeicherte Produkte wurden nicht gefunden und wurden ausgelassen.'
+    },
+    'realtime.dropped':
+      'Eine Änderung von jemand anderem konnte nicht gelesen werden. Laden Sie die Seite neu, um den aktuellen Katalog zu sehen.',
+
+    'field.id': 'ID',
+    'field.name': 'Name',
+    'field.category': 'Kategorie',
+    'field.price': 'Preis',
+    'field.priceIn': 'Preis ({currency})',
+    'field.stock': 'Bestand',
+    'field.status': 'Status',
+    'field.rating': 'Bewertung',
+    'field.sales': 'Verkäufe',
+    'field.reorderThreshold': 'Nachbestellen bei',
+    'field.reorderThreshold.placeholder': 'Standard der Kategorie',
+    'field.sku': 'Artikelnummer',
+    'field.variants': 'Varianten',
+    'field.images': 'Bilder',
+    'field.promotion': 'Aktion',
+    'field.salesHistory': 'Verkaufsverlauf',
+    'category.Electronics': 'Elektronik',
+    'category.Clothing': 'Kleidung',
+    'category.Books': 'Bücher',
+    'category.Home': 'Haushalt',
+    'category.Sports': 'Sport',
+    'category.Beauty': 'Kosmetik',
+    'status.active': 'aktiv',
+    'status.inactive': 'inaktiv',
+    'status.out-of-stock': 'ausverkauft',
+    'role.admin': 'Admin',
+    'role.editor': 'Redakteur',
+    'role.viewer': 'Betrachter',
+
+    'validation.required': '{field} ist erforderlich',
+    'validation.number': '{field} muss eine Zahl sein',
+    'validation.min': '{field} muss mindestens {min} sein',
+    'validation.max': '{field} darf höchstens {max} sein',
+    'validation.wholeNumber': '{field} muss eine ganze Zahl sein',
+    'validation.decimals': '{field} erlaubt höchstens {decimals} Nachkommastellen',
+    'validation.oneOf': '{field} muss einer der Werte {options} sein',
+    'validation.maxLength': '{field} darf höchstens {maxLength} Zeichen lang sein',
+    'validation.outOfStockHasStock': 'Ausverkaufte Produkte müssen den Bestand 0 haben',
+    'validation.activeNeedsPrice': 'Aktive Produkte brauchen einen Preis über 0',
+    'validation.duplicateSku': 'Die Artikelnummer {sku} wird in diesem Produkt bereits verwendet',
+    'validation.duplicateVariant': 'Eine andere Variante hat bereits diese Optionen',
+    'validation.duplicateOption': 'Optionsnamen müssen sich unterscheiden',
+    'validation.promotionPrice': 'Eine Aktion braucht einen Aktionspreis über null',
+    'validation.promotionDates': 'Eine Aktion muss nach ihrem Beginn enden',
+
+    'permission.addProducts': 'Sie sind nicht berechtigt, Produkte hinzuzufügen',
+    'permission.editProducts': 'Sie sind nicht berechtigt, Produkte zu bearbeiten',
+    'permission.deleteProducts': 'Sie sind nicht berechtigt, Produkte zu löschen',
+    'permission.bulkEditProducts': 'Sie sind nicht berechtigt, Produkte gesammelt zu bearbeiten',
+    'permission.bulkDeleteProducts': 'Sie sind nicht berechtigt, Produkte gesammelt zu löschen',
+    'permission.undo': 'Sie sind nicht berechtigt, Änderungen rückgängig zu machen',
+    'permission.redo': 'Sie sind nicht berechtigt, Änderungen wiederherzustellen',
+    'permission.resetCatalog': 'Sie sind nicht berechtigt, den Katalog zurückzusetzen',
+    'permission.configureInventory': 'Sie sind nicht berechtigt, Nachbestellschwellen zu ändern',
+    'permission.configureCurrency': 'Sie sind nicht berechtigt, Wechselkurse zu ändern',
+
+    'history.undoNewerFirst': 'Neuere Änderungen müssen zuerst rückgängig gemacht werden',
+    'history.stillSaving': 'Warten Sie, bis diese Änderung gespeichert ist',
+    'history.changedSince': '{name} wurde inzwischen von jemand anderem geändert',
+    'history.add': 'Hinzufügen von {name}',
+    'history.edit': 'Bearbeiten von {name}',
+    'history.delete': 'Löschen von {name}',
+    'history.import': { one: 'Import von {count} Produkt', other: 'Import von {count} Produkten' },
+    'history.bulkEdit': {
+      one: 'Sammelbearbeitung von {count} Produkt',
+      other: 'Sammelbearbeitung von {count} Produkten'
+    },
+    'history.bulkDelete': {
+      one: 'Sammellöschung von {count} Produkt',
+      other: 'Sammellöschung von {count} Produkten'
+    },
+
+    'notifications.region': 'Benachrichtigungen',
+    'notifications.dismiss': 'Benachrichtigung schließen',
+    'notifications.undo': 'Rückgängig',
+    'notifications.repeated': { one: 'Einmal angezeigt', other: '{count}-mal angezeigt' },
+    'notifications.more': { one: '{count} weitere wartet', other: '{count} weitere warten' },
+    'notifications.center': {
+      one: 'Benachrichtigungen, {count} ungelesen',
+      other: 'Benachrichtigungen, {count} ungelesen'
+    },
+    'notifications.title': 'Benachrichtigungen',
+    'notifications.markAllRead': 'Alle als gelesen markieren',
+    'notifications.clear': 'Leeren',
+    'notifications.unread': 'Ungelesen',
+    'notifications.empty': 'Noch keine Benachrichtigungen',
+    'dialog.close': 'Dialog schließen',
+
+    'analytics.loading': 'Analysen werden geladen...',
+    'analytics.empty': 'Keine Produkte entsprechen den aktuellen Filtern.',
+    'analytics.subset': 'Analysen für {shown} von {total} Produkten',
+    'analytics.revenue': 'Umsatz',
+    'analytics.unitsSold': { one: '{count} Stück verkauft', other: '{count} Stück verkauft' },
+    'analytics.totalProducts': 'Produkte gesamt',
+    'analytics.avgRating': 'Ø Bewertung',
+    'analytics.outOfStock': 'Ausverkauft',
+    'analytics.lowStock': '{count} auf oder unter Nachbestellgrenze',
+    'analytics.unitsInStock': { one: '{count} Stück auf Lager', other: '{count} Stück auf Lager' },
+    'analytics.soldOutVariants': {
+      one: '{count} Variante ausverkauft',
+      other: '{count} Varianten ausverkauft'
+    },
+    'analytics.revenueByCategory': 'Umsatz nach Kategorie',
+    'analytics.revenueByStatus': 'Umsatz nach Status',
+    'analytics.productCount': { one: '{count} Produkt', other: '{count} Produkte' },
+    'analytics.ratingDistribution': 'Bewertungsverteilung',
+    'analytics.ratingBucket': '{count} mit {from}–{to} bewertet; klicken für ★ {from}+',
+    'analytics.unitsPerMonth': 'Verkaufte Stück pro Monat',
+    'analytics.soldIn': 'Verkauft im {month} ×',
+    'analytics.monthBar': { one: '{count} Stück · {revenue}', other: '{count} Stück · {revenue}' },
+    'analytics.noHistory': 'Für diese Produkte gibt es keinen datierten Verkaufsverlauf.',
+    'analytics.sellers': 'Bestseller und Ladenhüter',
+
+    'list.label': 'Produkte, mit den Pfeiltasten wechseln und mit Enter bearbeiten',
+    'list.position': '{name}, {position} von {total}',
+    'list.changedBy': 'Gerade von {name} geändert',
+    'list.changedBySomeone': 'Gerade von jemand anderem geändert',
+    'product.select': '{name} auswählen',
+    'product.edit': '{name} bearbeiten',
+    'product.delete': '{name} löschen',
+    'product.stock': 'Bestand: {stock}',
+    'product.sales': 'Verkäufe: {sales}',
+    'product.saving': 'Wird gespeichert…',
+    'product.queued': 'Wartet auf Verbindung',
+    'product.priceRange': '{min}–{max}',
+    'product.showVariants': 'Varianten und Bilder von {name} anzeigen',
+    'product.hideVariants': 'Varianten und Bilder von {name} ausblenden',
+    'variants.count': { one: '{count} Variante', other: '{count} Varianten' },
+    'variants.options': 'Optionen',
+    'variants.option': 'Option',
+    'variants.optionLabel': 'Name der Option {index}',
+    'variants.optionPlaceholder': 'z. B. Größe',
+    'variants.addOption': 'Option hinzufügen',
+    'variants.removeOption': 'Option {name} entfernen',
+    'variants.add': 'Variante hinzufügen',
+    'variants.remove': 'Variante {index} entfernen',
+    'variants.fieldLabel': '{field} der Variante {index}',
+    'variants.pricePlaceholder': 'Produktpreis',
+    'variants.stockHint': 'Die Summe der Varianten unten',
+    'variants.soldOut': 'Ausverkauft',
+    'images.count': { one: '{count} Bild', other: '{count} Bilder' },
+    'images.upload': 'Bilder hochladen',
+    'images.preview': 'Vorschau von {name}',
+    'images.remove': '{name} entfernen',
+    'images.cover': 'Titelbild',
+    'images.makeCover': 'Als Titelbild verwenden',
+    'images.notImage': '{name} ist kein Bild',
+    'images.tooLarge': '{name} ist größer als {max}',
+    'images.tooMany': 'Ein Produkt kann höchstens {count} Bilder haben',
+    'images.saveFailed': '{name} konnte nicht gespeichert werden',
+    'images.storageFull':
+      '{name} konnte nicht gespeichert werden, weil der Speicherplatz des Browsers voll ist',
+    'images.notKept':
+      'Bilder können in diesem Browser nicht gespeichert werden und gehen beim Schließen der Seite verloren.',
+    'promotion.badge': 'Aktion −{percent}',
+    'promotion.regularPrice': 'Regulärer Preis',
+    'promotion.salePrice': 'Aktionspreis',
+    'promotion.scheduled': 'Im Angebot für {price} von {start} bis {end}',
+    'promotion.active': 'Im Angebot für {price} bis {end}',
+    'promotion.ended': 'Das Angebot für {price} endete am {end}',
+    'promotion.end': 'Aktion beenden',
+    'promotion.remove': 'Aktion entfernen',
+    'promotion.removed': 'Aktion für {name} entfernt',
+    'promotion.summary': '{price} von {start} bis {end}',
+    'pricing.button': 'Preise',
+    'pricing.title': 'Preise',
+    'pricing.mode.change': 'Preise ändern',
+    'pricing.mode.promotion': 'Aktion planen',
+    'pricing.scope': 'Anwenden auf',
+    'pricing.scopeFiltered': {
+      one: 'Aktuelle Filter ({count} Produkt)',
+      other: 'Aktuelle Filter ({count} Produkte)'
+    },
+    'pricing.scopeSelected': {
+      one: 'Auswahl ({count} Produkt)',
+      other: 'Auswahl ({count} Produkte)'
+    },
+    'pricing.kind': 'Ändern um',
+    'pricing.kind.percent': 'Prozentsatz',
+    'pricing.kind.fixed': 'Betrag ({currency})',
+    'pricing.amountPercent': 'Änderung (%)',
+    'pricing.amountFixed': 'Änderung ({currency})',
+    'pricing.rounding': 'Rundung',
+    'pricing.rounding.none': 'Keine',
+    'pricing.rounding.whole': 'Ganze Beträge',
+    'pricing.rounding.ninetyNine': 'Auf ,99 enden',
+    'pricing.min': 'Mindestpreis',
+    'pricing.max': 'Höchstpreis',
+    'pricing.minIn': 'Mindestpreis ({currency})',
+    'pricing.maxIn': 'Höchstpreis ({currency})',
+    'pricing.startsAt': 'Beginn',
+    'pricing.endsAt': 'Ende',
+    'pricing.amountRequired': 'Geben Sie eine Änderung ungleich null ein, z. B. -10',
+    'pricing.percentTooLow': 'Preise können nicht um 100 % oder mehr sinken',
+    'pricing.promotionRaises':
+      'Eine Aktion muss Preise senken; verwenden Sie eine negative Änderung',
+    'pricing.minAboveMax': 'Der Höchstpreis darf nicht unter dem Mindestpreis liegen',
+    'pricing.endsInPast': 'Die Aktion wäre bereits vorbei',
+    'pricing.summary': {
+      one: '{count} von {total} Produkten ändert sich.',
+      other: '{count} von {total} Produkten ändern sich.'
+    },
+    'pricing.limited': {
+      one: '{count} wird vom Mindest- oder Höchstpreis begrenzt.',
+      other: '{count} werden vom Mindest- oder Höchstpreis begrenzt.'
+    },
+    'pricing.held': {
+      one: '{count} behält den Preis, da die Rundung ihn in die falsche Richtung verschieben würde.',
+      other:
+        '{count} behalten den Preis, da die Rundung sie in die falsche Richtung verschieben würde.'
+    },
+    'pricing.replacesPromotion': 'Bestehende Aktionen dieser Produkte werden ersetzt.',
+    'pricing.current': 'Aktuell',
+    'pricing.new': 'Neu',
+    'pricing.sale': 'Aktion',
+    'pricing.difference': 'Differenz',
+    'pricing.guarded': 'Grenze',
+    'pricing.more': { one: 'und {count} weiteres Produkt', other: 'und {count} weitere Produkte' },
+    'pricing.apply': {
+      one: '{count} Preis ändern',
+      other: '{count} Preise ändern'
+    },
+    'pricing.schedule': {
+      one: 'Für {count} Produkt planen',
+      other: 'Für {count} Produkte planen'
+    },
+    'pricing.changeLabel': 'Preisänderung',
+    'pricing.promotionLabel': 'Aktion',
+
+    'table.sortHint': 'Klicken zum Sortieren, Umschalt+Klick für eine zweite Sortierung',
+    'table.actions': 'Aktionen',
+    'table.columns': 'Spalten',
+
+    'bulk.selected': '{count} ausgewählt',
+    'bulk.setStatusLabel': 'Status der ausgewählten Produkte setzen',
+    'bulk.setStatus': 'Status setzen…',
+    'bulk.changeCategoryLabel': 'Kategorie der ausgewählten Produkte ändern',
+    'bulk.changeCategory': 'Kategorie ändern…',
+    'bulk.stockPlaceholder': '± Bestand',
+    'bulk.stockLabel': 'Bestandsänderung',
+    'bulk.adjustStock': 'Bestand anpassen',
+    'bulk.delete': 'Löschen',
+    'bulk.clear': 'Auswahl aufheben',
+    'bulk.setStatusTo': 'Status auf {status} setzen',
+    'bulk.moveTo': 'Nach {category} verschieben',
+    'bulk.adjustBy': 'Bestand um {delta} anpassen',
+    'bulk.updated': '{count} aktualisiert',
+    'bulk.skipped': '{count} übersprungen (ungültig)',
+    'bulk.failedCount': '{count} fehlgeschlagen',
+    'bulk.queued': { one: '{count} wartet auf Verbindung', other: '{count} warten auf Verbindung' },
+    'bulk.summary': '{label}: {parts}',
+    'bulk.failed': '{label} fehlgeschlagen: {error}',
+    'bulk.deleted': { one: '{count} Produkt gelöscht', other: '{count} Produkte gelöscht' },
+    'bulk.deletedWithFailures': {
+      one: '{count} Produkt gelöscht, {failed} fehlgeschlagen',
+      other: '{count} Produkte gelöscht, {failed} fehlgeschlagen'
+    },
+    'bulk.deletedQueued': {
+      one: '{count} Produkt gelöscht; wartet auf Verbindung zum Speichern',
+      other: '{count} Produkte gelöscht; warten auf Verbindung zum Speichern'
+    },
+    'bulk.deleteFailed': 'Sammellöschung fehlgeschlagen: {error}',
+
+    'export.button': 'Exportieren',
+    'export.csvFiltered': 'CSV – gefiltert ({count})',
+    'export.csvAll': 'CSV – alle ({count})',
+    'export.jsonFiltered': 'JSON – gefiltert ({count})',
+    'export.jsonAll': 'JSON – alle ({count})',
+    'export.failed': 'Export fehlgeschlagen: {error}',
+
+    'import.title': 'Produkte importieren',
+    'import.titleWithFile': 'Produkte importieren – {file}',
+    'import.intro':
+      'Wählen Sie eine CSV-Datei (mit Kopfzeile) oder eine JSON-Datei. Zeilen mit einer ID ' +
+      'aktualisieren das passende Produkt, Zeilen ohne ID werden hinzugefügt. Preise werden ' +
+      'als {currency} gelesen. JSON-Exporte bringen auch Varianten, Bilder, Aktionen und ' +
+      'Verkaufsverlauf mit.',
+    'import.fileLabel': 'Zu importierende Datei',
+    'import.readError': '{file} konnte nicht gelesen werden: {error}',
+    'import.noRows': 'Keine Zeilen gefunden',
+    'import.rowsFound': {
+      one: '{count} Zeile gefunden. Ordnen Sie jedem Produktfeld eine Spalte der Datei zu.',
+      other: '{count} Zeilen gefunden. Ordnen Sie jedem Produktfeld eine Spalte der Datei zu.'
+    },
+    'import.notImported': '— nicht importiert —',
+    'import.back': 'Zurück',
+    'import.preview': 'Vorschau',
+    'import.kind.add': 'neu',
+    'import.kind.update': 'aktualisiert',
+    'import.kind.unchanged': 'unverändert',
+    'import.kind.conflict': 'Konflikt',
+    'import.kind.invalid': 'ungültig',
+    'import.kindCount': '{count} {kind}',
+    'import.addConflicts': 'Zeilen, deren ID nicht im Katalog ist, als neue Produkte anlegen',
+    'import.importing': 'Importiere…',
+    'import.apply': 'Import ausführen',
+    'import.added': '{count} hinzugefügt',
+    'import.updated': '{count} aktualisiert',
+    'import.unchanged': '{count} unverändert',
+    'import.skipped': '{count} übersprungen (ungültig oder im Konflikt)',
+    'import.failed': '{count} konnten nicht gespeichert werden',
+    'import.done': 'Fertig',
+    'import.finished': 'Import abgeschlossen: {added} hinzugefügt, {updated} aktualisiert',
+    'import.error': 'Import fehlgeschlagen: {error}',
+    'import.duplicateId': 'Doppelte ID {id} in der Datei',
+    'import.unknownId': 'Kein Produkt mit der ID {id}',
+    'import.invalidNested': '{field} hat nicht das erwartete Format',
+
+    'query.unterminatedQuote': 'Nicht geschlossenes Anführungszeichen in {token}',
+    'query.missingValue': 'Fehlender Wert für {field}',
+    'query.unknownField': 'Unbekanntes Feld "{field}"',
+    'query.invalidNumber': 'Ungültige Zahl "{value}" für {field}',
+
+    'facets.status': 'Status',
+    'facets.price': 'Preis ({currency})',
+    'facets.min': 'Min.',
+    'facets.max': 'Max.',
+    'facets.minLabel': 'Mindestpreis',
+    'facets.maxLabel': 'Höchstpreis',
+    'facets.inRange': {
+      one: '{count} Produkt im Bereich',
+      other: '{count} Produkte im Bereich'
+    },
+    'facets.rating': 'Bewertung',
+    'facets.clear': 'Filter zurücksetzen',
+    'facets.ratingAtLeast': '★ {rating}+',
+    'facets.anyRating': 'Beliebige Bewertung',
+
+    'search.placeholder': 'Produkte suchen... z. B. price:<50 status:active rating:>=4 "wireless"',
+    'search.label': 'Produkte suchen',
+    'search.category': 'Kategorie',
+    'search.allCategories': 'Alle Kategorien',
+    'views.button': 'Ansichten',
+    'views.mine': 'Meine Ansichten',
+    'views.sharedWithMe': 'Für mich freigegeben',
+    'views.sharedBy': 'Freigegeben von {name}',
+    'views.empty':
+      'Noch keine gespeicherten Ansichten. Richten Sie die Liste ein und speichern Sie sie unten.',
+    'views.name': 'Name der Ansicht',
+    'views.namePlaceholder': 'Ansicht benennen',
+    'views.save': 'Ansicht speichern',
+    'views.shareWithEveryone': 'Für alle freigeben',
+    'views.saved': 'Ansicht {name} gespeichert',
+    'views.updated': 'Ansicht {name} aktualisiert',
+    'views.deleted': 'Ansicht {name} gelöscht',
+    'views.confirmDelete': 'Ansicht {name} löschen?',
+    'views.duplicateName': 'Sie haben bereits eine Ansicht namens {name}',
+    'views.notOwner': 'Nur der Eigentümer einer Ansicht kann sie ändern',
+    'views.default': 'Standard',
+    'views.makeDefault': 'Liste mit {name} öffnen',
+    'views.pin': '{name} anheften',
+    'views.share': '{name} für alle freigeben',
+    'views.overwrite': '{name} durch die aktuellen Filter ersetzen',
+    'views.delete': '{name} löschen',
+    'views.pinned': 'Angeheftete Ansichten',
+
+    'dashboard.title': 'Produkt-Dashboard',
+    'dashboard.loading': 'Produkte werden geladen...',
+    'dashboard.loadError': 'Fehler beim Laden der Produkte',
+    'dashboard.retry': 'Erneut versuchen',
+    'dashboard.undo': 'Rückgängig',
+    'dashboard.undoHint': 'Rückgängig (Strg+Z)',
+    'dashboard.redo': 'Wiederherstellen',
+    'dashboard.redoHint': 'Wiederherstellen (Strg+Umschalt+Z)',
+    'dashboard.reset': 'Auf Beispieldaten zurücksetzen',
+    'dashboard.resetConfirm':
+      'Alle lokalen Änderungen und Aktivitäten verwerfen und den Beispielkatalog neu laden?',
+    'dashboard.import': 'Importieren',
+    'dashboard.addProduct': 'Produkt hinzufügen',
+    'dashboard.products': 'Produkte ({count})',
+    'dashboard.view.list': 'Listenansicht',
+    'dashboard.view.grid': 'Rasteransicht',
+    'dashboard.view.table': 'Tabellenansicht',
+    'dashboard.selectAll': 'Alle Treffer auswählen',
+    'dashboard.undone': 'Rückgängig gemacht: {action}',
+    'dashboard.undoFailed': 'Rückgängig fehlgeschlagen: {error}',
+    'dashboard.redone': 'Wiederhergestellt: {action}',
+    'dashboard.redoFailed': 'Wiederherstellen fehlgeschlagen: {error}',
+    'dashboard.deleted': 'Produkt gelöscht',
+    'dashboard.deleteFailed':
+      '{name} konnte nicht gelöscht werden und wurde wiederhergestellt: {error}',
+    'dashboard.updated': 'Produkt aktualisiert',
+    'dashboard.reopen': 'Erneut öffnen',
+    'dashboard.updateFailed':
+      '{name} konnte nicht gespeichert werden, die Änderung wurde zurückgenommen: {error}',
+    'dashboard.conflict':
+      'Jemand anderes hat {name} zuerst gespeichert, Ihre Änderung wurde zurückgenommen. Öffnen Sie es erneut, um deren Stand zu sehen.',
+    'dashboard.added': '{name} wurde hinzugefügt',
+    'dashboard.addFailed': 'Produkt konnte nicht hinzugefügt werden: {error}',
+    'dashboard.resetDone': 'Katalog auf Beispieldaten zurückgesetzt',
+    'dashboard.resetFailed': 'Zurücksetzen fehlgeschlagen: {error}',
+
+    'detail.back': 'Zurück zu den Produkten',
+    'detail.notFound': 'Produkt {id} nicht gefunden',
+    'detail.edit': 'Bearbeiten',
+    'detail.tab.details': 'Details',
+    'detail.tab.history': 'Verlauf ({count})',
+    'detail.noHistory': 'Noch keine Änderungen erfasst.',
+    'detail.lowStock': {
+      one: 'Bestand niedrig. Empfohlene Nachbestellung: {count} Stück ({velocity} pro Monat verkauft).',
+      other:
+        'Bestand niedrig. Empfohlene Nachbestellung: {count} Stück ({velocity} pro Monat verkauft).'
+    },
+    'detail.categoryDefault': '{threshold} (Standard der Kategorie)',
+
+    'inventory.title': 'Niedriger Bestand',
+    'inventory.thresholds': 'Nachbestellschwellen je Kategorie',
+    'inventory.saveThresholds': 'Schwellen speichern',
+    'inventory.thresholdsHelp':
+      'Produkte ohne eigenen Wert „Nachbestellen bei“ verwenden die Schwelle ihrer Kategorie.',
+    'inventory.thresholdsSaved': 'Nachbestellschwellen gespeichert',
+    'inventory.thresholdsFailed': 'Schwellen konnten nicht gespeichert werden: {error}',
+    'inventory.restocked': {
+      one: '{name} um {count} Stück aufgefüllt',
+      other: '{name} um {count} Stück aufgefüllt'
+    },
+    'inventory.restockFailed': 'Auffüllen fehlgeschlagen: {error}',
+    'inventory.column.reorderAt': 'Nachbestellen bei',
+    'inventory.column.velocity': 'Pro Monat',
+    'inventory.column.suggested': 'Vorschlag',
+    'inventory.restockHint': 'Die vorgeschlagene Menge zum Bestand hinzufügen',
+    'inventory.restock': 'Auffüllen +{count}',
+    'inventory.belowLevel': 'Auf oder unter der Nachbestellgrenze ({count})',
+    'inventory.suggestionHelp':
+      'Vorschläge decken {cover} Monate Verkäufe zum Tempo der letzten {months} Monate ' +
+      'zusätzlich zur Schwelle ab.',
+    'inventory.allStocked': 'Alle Produkte liegen über ihrer Nachbestellschwelle.',
+    'inventory.alertOne':
+      '{name} hat niedrigen Bestand: noch {stock} (Nachbestellen bei {threshold})',
+    'inventory.alertMany': {
+      one: '{count} Produkt hat seine Nachbestellschwelle erreicht',
+      other: '{count} Produkte haben ihre Nachbestellschwelle erreicht'
+    },
+    'inventory.view': 'Anzeigen',
+
+    'activity.title': 'Aktivität',
+    'activity.kind.created': 'angelegt',
+    'activity.kind.updated': 'geändert',
+    'activity.kind.deleted': 'gelöscht',
+    'activity.source.edit': 'Bearbeitung',
+    'activity.source.undo': 'Rückgängig',
+    'activity.source.redo': 'Wiederherstellen',
+    'activity.source.bulk': 'Sammelbearbeitung',
+    'activity.source.import': 'Import',
+    'activity.source.restock': 'Auffüllen',
+    'activity.source.revert': 'Zurücksetzen',
+    'activity.source.restore': 'Wiederherstellung',
+    'activity.source.pricing': 'Preisregel',
+    'activity.source.promotion': 'Aktion',
+    'activity.by': 'von {actor}',
+    'activity.actor': '{name} ({role})',
+    'activity.unknownUser': 'unbekanntem Benutzer',
+    'activity.via': 'über {source}',
+    'activity.restore': 'Wiederherstellen',
+    'activity.revert': 'Auf Stand vor dieser Änderung zurücksetzen',
+    'activity.restored': '{name} wiederhergestellt',
+    'activity.reverted': '{name} zurückgesetzt',
+    'activity.revertFailed': 'Zurücksetzen fehlgeschlagen: {error}',
+    'activity.showMore': 'Mehr anzeigen ({count} ältere)',
+    'activity.filterUser': 'Nach Benutzer filtern',
+    'activity.everyone': 'Alle',
+    'activity.filterKind': 'Nach Art der Änderung filtern',
+    'activity.allChanges': 'Alle Änderungen',
+    'activity.empty': 'Noch keine Änderungen erfasst.',
+
+    'form.editTitle': 'Produkt bearbeiten',
+    'form.save': 'Änderungen speichern',
+    'form.addTitle': 'Produkt hinzufügen',
+    'form.add': 'Produkt hinzufügen',
+    'form.cancel': 'Abbrechen',
+    'form.saving': 'Wird gespeichert…',
+    'form.discard': 'Ungespeicherte Änderungen verwerfen?',
+    'conflict.changedBy': '{name} hat dieses Produkt geändert, während Sie es bearbeitet haben.',
+    'conflict.changedBySomeone':
+      'Jemand anderes hat dieses Produkt geändert, während Sie es bearbeitet haben.',
+    'conflict.deleted':
+      'Jemand anderes hat dieses Produkt gelöscht, Ihre Änderungen können nicht mehr gespeichert werden.',
+    'conflict.field': 'Feld',
+    'conflict.theirs': 'Deren Stand',
+    'conflict.yours': 'Ihr Stand',
+    'conflict.both': 'von beiden geändert',
+    'conflict.mergeHint':
+      'Zusammenführen behält Ihre Änderungen und übernimmt deren Änderungen an Feldern, die Sie nicht angefasst haben.',
+    'conflict.overwrite': 'Mit meinem Stand überschreiben',
+    'conflict.merge': 'Zusammenführen',
+    'conflict.discard': 'Meine verwerfen',
+
+    'login.email': 'E-Mail',
+    'login.password': 'Passwort',
+    'login.signIn': 'Anmelden',
+    'login.signingIn': 'Anmeldung läuft…',
+    'login.demo':
+      'Demo-Konten: admin@example.com / admin, editor@example.com / editor, ' +
+      'viewer@example.com / viewer',
+
+    'header.lowStock': 'Niedriger Bestand',
+    'header.activity': 'Aktivität',
+    'header.settings': 'Einstellungen',
+    'header.signOut': 'Abmelden',
+    'header.live': 'Live',
+    'header.connecting': 'Verbinde…',
+    'header.offline': 'Offline',
+    'header.realtimeHint': 'Ob Änderungen anderer Benutzer sofort erscheinen',
+    'header.pendingWrites': {
+      one: '{count} Änderung wartet auf Synchronisierung',
+      other: '{count} Änderungen warten auf Synchronisierung'
+    },
+    'header.signOutPending': {
+      one: '{count} Änderung ist noch nicht gespeichert und geht beim Abmelden verloren. Trotzdem abmelden?',
+      other:
+        '{count} Änderungen sind noch nicht gespeichert und gehen beim Abmelden verloren. Trotzdem abmelden?'
+    },
+
+    'settings.title': 'Einstellungen',
+    'settings.language': 'Sprache',
+    'settings.currency': 'Währung',
+    'settings.currencyHelp':
+      'Katalogpreise werden in {base} gespeichert und für Anzeige, Bearbeitung und Analysen ' +
+      'umgerechnet.',
+    'settings.rates': 'Wechselkurse',
+    'settings.ratesHelp': 'Wert von einem {base} in jeder Währung.',
+    'settings.rateLabel': '{currency} pro {base}',
+    'settings.saveRates': 'Kurse speichern',
+    'settings.ratesSaved': 'Wechselkurse gespeichert',
+    'settings.ratesFailed': 'Wechselkurse konnten nicht gespeichert werden: {error}'
+  },
+  es: {
+    'app.title': 'Panel de comercio electrónico',
+    'errorBoundary.title': 'Algo salió mal',
+    'errorBoundary.message': 'Lo sentimos, se produjo un error al cargar el panel.',
+    'errorBoundary.refresh': 'Recargar página',
+    'errorBoundary.tryAgain': 'Reintentar',
+    'errorBoundary.header': 'No se pudo mostrar el encabezado.',
+    'errorBoundary.page': 'No se pudo mostrar esta página.',
+    'errorBoundary.analytics': 'No se pudieron mostrar los análisis.',
+    'errorBoundary.list': 'No se pudo mostrar la lista de productos.',
+    'errorBoundary.form':
+      'Este formulario tuvo un problema. Tus cambios sin guardar se conservan abajo; vuelve a intentarlo para seguir editándolos.',
+    'errorBoundary.copyDraft': 'Copiar como JSON',
+    'errorBoundary.copied': 'Cambios sin guardar copiados al portapapeles',
+    'errorBoundary.discardDraft': 'Descartar cambios',
+
+    'storage.saveFailed':
+      'Los cambios no se pudieron guardar en este navegador y se perderán al recargar la página.',
+    'storage.full':
+      'Este navegador no tiene más espacio, así que los cambios no se guardan y se perderán al recargar la página.',
+    'storage.loadFailed': 'Algunos datos guardados no se pudieron cargar y no se muestran.',
+    'list.queryFailed':
+      'No se pudo actualizar la lista de productos. Recarga la página para volver a intentarlo.',
+    'storage.skippedProducts': {
+      one: '{count} producto guardado estaba dañado y se ha omitido.',
+      other: '{count} productos guardados estaban dañados y se han omitido.'
+    },
+    'storage.missingProducts': {
+      one: '{count} producto guardado no se encontró y se ha omitido.',
+      other: '{count} productos guardados no se encontraron y se han omitido.'
+    },
+    'realtime.dropped':
+      'No se pudo leer un cambio hecho por otra persona. Recarga la página para ver el catálogo actualizado.',
+
+    'field.id': 'ID',
+    'field.name': 'Nombre',
+    'field.category': 'Categoría',
+    'field.price': 'Precio',
+    'field.priceIn': 'Precio ({currency})',
+    'field.stock': 'Existencias',
+    'field.status': 'Estado',
+    'field.rating': 'Valoración',
+    'field.sales': 'Ventas',
+    'field.reorderThreshold': 'Reponer con',
+    'field.reorderThreshold.placeholder': 'Valor de la categoría',
+    'field.sku': 'SKU',
+    'field.variants': 'Variantes',
+    'field.images': 'Imágenes',
+    'field.promotion': 'Promoción',
+    'field.salesHistory': 'Historial de ventas',
+    'category.Electronics': 'Electrónica',
+    'category.Clothing': 'Ropa',
+    'category.Books': 'Libros',
+    'category.Home': 'Hogar',
+    'category.Sports': 'Deportes',
+    'category.Beauty': 'Belleza',
+    'status.active': 'activo',
+    'status.inactive': 'inactivo',
+    'status.out-of-stock': 'agotado',
+    'role.admin': 'administrador',
+    'role.editor': 'editor',
+    'role.viewer': 'lector',
+
+    'validation.required': '{field} es obligatorio',
+    'validation.number': '{field} debe ser un número',
+    'validation.min': '{field} debe ser como mínimo {min}',
+    'validation.max': '{field} debe ser como máximo {max}',
+    'validation.wholeNumber': '{field} debe ser un número entero',
+    'validation.decimals': '{field} admite como máximo {decimals} decimales',
+    'validation.oneOf': '{field} debe ser uno de {options}',
+    'validation.maxLength': '{field} debe tener {maxLength} caracteres o menos',
+    'validation.outOfStockHasStock': 'Los productos agotados deben tener existencias 0',
+    'validation.activeNeedsPrice': 'Los productos activos necesitan un precio mayor que 0',
+    'validation.duplicateSku': 'El SKU {sku} ya se usa en este producto',
+    'validation.duplicateVariant': 'Otra variante ya tiene estas opciones',
+    'validation.duplicateOption': 'Los nombres de las opciones deben ser distintos',
+    'validation.promotionPrice': 'Una promoción necesita un precio de oferta mayor que cero',
+    'validation.promotionDates': 'Una promoción tiene que terminar después de empezar',
+
+    'permission.addProducts': 'No tienes permiso para añadir productos',
+    'permission.editProducts': 'No tienes permiso para editar productos',
+    'permission.deleteProducts': 'No tienes permiso para eliminar productos',
+    'permission.bulkEditProducts': 'No tienes permiso para editar productos en bloque',
+    'permission.bulkDeleteProducts': 'No tienes permiso para eliminar productos en bloque',
+    'permission.undo': 'No tienes permiso para deshacer cambios',
+    'permission.redo': 'No tienes permiso para rehacer cambios',
+    'permission.resetCatalog': 'No tienes permiso para restablecer el catálogo',
+    'permission.configureInventory': 'No tienes permiso para cambiar los umbrales de reposición',
+    'permission.configureCurrency': 'No tienes permiso para cambiar los tipos de cambio',
+
+    'history.undoNewerFirst': 'Primero hay que deshacer los cambios más recientes',
+    'history.stillSaving': 'Espera a que este cambio termine de guardarse',
+    'history.changedSince': 'Otra persona ha cambiado {name} mientras tanto',
+    'history.add': 'alta de {name}',
+    'history.edit': 'edición de {name}',
+    'history.delete': 'eliminación de {name}',
+    'history.import': {
+      one: 'importación de {count} producto',
+      other: 'importación de {count} productos'
+    },
+    'history.bulkEdit': {
+      one: 'edición en bloque de {count} producto',
+      other: 'edición en bloque de {count} productos'
+    },
+    'history.bulkDelete': {
+      one: 'eliminación en bloque de {count} producto',
+      other: 'eliminación en bloque de {count} productos'
+    },
+
+    'notifications.region': 'Notificaciones',
+    'notifications.dismiss': 'Cerrar notificación',
+    'notifications.undo': 'Deshacer',
+    'notifications.repeated': { one: 'Mostrada una vez', other: 'Mostrada {count} veces' },
+    'notifications.more': { one: '{count} más en espera', other: '{count} más en espera' },
+    'notifications.center': {
+      one: 'Notificaciones, {count} sin leer',
+      other: 'Notificaciones, {count} sin leer'
+    },
+    'notifications.title': 'Notificaciones',
+    'notifications.markAllRead': 'Marcar todo como leído',
+    'notifications.clear': 'Borrar',
+    'notifications.unread': 'Sin leer',
+    'notifications.empty': 'Aún no hay notificaciones',
+    'dialog.close': 'Cerrar diálogo',
+
+    'analytics.loading': 'Cargando análisis...',
+    'analytics.empty': 'Ningún producto coincide con los filtros actuales.',
+    'analytics.subset': 'Análisis de {shown} de {total} productos',
+    'analytics.revenue': 'Ingresos',
+    'analytics.unitsSold': { one: '{count} unidad vendida', other: '{count} unidades vendidas' },
+    'analytics.totalProducts': 'Total de productos',
+    'analytics.avgRating': 'Valoración media',
+    'analytics.outOfStock': 'Agotados',
+    'analytics.lowStock': '{count} en el nivel de reposición o por debajo',
+    'analytics.unitsInStock': {
+      one: '{count} unidad en existencias',
+      other: '{count} unidades en existencias'
+    },
+    'analytics.soldOutVariants': {
+      one: '{count} variante agotada',
+      other: '{count} variantes agotadas'
+    },
+    'analytics.revenueByCategory': 'Ingresos por categoría',
+    'analytics.revenueByStatus': 'Ingresos por estado',
+    'analytics.productCount': { one: '{count} producto', other: '{count} productos' },
+    'analytics.ratingDistribution': 'Distribución de valoraciones',
+    'analytics.ratingBucket': '{count} con valoración {from}–{to}; pulsa para ★ {from}+',
+    'analytics.unitsPerMonth': 'Unidades vendidas por mes',
+    'analytics.soldIn': 'Vendido en {month} ×',
+    'analytics.monthBar': {
+      one: '{count} unidad · {revenue}',
+      other: '{count} unidades · {revenue}'
+    },
+    'analytics.noHistory': 'No hay historial de ventas con fecha para estos productos.',
+    'analytics.sellers': 'Más y menos vendidos',
+
+    'list.label': 'Productos, usa las flechas para moverte e Intro para editar',
+    'list.position': '{name}, {position} de {total}',
+    'list.changedBy': 'Modificado ahora por {name}',
+    'list.changedBySomeone': 'Modificado ahora por otro usuario',
+    'product.select': 'Seleccionar {name}',
+    'product.edit': 'Editar {name}',
+    'product.delete': 'Eliminar {name}',
+    'product.stock': 'Existencias: {stock}',
+    'product.sales': 'Ventas: {sales}',
+    'product.saving': 'Guardando…',
+    'product.queued': 'Esperando conexión',
+    'product.priceRange': '{min}–{max}',
+    'product.showVariants': 'Mostrar variantes e imágenes de {name}',
+    'product.hideVariants': 'Ocultar variantes e imágenes de {name}',
+    'variants.count': { one: '{count} variante', other: '{count} variantes' },
+    'variants.options': 'Opciones',
+    'variants.option': 'Opción',
+    'variants.optionLabel': 'Nombre de la opción {index}',
+    'variants.optionPlaceholder': 'p. ej. Talla',
+    'variants.addOption': 'Añadir opción',
+    'variants.removeOption': 'Quitar la opción {name}',
+    'variants.add': 'Añadir variante',
+    'variants.remove': 'Quitar la variante {index}',
+    'variants.fieldLabel': '{field} de la variante {index}',
+    'variants.pricePlaceholder': 'Precio del producto',
+    'variants.stockHint': 'La suma de las variantes de abajo',
+    'variants.soldOut': 'Agotada',
+    'images.count': { one: '{count} imagen', other: '{count} imágenes' },
+    'images.upload': 'Subir imágenes',
+    'images.preview': 'Vista previa de {name}',
+    'images.remove': 'Quitar {name}',
+    'images.cover': 'Portada',
+    'images.makeCover': 'Usar como portada',
+    'images.notImage': '{name} no es una imagen',
+    'images.tooLarge': '{name} ocupa más de {max}',
+    'images.tooMany': 'Un producto puede tener como máximo {count} imágenes',
+    'images.saveFailed': 'No se pudo guardar {name}',
+    'images.storageFull': 'No se pudo guardar {name} porque el navegador no tiene más espacio',
+    'images.notKept':
+      'Las imágenes no se pueden guardar en este navegador y se perderán al cerrar la página.',
+    'promotion.badge': 'Oferta −{percent}',
+    'promotion.regularPrice': 'Precio normal',
+    'promotion.salePrice': 'Precio de oferta',
+    'promotion.scheduled': 'En oferta por {price} desde {start} hasta {end}',
+    'promotion.active': 'En oferta por {price} hasta {end}',
+    'promotion.ended': 'La oferta por {price} terminó el {end}',
+    'promotion.end': 'Terminar promoción',
+    'promotion.remove': 'Quitar promoción',
+    'promotion.removed': 'Se quitó la promoción de {name}',
+    'promotion.summary': '{price} desde {start} hasta {end}',
+    'pricing.button': 'Precios',
+    'pricing.title': 'Precios',
+    'pricing.mode.change': 'Cambiar precios',
+    'pricing.mode.promotion': 'Programar una promoción',
+    'pricing.scope': 'Aplicar a',
+    'pricing.scopeFiltered': {
+      one: 'Filtros actuales ({count} producto)',
+      other: 'Filtros actuales ({count} productos)'
+    },
+    'pricing.scopeSelected': {
+      one: 'Selección ({count} producto)',
+      other: 'Selección ({count} productos)'
+    },
+    'pricing.kind': 'Cambiar en',
+    'pricing.kind.percent': 'Porcentaje',
+    'pricing.kind.fixed': 'Importe ({currency})',
+    'pricing.amountPercent': 'Cambio (%)',
+    'pricing.amountFixed': 'Cambio ({currency})',
+    'pricing.rounding': 'Redondeo',
+    'pricing.rounding.none': 'Ninguno',
+    'pricing.rounding.whole': 'Importes enteros',
+    'pricing.rounding.ninetyNine': 'Terminar en ,99',
+    'pricing.min': 'Precio mínimo',
+    'pricing.max': 'Precio máximo',
+    'pricing.minIn': 'Precio mínimo ({currency})',
+    'pricing.maxIn': 'Precio máximo ({currency})',
+    'pricing.startsAt': 'Empieza',
+    'pricing.endsAt': 'Termina',
+    'pricing.amountRequired': 'Introduce un cambio distinto de cero, p. ej. -10',
+    'pricing.percentTooLow': 'Los precios no pueden bajar un 100 % o más',
+    'pricing.promotionRaises': 'Una promoción tiene que bajar precios; usa un cambio negativo',
+    'pricing.minAboveMax': 'El precio máximo no puede ser menor que el mínimo',
+    'pricing.endsInPast': 'La promoción ya habría terminado',
+    'pricing.summary': {
+      one: 'Cambia {count} de {total} productos.',
+      other: 'Cambian {count} de {total} productos.'
+    },
+    'pricing.limited': {
+      one: '{count} queda limitado por el precio mínimo o máximo.',
+      other: '{count} quedan limitados por el precio mínimo o máximo.'
+    },
+    'pricing.held': {
+      one: '{count} mantiene su precio, porque el redondeo lo movería en sentido contrario.',
+      other: '{count} mantienen su precio, porque el redondeo los movería en sentido contrario.'
+    },
+    'pricing.replacesPromotion': 'Se reemplazan las promociones que ya tengan estos productos.',
+    'pricing.current': 'Actual',
+    'pricing.new': 'Nuevo',
+    'pricing.sale': 'Oferta',
+    'pricing.difference': 'Diferencia',
+    'pricing.guarded': 'límite',
+    'pricing.more': { one: 'y {count} producto más', other: 'y {count} productos más' },
+    'pricing.apply': {
+      one: 'Cambiar {count} precio',
+      other: 'Cambiar {count} precios'
+    },
+    'pricing.schedule': {
+      one: 'Programar para {count} producto',
+      other: 'Programar para {count} productos'
+    },
+    'pricing.changeLabel': 'Cambio de precios',
+    'pricing.promotionLabel': 'Promoción',
+
+    'table.sortHint': 'Pulsa para ordenar, Mayús+clic para añadir un orden secundario',
+    'table.actions': 'Acciones',
+    'table.columns': 'Columnas',
+
+    'bulk.selected': '{count} seleccionados',
+    'bulk.setStatusLabel': 'Cambiar el estado de los productos seleccionados',
+    'bulk.setStatus': 'Cambiar estado…',
+    'bulk.changeCategoryLabel': 'Cambiar la categoría de los productos seleccionados',
+    'bulk.changeCategory': 'Cambiar categoría…',
+    'bulk.stockPlaceholder': '± existencias',
+    'bulk.stockLabel': 'Ajuste de existencias',
+    'bulk.adjustStock': 'Ajustar existencias',
+    'bulk.delete': 'Eliminar',
+    'bulk.clear': 'Quitar selección',
+    'bulk.setStatusTo': 'Cambiar estado a {status}',
+    'bulk.moveTo': 'Mover a {category}',
+    'bulk.adjustBy': 'Ajustar existencias en {delta}',
+    'bulk.updated': '{count} actualizados',
+    'bulk.skipped': '{count} omitidos (no válidos)',
+    'bulk.failedCount': '{count} con error',
+    'bulk.queued': '{count} esperando conexión',
+    'bulk.summary': '{label}: {parts}',
+    'bulk.failed': '{label} falló: {error}',
+    'bulk.deleted': { one: '{count} producto eliminado', other: '{count} productos eliminados' },
+    'bulk.deletedWithFailures': {
+      one: '{count} producto eliminado, {failed} con error',
+      other: '{count} productos eliminados, {failed} con error'
+    },
+    'bulk.deletedQueued': {
+      one: '{count} producto eliminado; esperando conexión para guardar',
+      other: '{count} productos eliminados; esperando conexión para guardar'
+    },
+    'bulk.deleteFailed': 'Error en la eliminación en bloque: {error}',
+
+    'export.button': 'Exportar',
+    'export.csvFiltered': 'CSV – filtrados ({count})',
+    'export.csvAll': 'CSV – todos ({count})',
+    'export.jsonFiltered': 'JSON – filtrados ({count})',
+    'export.jsonAll': 'JSON – todos ({count})',
+    'export.failed': 'Error al exportar: {error}',
+
+    'import.title': 'Importar productos',
+    'import.titleWithFile': 'Importar productos – {file}',
+    'import.intro':
+      'Elige un archivo CSV (con fila de encabezado) o JSON. Las filas con id actualizan el ' +
+      'producto correspondiente y las filas sin id se añaden. Los precios se leen en {currency}. ' +
+      'Las exportaciones JSON también recuperan variantes, imágenes, promociones e historial de ' +
+      'ventas.',
+    'import.fileLabel': 'Archivo para importar',
+    'import.readError': 'No se pudo leer {file}: {error}',
+    'import.noRows': 'No se encontraron filas',
+    'import.rowsFound': {
+      one: '{count} fila encontrada. Asigna cada campo del producto a una columna del archivo.',
+      other: '{count} filas encontradas. Asigna cada campo del producto a una columna del archivo.'
+    },
+    'import.notImported': '— no se importa —',
+    'import.back': 'Atrás',
+    'import.preview': 'Vista previa',
+    'import.kind.add': 'nuevo',
+    'import.kind.update': 'actualización',
+    'import.kind.unchanged': 'sin cambios',
+    'import.kind.conflict': 'conflicto',
+    'import.kind.invalid': 'no válido',
+    'import.kindCount': '{count} {kind}',
+    'import.addConflicts': 'Añadir como productos nuevos las filas cuyo id no está en el catálogo',
+    'import.importing': 'Importando…',
+    'import.apply': 'Aplicar importación',
+    'import.added': '{count} añadidos',
+    'import.updated': '{count} actualizados',
+    'import.unchanged': '{count} sin cambios',
+    'import.skipped': '{count} omitidos (no válidos o en conflicto)',
+    'import.failed': '{count} no se pudieron guardar',
+    'import.done': 'Listo',
+    'import.finished': 'Importación terminada: {added} añadidos, {updated} actualizados',
+    'import.error': 'Error en la importación: {error}',
+    'import.duplicateId': 'Id {id} duplicado en el archivo',
+    'import.unknownId': 'No hay ningún producto con id {id}',
+    'import.invalidNested': '{field} no tiene el formato esperado',
+
+    'query.unterminatedQuote': 'Comillas sin cerrar en {token}',
+    'query.missingValue': 'Falta el valor de {field}',
+    'query.unknownField': 'Campo desconocido "{field}"',
+    'query.invalidNumber': 'Número no válido "{value}" para {field}',
+
+    'facets.status': 'Estado',
+    'facets.price': 'Precio ({currency})',
+    'facets.min': 'Mín.',
+    'facets.max': 'Máx.',
+    'facets.minLabel': 'Precio mínimo',
+    'facets.maxLabel': 'Precio máximo',
+    'facets.inRange': {
+      one: '{count} producto en el rango',
+      other: '{count} productos en el rango'
+    },
+    'facets.rating': 'Valoración',
+    'facets.clear': 'Quitar filtros',
+    'facets.ratingAtLeast': '★ {rating}+',
+    'facets.anyRating': 'Cualquier valoración',
+
+    'search.placeholder':
+      'Buscar productos... p. ej. price:<50 status:active rating:>=4 "wireless"',
+    'search.label': 'Buscar productos',
+    'search.category': 'Categoría',
+    'search.allCategories': 'Todas las categorías',
+    'views.button': 'Vistas',
+    'views.mine': 'Mis vistas',
+    'views.sharedWithMe': 'Compartidas conmigo',
+    'views.sharedBy': 'Compartida por {name}',
+    'views.empty': 'Aún no hay vistas guardadas. Configura la lista y guárdala abajo.',
+    'views.name': 'Nombre de la vista',
+    'views.namePlaceholder': 'Nombre de esta vista',
+    'views.save': 'Guardar vista',
+    'views.shareWithEveryone': 'Compartir con todos',
+    'views.saved': 'Vista {name} guardada',
+    'views.updated': 'Vista {name} actualizada',
+    'views.deleted': 'Vista {name} eliminada',
+    'views.confirmDelete': '¿Eliminar la vista {name}?',
+    'views.duplicateName': 'Ya tienes una vista llamada {name}',
+    'views.notOwner': 'Solo el propietario de una vista puede cambiarla',
+    'views.default': 'Predeterminada',
+    'views.makeDefault': 'Abrir la lista con {name}',
+    'views.pin': 'Fijar {name}',
+    'views.share': 'Compartir {name} con todos',
+    'views.overwrite': 'Reemplazar {name} con los filtros actuales',
+    'views.delete': 'Eliminar {name}',
+    'views.pinned': 'Vistas fijadas',
+
+    'dashboard.title': 'Panel de productos',
+    'dashboard.loading': 'Cargando productos...',
+    'dashboard.loadError': 'Error al cargar los productos',
+    'dashboard.retry': 'Reintentar',
+    'dashboard.undo': 'Deshacer',
+    'dashboard.undoHint': 'Deshacer (Ctrl+Z)',
+    'dashboard.redo': 'Rehacer',
+    'dashboard.redoHint': 'Rehacer (Ctrl+Mayús+Z)',
+    'dashboard.reset': 'Restablecer datos de ejemplo',
+    'dashboard.resetConfirm':
+      '¿Descartar todos los cambios locales y la actividad, y recargar el catálogo de ejemplo?',
+    'dashboard.import': 'Importar',
+    'dashboard.addProduct': 'Añadir producto',
+    'dashboard.products': 'Productos ({count})',
+    'dashboard.view.list': 'Vista de lista',
+    'dashboard.view.grid': 'Vista de cuadrícula',
+    'dashboard.view.table': 'Vista de tabla',
+    'dashboard.selectAll': 'Seleccionar todos los resultados',
+    'dashboard.undone': 'Deshecho: {action}',
+    'dashboard.undoFailed': 'No se pudo deshacer: {error}',
+    'dashboard.redone': 'Rehecho: {action}',
+    'dashboard.redoFailed': 'No se pudo rehacer: {error}',
+    'dashboard.deleted': 'Producto eliminado',
+    'dashboard.deleteFailed': 'No se pudo eliminar {name}, así que se ha restaurado: {error}',
+    'dashboard.updated': 'Producto actualizado',
+    'dashboard.reopen': 'Abrir de nuevo',
+    'dashboard.updateFailed': 'No se pudo guardar {name}, así que se deshizo el cambio: {error}',
+    'dashboard.conflict':
+      'Otra persona guardó {name} antes, así que se deshizo tu cambio. Ábrelo de nuevo para ver el suyo.',
+    'dashboard.added': '{name} se añadió correctamente',
+    'dashboard.addFailed': 'No se pudo añadir el producto: {error}',
+    'dashboard.resetDone': 'Catálogo restablecido a los datos de ejemplo',
+    'dashboard.resetFailed': 'No se pudo restablecer: {error}',
+
+    'detail.back': 'Volver a productos',
+    'detail.notFound': 'No se encontró el producto {id}',
+    'detail.edit': 'Editar',
+    'detail.tab.details': 'Detalles',
+    'detail.tab.history': 'Historial ({count})',
+    'detail.noHistory': 'Aún no hay cambios registrados.',
+    'detail.lowStock': {
+      one: 'Pocas existencias. Reposición sugerida: {count} unidad (se venden {velocity} al mes).',
+      other:
+        'Pocas existencias. Reposición sugerida: {count} unidades (se venden {velocity} al mes).'
+    },
+    'detail.categoryDefault': '{threshold} (valor de la categoría)',
+
+    'inventory.title': 'Existencias bajas',
+    'inventory.thresholds': 'Umbrales de reposición por categoría',
+    'inventory.saveThresholds': 'Guardar umbrales',
+    'inventory.thresholdsHelp':
+      'Los productos sin un valor propio de «Reponer con» usan el umbral de su categoría.',
+    'inventory.thresholdsSaved': 'Umbrales de reposición guardados',
+    'inventory.thresholdsFailed': 'No se pudieron guardar los umbrales: {error}',
+    'inventory.restocked': {
+      one: 'Se repuso {name} con {count} unidad',
+      other: 'Se repuso {name} con {count} unidades'
+    },
+    'inventory.restockFailed': 'No se pudo reponer: {error}',
+    'inventory.column.reorderAt': 'Reponer con',
+    'inventory.column.velocity': 'Al mes',
+    'inventory.column.suggested': 'Sugerido',
+    'inventory.restockHint': 'Añadir la cantidad sugerida a las existencias',
+    'inventory.restock': 'Reponer +{count}',
+    'inventory.belowLevel': 'En el nivel de reposición o por debajo ({count})',
+    'inventory.suggestionHelp':
+      'Las sugerencias cubren {cover} meses de ventas al ritmo de los últimos {months} meses, ' +
+      'además del umbral.',
+    'inventory.allStocked': 'Todos los productos están por encima de su umbral de reposición.',
+    'inventory.alertOne': 'A {name} le quedan pocas existencias: {stock} (reponer con {threshold})',
+    'inventory.alertMany': {
+      one: '{count} producto llegó a su umbral de reposición',
+      other: '{count} productos llegaron a su umbral de reposición'
+    },
+    'inventory.view': 'Ver',
+
+    'activity.title': 'Actividad',
+    'activity.kind.created': 'creado',
+    'activity.kind.updated': 'modificado',
+    'activity.kind.deleted': 'eliminado',
+    'activity.source.edit': 'edición',
+    'activity.source.undo': 'deshacer',
+    'activity.source.redo': 'rehacer',
+    'activity.source.bulk': 'edición en bloque',
+    'activity.source.import': 'importación',
+    'activity.source.restock': 'reposición',
+    'activity.source.revert': 'reversión',
+    'activity.source.restore': 'restauración',
+    'activity.source.pricing': 'regla de precios',
+    'activity.source.promotion': 'promoción',
+    'activity.by': 'por {actor}',
+    'activity.actor': '{name} ({role})',
+    'activity.unknownUser': 'usuario desconocido',
+    'activity.via': 'mediante {source}',
+    'activity.restore': 'Restaurar',
+    'activity.revert': 'Volver a antes de este cambio',
+    'activity.restored': '{name} restaurado',
+    'activity.reverted': '{name} revertido',
+    'activity.revertFailed': 'No se pudo revertir: {error}',
+    'activity.showMore': 'Mostrar más ({count} anteriores)',
+    'activity.filterUser': 'Filtrar por usuario',
+    'activity.everyone': 'Todos',
+    'activity.filterKind': 'Filtrar por tipo de cambio',
+    'activity.allChanges': 'Todos los cambios',
+    'activity.empty': 'Aún no hay cambios registrados.',
+
+    'form.editTitle': 'Editar producto',
+    'form.save': 'Guardar cambios',
+    'form.addTitle': 'Añadir producto',
+    'form.add': 'Añadir producto',
+    'form.cancel': 'Cancelar',
+    'form.saving': 'Guardando…',
+    'form.discard': '¿Descartar los cambios sin guardar?',
+    'conflict.changedBy': '{name} modificó este producto mientras lo editabas.',
+    'conflict.changedBySomeone': 'Otra persona modificó este producto mientras lo editabas.',
+    'conflict.deleted':
+      'Otra persona eliminó este producto, así que ya no puedes guardar tus cambios.',
+    'conflict.field': 'Campo',
+    'conflict.theirs': 'Suyos',
+    'conflict.yours': 'Tuyos',
+    'conflict.both': 'modificado por ambos',
+    'conflict.mergeHint':
+      'Combinar conserva tus cambios y toma los suyos en los campos que no tocaste.',
+    'conflict.overwrite': 'Sobrescribir con los míos',
+    'conflict.merge': 'Combinar',
+    'conflict.discard': 'Descartar los míos',
+
+    'login.email': 'Correo electrónico',
+    'login.password': 'Contraseña',
+    'login.signIn': 'Iniciar sesión',
+    'login.signingIn': 'Iniciando sesión…',
+    'login.demo':
+      'Cuentas de demostración: admin@example.com / admin, editor@example.com / editor, ' +
+      'viewer@example.com / viewer',
+
+    'header.lowStock': 'Existencias bajas',
+    'header.activity': 'Actividad',
+    'header.settings': 'Ajustes',
+    'header.signOut': 'Cerrar sesión',
+    'header.live': 'En vivo',
+    'header.connecting': 'Conectando…',
+    'header.offline': 'Sin conexión',
+    'header.realtimeHint': 'Si los cambios de otros usuarios aparecen en el momento',
+    'header.pendingWrites': {
+      one: '{count} cambio pendiente de sincronizar',
+      other: '{count} cambios pendientes de sincronizar'
+    },
+    'header.signOutPending': {
+      one: '{count} cambio aún no se ha guardado y se perderá si cierras sesión. ¿Cerrar sesión de todos modos?',
+      other:
+        '{count} cambios aún no se han guardado y se perderán si cierras sesión. ¿Cerrar sesión de todos modos?'
+    },
+
+    'settings.title': 'Ajustes',
+    'settings.language': 'Idioma',
+    'settings.currency': 'Moneda',
+    'settings.currencyHelp':
+      'Los precios del catálogo se guardan en {base} y se convierten para mostrarlos, ' +
+      'editarlos y en los análisis.',
+    'settings.rates': 'Tipos de cambio',
+    'settings.ratesHelp': 'Cuánto vale un {base} en cada moneda.',
+    'settings.rateLabel': '{currency} por {base}',
+    'settings.saveRates': 'Guardar tipos',
+    'settings.ratesSaved': 'Tipos de cambio guardados',
+    'settings.ratesFailed': 'No se pudieron guardar los tipos de cambio: {error}'
+  }
+};
+
+export { MESSAGES };
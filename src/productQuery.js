@@ -0,0 +1,384 @@
+// Pure catalog query code shared by the dashboard and productQuery.worker.js.
+// Nothing here may touch React, the DOM or App.jsx, since it also runs inside the worker.
+
+/* ========= Stock Levels ========= */
+const DEFAULT_REORDER_THRESHOLD = 10;
+
+// A product with variants holds no stock of its own; its stock is the sum of theirs
+const stockOf = product =>
+  product.variants?.length
+    ? product.variants.reduce((sum, variant) => sum + Number(variant.stock), 0)
+    : product.stock;
+
+// A product's own threshold wins; a blank one falls back to its category's
+const reorderThresholdFor = (product, categoryThresholds) =>
+  product.reorderThreshold == null || product.reorderThreshold === ''
+    ? categoryThresholds[product.category] ?? DEFAULT_REORDER_THRESHOLD
+    : Number(product.reorderThreshold);
+
+// Inactive products aren't being sold, so they never need restocking
+const isLowStock = (product, categoryThresholds) =>
+  product.status !== 'inactive' &&
+  stockOf(product) <= reorderThresholdFor(product, categoryThresholds);
+
+/* ========= Promotions ========= */
+// A promotion is a sale price between two ISO dates. The regular price is left alone, so
+// the product is back at it as soon as the promotion ends.
+const promotionStatus = (promotion, now = Date.now()) => {
+  if (!promotion) return null;
+  if (now < Date.parse(promotion.startsAt)) return 'scheduled';
+  return now < Date.parse(promotion.endsAt) ? 'active' : 'ended';
+};
+
+// Only a running promotion that still undercuts the regular price applies
+const activePromotion = (product, now) =>
+  promotionStatus(product.promotion, now) === 'active' && product.promotion.price < product.price
+    ? product.promotion
+    : null;
+
+// What the product sells for at `now`: the sale price while a promotion runs
+const currentPrice = (product, now = Date.now()) =>
+  activePromotion(product, now)?.price ?? product.price;
+
+// Prices are compared, sorted and summed at what the product currently sells for
+const fieldValue = (product, field, now) =>
+  field === 'price' ? currentPrice(product, now) : product[field];
+
+// The next time after `now` a promotion starts or ends, or null when none will
+const nextPromotionChange = (products, now) =>
+  products.reduce((next, { promotion }) => {
+    if (!promotion) return next;
+    const at = [promotion.startsAt, promotion.endsAt].map(Date.parse).find(time => time > now);
+    return at !== undefined && (next === null || at < next) ? at : next;
+  }, null);
+
+/* ========= Matching ========= */
+const RATING_FACETS = [4, 3, 2, 1];
+
+const soldInMonth = (product, month) =>
+  (product.salesHistory || []).some(entry => entry.month === month && entry.units > 0);
+
+// Text clauses match name, category and SKUs (the product's and its variants');
+// `haystack` is the precomputed lowercase form of those so the index doesn't lower-case
+// every product on each keystroke
+const searchText = product =>
+  [product.name, product.category, product.sku, ...(product.variants || []).map(v => v.sku)]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase();
+
+// Prices are compared in the display currency, so price:<50 means what the list shows
+const matchesClause = (product, { field, op, value }, priceRate = 1, haystack, now) => {
+  if (op === 'text') return (haystack ?? searchText(product)).includes(value);
+  if (op === 'contains') return String(product[field]).toLowerCase().includes(value);
+  if (op === 'eq') return String(product[field]).toLowerCase() === value;
+
+  const n = Number(fieldValue(product, field, now)) * (field === 'price' ? priceRate : 1);
+  switch (op) {
+    case '<':
+      return n < value;
+    case '<=':
+      return n <= value;
+    case '>':
+      return n > value;
+    case '>=':
+      return n >= value;
+    case 'range':
+      return n >= value[0] && n <= value[1];
+    default:
+      return n === value;
+  }
+};
+
+const matchesQuery = (product, clauses, priceRate, haystack, now) =>
+  clauses.every(
+    clause => matchesClause(product, clause, priceRate, haystack, now) !== clause.negate
+  );
+
+// `except` leaves one facet out so its own counts reflect the other active facets.
+// The price bounds are in the display currency.
+const matchesFacets = (product, facets, except, priceRate = 1, now) => {
+  if (except !== 'status' && facets.statuses.length && !facets.statuses.includes(product.status)) {
+    return false;
+  }
+  if (except !== 'price') {
+    const price = currentPrice(product, now) * priceRate;
+    if (facets.minPrice !== '' && price < Number(facets.minPrice)) return false;
+    if (facets.maxPrice !== '' && price > Number(facets.maxPrice)) return false;
+  }
+  if (except !== 'rating' && parseFloat(product.rating) < facets.minRating) return false;
+  if (except !== 'soldIn' && facets.soldIn && !soldInMonth(product, facets.soldIn)) return false;
+  return true;
+};
+
+const countFacets = (products, facets, statuses, priceRate, now) => {
+  const status = Object.fromEntries(statuses.map(st => [st, 0]));
+  const rating = Object.fromEntries(RATING_FACETS.map(r => [r, 0]));
+  let price = 0;
+
+  products.forEach(p => {
+    if (matchesFacets(p, facets, 'status', priceRate, now)) {
+      status[p.status] = (status[p.status] || 0) + 1;
+    }
+    if (matchesFacets(p, facets, 'rating', priceRate, now)) {
+      RATING_FACETS.forEach(r => {
+        if (parseFloat(p.rating) >= r) rating[r] += 1;
+      });
+    }
+    if (matchesFacets(p, facets, undefined, priceRate, now)) price += 1;
+  });
+
+  return { status, rating, price };
+};
+
+/* ========= Sorting ========= */
+// A shared collator is much cheaper than localeCompare with options on every comparison
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+const compareValues = (a, b, numeric) =>
+  numeric ? Number(a) - Number(b) : collator.compare(String(a), String(b));
+
+// Ties fall back to the incoming order, so sorting is stable across keys and re-sorts
+const sortByKeys = (products, sort, numericKeys = [], now = Date.now()) => {
+  if (!sort.length) return products;
+  const numeric = new Set(numericKeys);
+
+  return products
+    .map((product, index) => ({ product, index }))
+    .sort((a, b) => {
+      for (const { key, dir } of sort) {
+        const diff = compareValues(
+          fieldValue(a.product, key, now),
+          fieldValue(b.product, key, now),
+          numeric.has(key)
+        );
+        if (diff !== 0) return dir === 'asc' ? diff : -diff;
+      }
+      return a.index - b.index;
+    })
+    .map(({ product }) => product);
+};
+
+/* ========= Analytics ========= */
+const SELLER_LIST_SIZE = 5;
+const RATING_BUCKETS = [0, 1, 2, 3, 4];
+
+const revenueOf = (p, now) => currentPrice(p, now) * p.sales;
+
+// Counts and revenue per value of `key`, largest revenue first
+const breakdownBy = (products, key, keys, now) => {
+  const groups = new Map(keys.map(k => [k, { key: k, count: 0, revenue: 0 }]));
+  products.forEach(p => {
+    if (!groups.has(p[key])) groups.set(p[key], { key: p[key], count: 0, revenue: 0 });
+    const group = groups.get(p[key]);
+    group.count += 1;
+    group.revenue += revenueOf(p, now);
+  });
+  return [...groups.values()].sort((a, b) => b.revenue - a.revenue);
+};
+
+// Monthly revenue is estimated at the price each product currently sells for
+const salesByMonth = (products, now) => {
+  const months = new Map();
+  products.forEach(p =>
+    (p.salesHistory || []).forEach(({ month, units }) => {
+      const bucket = months.get(month) || { month, units: 0, revenue: 0 };
+      bucket.units += units;
+      bucket.revenue += units * currentPrice(p, now);
+      months.set(month, bucket);
+    })
+  );
+  return [...months.values()].sort((a, b) => a.month.localeCompare(b.month));
+};
+
+const computeAnalytics = (products, categoryThresholds, statuses, now) => {
+  const bySales = [...products].sort((a, b) => b.sales - a.sales || a.id - b.id);
+  const ratings = Object.fromEntries(RATING_BUCKETS.map(r => [r, 0]));
+  products.forEach(p => {
+    ratings[Math.min(Math.floor(parseFloat(p.rating)), 4)] += 1;
+  });
+
+  const stocks = products.map(stockOf);
+
+  // Variants that sold out while their product still has stock elsewhere; fully sold out
+  // products are already in outOfStock
+  const soldOutVariants = products.reduce(
+    (sum, p, i) =>
+      stocks[i] > 0 ? sum + (p.variants || []).filter(v => Number(v.stock) === 0).length : sum,
+    0
+  );
+
+  return {
+    totalProducts: products.length,
+    totalUnits: products.reduce((sum, p) => sum + p.sales, 0),
+    totalRevenue: products.reduce((sum, p) => sum + revenueOf(p, now), 0),
+    averageRating: (
+      products.reduce((sum, p) => sum + parseFloat(p.rating), 0) / products.length
+    ).toFixed(1),
+    totalStock: stocks.reduce((sum, stock) => sum + stock, 0),
+    outOfStock: stocks.filter(stock => stock === 0).length,
+    soldOutVariants,
+    lowStock: products.filter(p => isLowStock(p, categoryThresholds)).length,
+    byCategory: breakdownBy(products, 'category', [], now),
+    byStatus: breakdownBy(products, 'status', statuses, now),
+    ratings: RATING_BUCKETS.map(r => ({ rating: r, count: ratings[r] })),
+    monthly: salesByMonth(products, now),
+    topSellers: bySales.slice(0, SELLER_LIST_SIZE),
+    bottomSellers: bySales.slice(-SELLER_LIST_SIZE).reverse()
+  };
+};
+
+/* ========= Product Index ========= */
+// Mirrors the catalog in the order the dashboard holds it, together with the search text
+// of each product. It is kept current with patches (changed slots plus removed ids) rather
+// than a fresh copy of the catalog on every edit.
+//
+// Results refer to products by their position in that catalog and carry the revision they
+// were computed against, so the caller can map them back onto its own array (no product
+// objects are copied back out of the worker) and drop answers that are already stale.
+// Prices are taken at the request's `now`; `nextPromotionChange` says when that goes stale.
+// How many products each category has is kept up to date along the way, so answers can list
+// the categories in use without a pass over the catalog.
+const createProductIndex = () => {
+  let revision = 0;
+  let products = [];
+  let haystacks = [];
+  let categoryCounts = new Map();
+  // The category/query step only reruns when its inputs or the catalog change;
+  // facet and sort changes reuse its matches
+  let queried = null;
+
+  const count = (product, delta) =>
+    categoryCounts.set(product.category, (categoryCounts.get(product.category) || 0) + delta);
+
+  // Patches edit the mirror in place, so it never shares an array with the caller
+  const reset = (next, nextRevision) => {
+    products = next.slice();
+    haystacks = next.map(searchText);
+    categoryCounts = new Map();
+    products.forEach(p => count(p, 1));
+    revision = nextRevision;
+    queried = null;
+  };
+
+  // `saved` holds [index, product] pairs against the catalog after `removed` is applied;
+  // indices are ascending, so new products can be spliced straight into place
+  const patch = ({ removed, saved }, nextRevision) => {
+    if (removed.length) {
+      const gone = new Set(removed);
+      const kept = products.map(p => !gone.has(p.id));
+      products.forEach((p, i) => {
+        if (!kept[i]) count(p, -1);
+      });
+      products = products.filter((p, i) => kept[i]);
+      haystacks = haystacks.filter((h, i) => kept[i]);
+    }
+    saved.forEach(([index, product]) => {
+      count(product, 1);
+      if (products[index]?.id === product.id) {
+        count(products[index], -1);
+        products[index] = product;
+        haystacks[index] = searchText(product);
+      } else {
+        products.splice(index, 0, product);
+        haystacks.splice(index, 0, searchText(product));
+      }
+    });
+    revision = nextRevision;
+    queried = null;
+  };
+
+  const query = ({
+    filter,
+    clauses,
+    facets,
+    sort,
+    numericKeys,
+    priceRate,
+    categoryThresholds,
+    statuses,
+    now = Date.now()
+  }) => {
+    const key = JSON.stringify([filter, clauses, priceRate, now]);
+    if (queried?.key !== key) {
+      const positions = [];
+      products.forEach((p, i) => {
+        if (
+          (filter === 'all' || p.category === filter) &&
+          matchesQuery(p, clauses, priceRate, haystacks[i], now)
+        ) {
+          positions.push(i);
+        }
+      });
+      queried = { key, positions, nextPromotionChange: nextPromotionChange(products, now) };
+    }
+
+    const matching = queried.positions.map(i => products[i]);
+    const positionOf = new Map(queried.positions.map(i => [products[i], i]));
+    const filtered = sortByKeys(
+      matching.filter(p => matchesFacets(p, facets, undefined, priceRate, now)),
+      sort,
+      numericKeys,
+      now
+    );
+    const analytics = filtered.length
+      ? computeAnalytics(filtered, categoryThresholds, statuses, now)
+      : null;
+
+    return {
+      revision,
+      categories: [...categoryCounts].filter(([, n]) => n > 0).map(([category]) => category),
+      nextPromotionChange: queried.nextPromotionChange,
+      filtered: filtered.map(p => positionOf.get(p)),
+      facetCounts: countFacets(matching, facets, statuses, priceRate, now),
+      analytics: analytics && {
+        ...analytics,
+        topSellers: analytics.topSellers.map(p => positionOf.get(p)),
+        bottomSellers: analytics.bottomSellers.map(p => positionOf.get(p))
+      }
+    };
+  };
+
+  return { reset, patch, query };
+};
+
+// The message protocol spoken by productQuery.worker.js (and its in-page stand-in):
+// { type: 'reset', revision, products }, { type: 'patch', revision, removed, saved }
+// and { type: 'query', id, request }; only queries get a reply, { id, result }
+const handleIndexMessage = (index, message) => {
+  switch (message.type) {
+    case 'reset':
+      index.reset(message.products, message.revision);
+      return null;
+    case 'patch':
+      index.patch(message, message.revision);
+      return null;
+    case 'query':
+      return { id: message.id, result: index.query(message.request) };
+    default:
+      return null;
+  }
+};
+
+export {
+  DEFAULT_REORDER_THRESHOLD,
+  stockOf,
+  reorderThresholdFor,
+  isLowStock,
+  promotionStatus,
+  activePromotion,
+  currentPrice,
+  nextPromotionChange,
+  RATING_FACETS,
+  soldInMonth,
+  matchesClause,
+  matchesQuery,
+  matchesFacets,
+  countFacets,
+  compareValues,
+  sortByKeys,
+  revenueOf,
+  computeAnalytics,
+  createProductIndex,
+  handleIndexMessage
+};
@@ -0,0 +1,10 @@
+// Runs the dashboard's filtering, sorting and analytics off the main thread;
+// see handleIndexMessage in productQuery.js for the messages it understands
+import { createProductIndex, handleIndexMessage } from './productQuery';
+
+const index = createProductIndex();
+
+addEventListener('message', ({ data }) => {
+  const reply = handleIndexMessage(index, data);
+  if (reply) postMessage(reply);
+});
@@ -0,0 +1,111 @@
+import { productSchema, FORM_LISTS } from '../data/schema';
+import { findProduct } from './catalog';
+import { historyProductReducer, touchedProductIds, withChangeLog } from './history';
+
+/* ========= Audit Log ========= */
+// Every catalog mutation is logged per product with who did it, when, and a field diff.
+// Unlike undo history the log survives reloads and only grows (up to AUDIT_LOG_LIMIT).
+const AUDIT_LOG_LIMIT = 1000;
+
+const AUDITED_FIELDS = [...productSchema.fields.map(f => f.key), ...FORM_LISTS, 'promotion'];
+
+let lastAuditId = 0;
+
+const nextAuditId = () => `${Date.now()}-${++lastAuditId}`;
+
+// Lists and promotions compare by content; an empty list counts as none
+const auditValue = value => {
+  if (Array.isArray(value)) return value.length ? JSON.stringify(value) : '';
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value ?? '');
+};
+
+const diffFields = (before, after) =>
+  AUDITED_FIELDS.filter(key => auditValue(before?.[key]) !== auditValue(after?.[key])).map(
+    field => ({ field, before: before?.[field], after: after?.[field] })
+  );
+
+// Looks up the products `ids` name in both catalogs; only objects that were replaced are
+// compared
+const diffProducts = (before, after, ids) =>
+  [...new Set(ids)].flatMap(id => {
+    const old = findProduct(before, id);
+    const product = findProduct(after, id);
+    if (old === product) return [];
+    if (!old) return [{ kind: 'created', before: null, after: product }];
+    if (!product) return [{ kind: 'deleted', before: old, after: null }];
+    return diffFields(old, product).length
+      ? [{ kind: 'updated', before: old, after: product }]
+      : [];
+  });
+
+const AUDIT_SOURCES = {
+  UNDO: 'undo',
+  REDO: 'redo',
+  BULK_ADD_PRODUCTS: 'bulk',
+  BULK_UPDATE_PRODUCTS: 'bulk',
+  BULK_DELETE_PRODUCTS: 'bulk'
+};
+
+const AUDITED_ACTIONS = new Set([
+  'ADD_PRODUCT',
+  'UPDATE_PRODUCT',
+  'DELETE_PRODUCT',
+  'BULK_ADD_PRODUCTS',
+  'BULK_UPDATE_PRODUCTS',
+  'BULK_DELETE_PRODUCTS',
+  'REMOTE_SAVE_PRODUCT',
+  'REMOTE_DELETE_PRODUCT',
+  'UNDO',
+  'REDO'
+]);
+
+// The acting user, timestamp and entry id come in on action.meta so the reducer stays pure
+const withAudit = reducer => (state, action) => {
+  const next = reducer(state, action);
+  switch (action.type) {
+    case 'SET_AUDIT_LOG':
+      // Entries recorded before the saved log finished loading are newer, so they go first
+      return {
+        ...next,
+        auditLog: [...state.auditLog, ...action.payload].slice(0, AUDIT_LOG_LIMIT)
+      };
+    case 'CLEAR_AUDIT_LOG':
+      return { ...next, auditLog: [] };
+    // A rolled-back optimistic write never happened as far as the log is concerned
+    case 'ROLLBACK_MUTATION': {
+      const { id, productIds } = action.payload;
+      const ids = productIds && new Set(productIds);
+      const rolledBack = e => e.historyId === id && (!ids || ids.has(e.productId));
+      return { ...next, auditLog: next.auditLog.filter(e => !rolledBack(e)) };
+    }
+    default:
+      break;
+  }
+  if (!AUDITED_ACTIONS.has(action.type) || next.products === state.products) return next;
+
+  const { actor = null, at, auditId, source, historyId } = action.meta || {};
+  const ids = touchedProductIds(state, action);
+  const entries = diffProducts(state.products, next.products, ids).map((change, index) => {
+    const product = change.after || change.before;
+    return {
+      id: `${auditId}-${index}`,
+      historyId,
+      at,
+      actor,
+      source: source || AUDIT_SOURCES[action.type] || 'edit',
+      kind: change.kind,
+      productId: product.id,
+      productName: product.name,
+      changes: diffFields(change.before, change.after),
+      before: change.before,
+      after: change.after
+    };
+  });
+  if (!entries.length) return next;
+  return { ...next, auditLog: [...entries, ...state.auditLog].slice(0, AUDIT_LOG_LIMIT) };
+};
+
+const auditedProductReducer = withChangeLog(withAudit(historyProductReducer));
+
+export { nextAuditId, auditValue, diffFields, diffProducts, auditedProductReducer };
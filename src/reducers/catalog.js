@@ -0,0 +1,74 @@
+/* ========= Catalog Positions ========= */
+// Each catalog array's id → position map, built the first time it's asked for. Arrays made
+// by replacing products in place share their source's map, so edits never rebuild it.
+const catalogPositions = new WeakMap();
+
+const positionsOf = products => {
+  let positions = catalogPositions.get(products);
+  if (!positions) {
+    positions = new Map(products.map((p, i) => [p.id, i]));
+    catalogPositions.set(products, positions);
+  }
+  return positions;
+};
+
+const findProduct = (products, id) => {
+  const index = positionsOf(products).get(id);
+  return index === undefined ? undefined : products[index];
+};
+
+// A copy of `products` with each replacement at its product's position; replacements for
+// products that aren't there are ignored
+const replaceProducts = (products, replacements) => {
+  const positions = positionsOf(products);
+  const next = products.slice();
+  replacements.forEach(product => {
+    const index = positions.get(product.id);
+    if (index !== undefined) next[index] = product;
+  });
+  catalogPositions.set(next, positions);
+  return next;
+};
+
+/* ========= Catalog Change Log ========= */
+// Which products each catalog change touched, so the query worker and the saved catalog can
+// catch up on a change without comparing whole catalogs. Catalog arrays are numbered as
+// they are first seen, and only the last CHANGE_LOG_LIMIT changes are kept.
+const CHANGE_LOG_LIMIT = 1000;
+
+const catalogRevisions = new WeakMap();
+
+const catalogChanges = new Map();
+
+let lastCatalogRevision = 0;
+
+const revisionOf = products => {
+  if (!catalogRevisions.has(products)) catalogRevisions.set(products, ++lastCatalogRevision);
+  return catalogRevisions.get(products);
+};
+
+const logCatalogChange = (previous, next, ids) => {
+  const from = revisionOf(previous);
+  // An array seen before (a catalog restored as it was) is never logged twice
+  if (catalogRevisions.has(next)) return;
+  catalogChanges.set(revisionOf(next), { from, ids });
+  if (catalogChanges.size > CHANGE_LOG_LIMIT) {
+    catalogChanges.delete(catalogChanges.keys().next().value);
+  }
+};
+
+// The ids of every product changed on the way from one catalog to a later one, or null when
+// the log doesn't reach back that far (or `to` didn't come from `from`)
+const changedIdsBetween = (from, to) => {
+  const target = revisionOf(from);
+  const ids = new Set();
+  for (let revision = revisionOf(to); revision !== target; ) {
+    const change = catalogChanges.get(revision);
+    if (!change) return null;
+    change.ids.forEach(id => ids.add(id));
+    revision = change.from;
+  }
+  return ids;
+};
+
+export { positionsOf, findProduct, replaceProducts, logCatalogChange, changedIdsBetween };
@@ -0,0 +1,332 @@
+import { withNextVersion } from '../data/dataSources';
+import { translate } from '../i18n/locale';
+import { productReducer } from './productReducer';
+import { findProduct, replaceProducts, logCatalogChange } from './catalog';
+
+/* ========= Undo / Redo History ========= */
+const HISTORY_LIMIT = 100;
+
+let lastHistoryId = 0;
+
+const nextHistoryId = () => ++lastHistoryId;
+
+const createHistoryEntry = (products, action) => {
+  const id = action.meta?.historyId ?? nextHistoryId();
+  switch (action.type) {
+    case 'ADD_PRODUCT':
+      return { id, type: action.type, after: action.payload };
+    case 'UPDATE_PRODUCT': {
+      const before = findProduct(products, action.payload.id);
+      return before ? { id, type: action.type, before, after: action.payload } : null;
+    }
+    case 'DELETE_PRODUCT': {
+      const index = products.findIndex(p => p.id === action.payload);
+      return index === -1 ? null : { id, type: action.type, before: products[index], index };
+    }
+    case 'BULK_ADD_PRODUCTS':
+      return { id, type: action.type, after: action.payload };
+    case 'BULK_UPDATE_PRODUCTS': {
+      const before = action.payload.map(p => findProduct(products, p.id)).filter(Boolean);
+      return { id, type: action.type, before, after: action.payload };
+    }
+    case 'BULK_DELETE_PRODUCTS': {
+      const ids = new Set(action.payload);
+      const removed = products.reduce(
+        (acc, product, index) => (ids.has(product.id) ? [...acc, { product, index }] : acc),
+        []
+      );
+      return removed.length ? { id, type: action.type, removed } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+const historyEntryIds = entry => {
+  switch (entry.type) {
+    case 'BULK_ADD_PRODUCTS':
+    case 'BULK_UPDATE_PRODUCTS':
+      return entry.after.map(p => p.id);
+    case 'BULK_DELETE_PRODUCTS':
+      return entry.removed.map(r => r.product.id);
+    default:
+      return [(entry.after || entry.before).id];
+  }
+};
+
+// Replayed updates bump the version the same way the data source does when it stores them
+const replayUpdates = (products, replacements) =>
+  replaceProducts(
+    products,
+    replacements
+      .filter(p => findProduct(products, p.id))
+      .map(p => withNextVersion(findProduct(products, p.id), p))
+  );
+
+// Replays a recorded mutation forwards (redo) or backwards (undo)
+const applyHistoryEntry = (products, entry, forward) => {
+  switch (entry.type) {
+    case 'ADD_PRODUCT':
+      return forward ? [...products, entry.after] : products.filter(p => p.id !== entry.after.id);
+    case 'UPDATE_PRODUCT':
+      return replayUpdates(products, [forward ? entry.after : entry.before]);
+    case 'DELETE_PRODUCT':
+      return forward
+        ? products.filter(p => p.id !== entry.before.id)
+        : [...products.slice(0, entry.index), entry.before, ...products.slice(entry.index)];
+    case 'BULK_ADD_PRODUCTS': {
+      if (forward) return [...products, ...entry.after];
+      const ids = new Set(entry.after.map(p => p.id));
+      return products.filter(p => !ids.has(p.id));
+    }
+    case 'BULK_UPDATE_PRODUCTS':
+      return replayUpdates(products, forward ? entry.after : entry.before);
+    case 'BULK_DELETE_PRODUCTS': {
+      if (forward) {
+        const ids = new Set(entry.removed.map(r => r.product.id));
+        return products.filter(p => !ids.has(p.id));
+      }
+      // removed is in ascending index order, so each splice lands at its original position
+      const restored = [...products];
+      entry.removed.forEach(({ product, index }) => restored.splice(index, 0, product));
+      return restored;
+    }
+    default:
+      return products;
+  }
+};
+
+// Takes back an optimistic change the data source rejected, or only the products in `ids`
+// when it turned down part of a bulk change. Products changed again since (by a remote
+// update, say) are left alone.
+const rollbackHistoryEntry = (products, entry, ids) => {
+  const rejected = id => !ids || ids.has(id);
+  switch (entry.type) {
+    case 'UPDATE_PRODUCT':
+      return findProduct(products, entry.after.id) === entry.after
+        ? replaceProducts(products, [entry.before])
+        : products;
+    case 'DELETE_PRODUCT':
+      return products.some(p => p.id === entry.before.id)
+        ? products
+        : [...products.slice(0, entry.index), entry.before, ...products.slice(entry.index)];
+    case 'BULK_UPDATE_PRODUCTS': {
+      const after = new Map(entry.after.map(p => [p.id, p]));
+      return replaceProducts(
+        products,
+        entry.before.filter(p => rejected(p.id) && findProduct(products, p.id) === after.get(p.id))
+      );
+    }
+    case 'BULK_DELETE_PRODUCTS': {
+      // Indexes are from before the delete, so each one moves up by the products before it
+      // that stay deleted
+      const restored = [...products];
+      let skipped = 0;
+      entry.removed.forEach(({ product, index }) => {
+        if (rejected(product.id) && !findProduct(products, product.id)) {
+          restored.splice(index - skipped, 0, product);
+        } else {
+          skipped++;
+        }
+      });
+      return restored;
+    }
+    default:
+      return products;
+  }
+};
+
+// What's left of a bulk entry once the products in `ids` are rolled back; null when that
+// leaves nothing to undo
+const withoutRolledBack = (entry, ids) => {
+  const kept = id => !ids.has(id);
+  if (entry.type === 'BULK_UPDATE_PRODUCTS') {
+    const after = entry.after.filter(p => kept(p.id));
+    return after.length ? { ...entry, before: entry.before.filter(p => kept(p.id)), after } : null;
+  }
+  if (entry.type === 'BULK_DELETE_PRODUCTS') {
+    const removed = entry.removed.filter(({ product }) => kept(product.id));
+    return removed.length ? { ...entry, removed } : null;
+  }
+  return null;
+};
+
+// Updates only replay onto the products the entry left behind: after it was applied
+// (for an undo) or undone (for a redo)
+const expectedProducts = (entry, forward) => {
+  if (entry.type === 'UPDATE_PRODUCT') return [forward ? entry.before : entry.after];
+  if (entry.type === 'BULK_UPDATE_PRODUCTS') return forward ? entry.before : entry.after;
+  return [];
+};
+
+// Same replay against the data source, so undo/redo is persisted like any other mutation.
+// `versions` holds the version each updated product is expected to be at, by id.
+const syncHistoryEntry = (dataSource, entry, forward, versions) => {
+  const update = product =>
+    dataSource.update(product, { expectedVersion: versions.get(product.id) });
+  switch (entry.type) {
+    case 'ADD_PRODUCT':
+      return forward ? dataSource.create(entry.after) : dataSource.remove(entry.after.id);
+    case 'UPDATE_PRODUCT':
+      return update(forward ? entry.after : entry.before);
+    case 'DELETE_PRODUCT':
+      return forward ? dataSource.remove(entry.before.id) : dataSource.create(entry.before);
+    case 'BULK_ADD_PRODUCTS':
+      return Promise.all(
+        entry.after.map(p => (forward ? dataSource.create(p) : dataSource.remove(p.id)))
+      );
+    case 'BULK_UPDATE_PRODUCTS':
+      return Promise.all((forward ? entry.after : entry.before).map(update));
+    case 'BULK_DELETE_PRODUCTS':
+      return Promise.all(
+        entry.removed.map(({ product }) =>
+          forward ? dataSource.remove(product.id) : dataSource.create(product)
+        )
+      );
+    default:
+      return Promise.resolve();
+  }
+};
+
+const describeHistoryEntry = (entry, t = translate) => {
+  if (entry.type === 'BULK_ADD_PRODUCTS') {
+    return t('history.import', { count: entry.after.length });
+  }
+  if (entry.type === 'BULK_UPDATE_PRODUCTS') {
+    return t('history.bulkEdit', { count: entry.after.length });
+  }
+  if (entry.type === 'BULK_DELETE_PRODUCTS') {
+    return t('history.bulkDelete', { count: entry.removed.length });
+  }
+  const product = entry.after || entry.before;
+  const verb = { ADD_PRODUCT: 'add', UPDATE_PRODUCT: 'edit', DELETE_PRODUCT: 'delete' }[entry.type];
+  return t(`history.${verb}`, { name: product.name });
+};
+
+// Drops the oldest entries past HISTORY_LIMIT, except ones whose write is still pending:
+// ROLLBACK_MUTATION needs them if the data source turns the write down
+const trimHistory = (past, pendingMutations) => {
+  let excess = past.length - HISTORY_LIMIT;
+  if (excess <= 0) return past;
+  return past.filter(entry => {
+    if (pendingMutations[entry.id] || excess === 0) return true;
+    excess--;
+    return false;
+  });
+};
+
+const withHistory = reducer => (state, action) => {
+  const { past, future } = state.history;
+
+  switch (action.type) {
+    case 'UNDO': {
+      const entry = past[past.length - 1];
+      if (!entry) return state;
+      return {
+        ...state,
+        products: applyHistoryEntry(state.products, entry, false),
+        history: { past: past.slice(0, -1), future: [...future, entry] }
+      };
+    }
+    case 'REDO': {
+      const entry = future[future.length - 1];
+      if (!entry) return state;
+      return {
+        ...state,
+        products: applyHistoryEntry(state.products, entry, true),
+        history: { past: [...past, entry], future: future.slice(0, -1) }
+      };
+    }
+    // { id, productIds }; without productIds the whole entry is rolled back
+    case 'ROLLBACK_MUTATION': {
+      const { id, productIds } = action.payload;
+      const entry = past.find(e => e.id === id);
+      if (!entry) return state;
+      const ids = productIds && new Set(productIds);
+      const rest = ids && withoutRolledBack(entry, ids);
+      return {
+        ...state,
+        products: rollbackHistoryEntry(state.products, entry, ids),
+        history: {
+          past: rest ? past.map(e => (e === entry ? rest : e)) : past.filter(e => e !== entry),
+          future
+        }
+      };
+    }
+    case 'SET_PRODUCTS':
+      return { ...reducer(state, action), history: { past: [], future: [] } };
+    case 'ADD_PRODUCT':
+    case 'UPDATE_PRODUCT':
+    case 'DELETE_PRODUCT':
+    case 'BULK_ADD_PRODUCTS':
+    case 'BULK_UPDATE_PRODUCTS':
+    case 'BULK_DELETE_PRODUCTS': {
+      const entry = createHistoryEntry(state.products, action);
+      const next = reducer(state, action);
+      if (!entry) return next;
+      return {
+        ...next,
+        history: { past: trimHistory([...past, entry], state.pendingMutations), future: [] }
+      };
+    }
+    default:
+      return reducer(state, action);
+  }
+};
+
+const historyProductReducer = withHistory(productReducer);
+
+// The ids of the products an action adds, replaces or removes, read off the state before it;
+// null for actions that may change the whole catalog
+const touchedProductIds = (state, action) => {
+  const { past, future } = state.history;
+  switch (action.type) {
+    case 'ADD_PRODUCT':
+    case 'UPDATE_PRODUCT':
+    case 'REMOTE_SAVE_PRODUCT':
+    case 'SYNC_PRODUCT':
+      return [action.payload.id];
+    case 'SYNC_PRODUCTS':
+      return action.payload.map(p => p.id);
+    case 'DELETE_PRODUCT':
+    case 'REMOTE_DELETE_PRODUCT':
+      return [action.payload];
+    case 'BULK_ADD_PRODUCTS':
+    case 'BULK_UPDATE_PRODUCTS':
+      return action.payload.map(p => p.id);
+    case 'BULK_DELETE_PRODUCTS':
+      return action.payload;
+    case 'UNDO':
+      return past.length ? historyEntryIds(past[past.length - 1]) : [];
+    case 'REDO':
+      return future.length ? historyEntryIds(future[future.length - 1]) : [];
+    case 'ROLLBACK_MUTATION': {
+      const entry = past.find(e => e.id === action.payload.id);
+      if (!entry) return [];
+      return action.payload.productIds || historyEntryIds(entry);
+    }
+    default:
+      return null;
+  }
+};
+
+const withChangeLog = reducer => (state, action) => {
+  const next = reducer(state, action);
+  if (next.products !== state.products) {
+    const ids = touchedProductIds(state, action);
+    if (ids) logCatalogChange(state.products, next.products, ids);
+  }
+  return next;
+};
+
+export {
+  nextHistoryId,
+  historyEntryIds,
+  applyHistoryEntry,
+  expectedProducts,
+  syncHistoryEntry,
+  describeHistoryEntry,
+  historyProductReducer,
+  touchedProductIds,
+  withChangeLog
+};
@@ -0,0 +1,78 @@
+/* ========= Notification Reducer ========= */
+const MAX_VISIBLE_NOTIFICATIONS = 3;
+
+const NOTIFICATION_HISTORY_LIMIT = 50;
+
+// The history outlives the page, so ids carry the time as well as a counter
+let lastNotificationId = 0;
+
+const nextNotificationId = () => `${Date.now().toString(36)}-${++lastNotificationId}`;
+
+const markRead = (history, id) => history.map(h => (h.id === id ? { ...h, read: true } : h));
+
+// `visible` toasts are on screen, `queue` waits for room and `history` is what the bell shows.
+// A notification with the same group key as one on screen or queued bumps that one's count
+// (and restarts its timer) instead of stacking a copy.
+const notificationReducer = (state, action) => {
+  switch (action.type) {
+    case 'ADD': {
+      const notification = action.payload;
+      const current = [...state.visible, ...state.queue].find(
+        n => n.groupKey === notification.groupKey
+      );
+      if (current) {
+        const bump = n =>
+          n.id === current.id ? { ...n, ...notification, id: n.id, count: n.count + 1 } : n;
+        const entry = state.history.find(h => h.id === current.id);
+        return {
+          visible: state.visible.map(bump),
+          queue: state.queue.map(bump),
+          history: entry
+            ? [
+                { ...entry, count: entry.count + 1, at: notification.at, read: false },
+                ...state.history.filter(h => h !== entry)
+              ]
+            : state.history
+        };
+      }
+
+      const toast = { ...notification, count: 1 };
+      const { id, type, message, at } = notification;
+      const history = [{ id, type, message, at, count: 1, read: false }, ...state.history].slice(
+        0,
+        NOTIFICATION_HISTORY_LIMIT
+      );
+      return state.visible.length < MAX_VISIBLE_NOTIFICATIONS
+        ? { ...state, visible: [...state.visible, toast], history }
+        : { ...state, queue: [...state.queue, toast], history };
+    }
+    // `seen` is set when the user dismissed or acted on the toast rather than it timing out
+    case 'REMOVE': {
+      const { id, seen } = action.payload;
+      const visible = state.visible.filter(n => n.id !== id);
+      const queue = state.queue.filter(n => n.id !== id);
+      const promoted = queue.slice(0, MAX_VISIBLE_NOTIFICATIONS - visible.length);
+      return {
+        visible: [...visible, ...promoted],
+        queue: queue.slice(promoted.length),
+        history: seen ? markRead(state.history, id) : state.history
+      };
+    }
+    case 'MARK_READ':
+      return { ...state, history: markRead(state.history, action.payload) };
+    case 'MARK_ALL_READ':
+      return { ...state, history: state.history.map(h => (h.read ? h : { ...h, read: true })) };
+    case 'CLEAR_HISTORY':
+      return { ...state, history: [] };
+    // Anything notified before the saved history loaded stays on top
+    case 'RESTORE_HISTORY':
+      return {
+        ...state,
+        history: [...state.history, ...action.payload].slice(0, NOTIFICATION_HISTORY_LIMIT)
+      };
+    default:
+      return state;
+  }
+};
+
+export { nextNotificationId, notificationReducer };
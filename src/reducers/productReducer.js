@@ -0,0 +1,106 @@
+import { findProduct, replaceProducts } from './catalog';
+
+/* ========= Product Reducer ========= */
+// A copy of `object` without `key`
+const withoutKey = (object, key) => {
+  const rest = { ...object };
+  delete rest[key];
+  return rest;
+};
+
+const productReducer = (state, action) => {
+  switch (action.type) {
+    case 'SET_PRODUCTS':
+      return { ...state, products: action.payload, loading: false };
+    case 'SET_LOADING':
+      return { ...state, loading: action.payload, error: action.payload ? null : state.error };
+    case 'SET_FILTER':
+      return { ...state, filter: action.payload };
+    case 'SET_SEARCH':
+      return { ...state, searchTerm: action.payload };
+    case 'SET_FACETS':
+      return { ...state, facets: { ...state.facets, ...action.payload } };
+    case 'SET_SORT':
+      return { ...state, sort: action.payload };
+    case 'SET_VISIBLE_COLUMNS':
+      return { ...state, visibleColumns: action.payload };
+    case 'SET_VIEW_MODE':
+      return { ...state, viewMode: action.payload };
+    case 'SET_CATEGORY_THRESHOLDS':
+      return { ...state, categoryThresholds: action.payload };
+    case 'ADD_PRODUCT':
+      return {
+        ...state,
+        products: [...state.products, action.payload]
+      };
+    case 'UPDATE_PRODUCT':
+      if (!findProduct(state.products, action.payload.id)) return state;
+      return { ...state, products: replaceProducts(state.products, [action.payload]) };
+    case 'DELETE_PRODUCT':
+      return {
+        ...state,
+        products: state.products.filter(p => p.id !== action.payload)
+      };
+    case 'BULK_ADD_PRODUCTS':
+      return { ...state, products: [...state.products, ...action.payload] };
+    case 'BULK_UPDATE_PRODUCTS':
+      return { ...state, products: replaceProducts(state.products, action.payload) };
+    case 'BULK_DELETE_PRODUCTS': {
+      const ids = new Set(action.payload);
+      return { ...state, products: state.products.filter(p => !ids.has(p.id)) };
+    }
+    // Changes made by other clients; events no newer than the loaded product are ignored.
+    // remoteChanges marks who changed which product until CLEAR_REMOTE_CHANGE.
+    case 'REMOTE_SAVE_PRODUCT': {
+      const product = action.payload;
+      const current = findProduct(state.products, product.id);
+      if (current && (current.version ?? 0) >= product.version) return state;
+      return {
+        ...state,
+        products: current
+          ? replaceProducts(state.products, [product])
+          : [...state.products, product],
+        remoteChanges: {
+          ...state.remoteChanges,
+          [product.id]: { actor: action.meta?.actor ?? null, at: action.meta?.at }
+        }
+      };
+    }
+    case 'REMOTE_DELETE_PRODUCT':
+      if (!findProduct(state.products, action.payload)) return state;
+      return { ...state, products: state.products.filter(p => p.id !== action.payload) };
+    // The data source's copy of an optimistic update, unless a newer local edit sits on top
+    case 'SYNC_PRODUCT': {
+      const product = action.payload;
+      const current = findProduct(state.products, product.id);
+      if (!current || (current.version ?? 0) > (product.version ?? 0)) return state;
+      return { ...state, products: replaceProducts(state.products, [product]) };
+    }
+    case 'SYNC_PRODUCTS': {
+      const newer = action.payload.filter(product => {
+        const current = findProduct(state.products, product.id);
+        return current && (current.version ?? 0) <= (product.version ?? 0);
+      });
+      return newer.length ? { ...state, products: replaceProducts(state.products, newer) } : state;
+    }
+    // Optimistic writes by history id: { productIds, status: 'saving' | 'queued' }
+    case 'SET_PENDING_MUTATION':
+      return {
+        ...state,
+        pendingMutations: { ...state.pendingMutations, [action.payload.id]: action.payload }
+      };
+    case 'CLEAR_PENDING_MUTATION':
+      return { ...state, pendingMutations: withoutKey(state.pendingMutations, action.payload) };
+    case 'CLEAR_REMOTE_CHANGE': {
+      const { id, at } = action.payload;
+      if (state.remoteChanges[id]?.at !== at) return state;
+      return { ...state, remoteChanges: withoutKey(state.remoteChanges, id) };
+    }
+    case 'SET_ERROR':
+      return { ...state, error: action.payload, loading: false };
+    default:
+      return state;
+  }
+};
+
+export { withoutKey, productReducer };
@@ -0,0 +1,51 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import App from './App';
+import { createMockDataSource } from './data/dataSources';
+import { createLocalStorageStorage, createImageStore } from './data/storage';
+import { createMockAuthBackend } from './data/authBackends';
+import { ErrorReportingProvider } from './contexts/ErrorReportingProvider';
+import { AuthProvider } from './contexts/AuthProvider';
+import { LocaleProvider } from './contexts/LocaleProvider';
+import { NotificationProvider } from './contexts/NotificationProvider';
+import { AuthGate } from './components/AuthGate';
+
+/* ========= Test Utilities ========= */
+// The whole app, signed in as the mock user `userId` (1 is the admin), over a small catalog
+// that answers at once; resolves once the dashboard is listing products
+const renderApp = async ({ userId = 1, count = 20 } = {}) => {
+  localStorage.setItem('dashboard.session', String(userId));
+  const view = render(
+    <App
+      dataSource={createMockDataSource({ count, latency: 0, writeLatency: 0 })}
+      storage={createLocalStorageStorage()}
+      imageStore={createImageStore()}
+      realtime={null}
+    />
+  );
+  await screen.findAllByRole('button', { name: /^Edit Product/ });
+  return view;
+};
+
+// `ui` under the providers down to notifications, with nothing saved, signed in as `userId`;
+// resolves once the sign-in has been restored
+const renderWithNotifications = async (ui, { userId = 1 } = {}) => {
+  localStorage.setItem('dashboard.session', String(userId));
+  const view = render(
+    <ErrorReportingProvider reporter={{ send: () => {} }}>
+      <AuthProvider authBackend={createMockAuthBackend()}>
+        <LocaleProvider>
+          <AuthGate>
+            <NotificationProvider>
+              <div data-testid="signed-in">{ui}</div>
+            </NotificationProvider>
+          </AuthGate>
+        </LocaleProvider>
+      </AuthProvider>
+    </ErrorReportingProvider>
+  );
+  await screen.findByTestId('signed-in');
+  return view;
+};
+
+export { renderApp, renderWithNotifications };
@@ -0,0 +1,228 @@
+import React, { useState, useMemo, memo } from 'react';
+import { ArrowLeft } from 'lucide-react';
+import { formFields, FORM_LISTS } from '../data/schema';
+import { productPath } from '../contexts/RouterProvider';
+import { auditValue } from '../reducers/audit';
+import { useAuth, useProducts, useNotifications, useLocale } from '../hooks';
+import { Link } from '../components/Link';
+import { variantLabel } from '../components/ProductVariants';
+
+/* ========= Activity Log ========= */
+const ACTIVITY_PAGE_SIZE = 50;
+
+const AUDIT_KIND_STYLES = {
+  created: 'bg-green-100 text-green-800',
+  updated: 'bg-blue-100 text-blue-800',
+  deleted: 'bg-red-100 text-red-800'
+};
+
+// Variants are listed with their stock, which is what changes most often
+const formatAuditValue = (field, value, { t, formatNumber, formatPrice, formatDateTime }) => {
+  if (value == null || auditValue(value) === '') return '—';
+  if (field === 'promotion') {
+    return t('promotion.summary', {
+      price: formatPrice(value.price),
+      start: formatDateTime(value.startsAt),
+      end: formatDateTime(value.endsAt)
+    });
+  }
+  if (field === 'variants') {
+    return value.map(v => `${variantLabel(v) || v.sku}: ${formatNumber(v.stock)}`).join(', ');
+  }
+  if (field === 'images') return t('images.count', { count: value.length });
+  if (field === 'price') return formatPrice(value);
+  if (field === 'category' || field === 'status') return t(`${field}.${value}`);
+  return String(value);
+};
+
+// One logged change; offers to go back to the version the product had before it
+const AuditEntry = memo(({ entry, showProduct }) => {
+  const { products, revertProduct } = useProducts();
+  const { addNotification } = useNotifications();
+  const { can } = useAuth();
+  const locale = useLocale();
+  const { t, formatDateTime } = locale;
+  const current = products.find(p => p.id === entry.productId);
+
+  // Deleted products can be restored; live ones reverted unless they already match
+  const canRestore = !current && entry.kind === 'deleted' && can('product:create');
+  const canRevert =
+    current &&
+    entry.before &&
+    can('product:edit') &&
+    [...formFields.map(f => f.key), ...FORM_LISTS, 'promotion'].some(
+      key => auditValue(current[key]) !== auditValue(entry.before[key])
+    );
+
+  const handleRevert = async () => {
+    try {
+      await revertProduct(entry.before);
+      addNotification({
+        type: 'success',
+        message: t(canRestore ? 'activity.restored' : 'activity.reverted', {
+          name: entry.productName
+        })
+      });
+    } catch (err) {
+      addNotification({
+        type: 'error',
+        message: t('activity.revertFailed', { error: err.message })
+      });
+    }
+  };
+
+  return (
+    <li className="p-4 border-b text-sm">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-gray-700">
+          <span className={`px-2 py-0.5 rounded-full text-xs ${AUDIT_KIND_STYLES[entry.kind]}`}>
+            {t(`activity.kind.${entry.kind}`)}
+          </span>
+          {showProduct && (
+            <Link to={productPath(entry.productId)} className="font-medium hover:underline">
+              {entry.productName}
+            </Link>
+          )}
+          <span className="text-gray-500">
+            {t('activity.by', {
+              actor: entry.actor
+                ? t('activity.actor', {
+                    name: entry.actor.name,
+                    role: t(`role.${entry.actor.role}`)
+                  })
+                : t('activity.unknownUser')
+            })}
+          </span>
+          {entry.source !== 'edit' && (
+            <span className="text-xs text-gray-500">
+              {t('activity.via', { source: t(`activity.source.${entry.source}`) })}
+            </span>
+          )}
+        </div>
+        <div className="flex items-center space-x-3">
+          <time dateTime={entry.at} className="text-gray-500">
+            {formatDateTime(entry.at)}
+          </time>
+          {(canRevert || canRestore) && (
+            <button onClick={handleRevert} className="text-blue-600 hover:underline">
+              {canRestore ? t('activity.restore') : t('activity.revert')}
+            </button>
+          )}
+        </div>
+      </div>
+      {entry.kind === 'updated' && (
+        <ul className="mt-2 space-y-0.5 text-gray-600">
+          {entry.changes.map(change => (
+            <li key={change.field}>
+              <span className="text-gray-500">{t(`field.${change.field}`)}:</span>{' '}
+              <span className="line-through text-gray-500">
+                {formatAuditValue(change.field, change.before, locale)}
+              </span>{' '}
+              → {formatAuditValue(change.field, change.after, locale)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+});
+
+const AuditEntryList = ({ entries, showProduct, emptyMessage }) => {
+  const { t } = useLocale();
+  const [limit, setLimit] = useState(ACTIVITY_PAGE_SIZE);
+
+  if (!entries.length) return <p className="p-6 text-gray-500">{emptyMessage}</p>;
+  return (
+    <>
+      <ul>
+        {entries.slice(0, limit).map(entry => (
+          <AuditEntry key={entry.id} entry={entry} showProduct={showProduct} />
+        ))}
+      </ul>
+      {entries.length > limit && (
+        <button
+          onClick={() => setLimit(l => l + ACTIVITY_PAGE_SIZE)}
+          className="w-full py-3 text-sm text-blue-600 hover:bg-gray-50"
+        >
+          {t('activity.showMore', { count: entries.length - limit })}
+        </button>
+      )}
+    </>
+  );
+};
+
+const ActivityLog = () => {
+  const { auditLog } = useProducts();
+  const { t } = useLocale();
+  const [actorId, setActorId] = useState('all');
+  const [kind, setKind] = useState('all');
+
+  const actors = useMemo(() => {
+    const byId = new Map();
+    auditLog.forEach(entry => entry.actor && byId.set(entry.actor.id, entry.actor));
+    return [...byId.values()];
+  }, [auditLog]);
+
+  const entries = useMemo(
+    () =>
+      auditLog.filter(
+        entry =>
+          (actorId === 'all' || String(entry.actor?.id) === actorId) &&
+          (kind === 'all' || entry.kind === kind)
+      ),
+    [auditLog, actorId, kind]
+  );
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <Link
+        to="/"
+        className="inline-flex items-center space-x-1 text-blue-600 hover:underline mb-6"
+      >
+        <ArrowLeft className="w-4 h-4" />
+        <span>{t('detail.back')}</span>
+      </Link>
+      <div className="flex items-center justify-between mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">{t('activity.title')}</h1>
+        <div className="flex items-center space-x-2">
+          <select
+            value={actorId}
+            aria-label={t('activity.filterUser')}
+            onChange={e => setActorId(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="all">{t('activity.everyone')}</option>
+            {actors.map(actor => (
+              <option key={actor.id} value={String(actor.id)}>
+                {actor.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={kind}
+            aria-label={t('activity.filterKind')}
+            onChange={e => setKind(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="all">{t('activity.allChanges')}</option>
+            {Object.keys(AUDIT_KIND_STYLES).map(k => (
+              <option key={k} value={k}>
+                {t(`activity.kind.${k}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="bg-white rounded-lg shadow-md">
+        <AuditEntryList
+          key={`${actorId}-${kind}`}
+          entries={entries}
+          showProduct
+          emptyMessage={t('activity.empty')}
+        />
+      </div>
+    </div>
+  );
+};
+
+export { AuditEntryList, ActivityLog };
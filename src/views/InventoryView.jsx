@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback, useMemo, memo } from 'react';
+import { ArrowLeft } from 'lucide-react';
+import { reorderThresholdFor, isLowStock } from '../productQuery';
+import { PRODUCT_CATEGORIES } from '../data/schema';
+import {
+  VELOCITY_MONTHS,
+  REORDER_COVER_MONTHS,
+  salesVelocity,
+  suggestedReorderQuantity,
+  adjustStock
+} from '../data/inventory';
+import { ONE_DECIMAL } from '../i18n/locale';
+import { productPath } from '../contexts/RouterProvider';
+import { useAuth, useProducts, useNotifications, useLocale, useRouter } from '../hooks';
+import { Link } from '../components/Link';
+import { VirtualProductList } from '../components/VirtualProductList';
+import { toggleSort, sortProducts, ProductTableHeader } from '../components/ProductTable';
+import { PRODUCT_COLUMNS } from '../data/columns';
+
+/* ========= Inventory View ========= */
+const INVENTORY_BASE_COLUMNS = ['name', 'category', 'stock', 'status'];
+
+const CategoryThresholds = memo(() => {
+  const { categoryThresholds, setCategoryThresholds } = useProducts();
+  const { addNotification } = useNotifications();
+  const { can } = useAuth();
+  const { t } = useLocale();
+  const [draft, setDraft] = useState(categoryThresholds);
+
+  useEffect(() => setDraft(categoryThresholds), [categoryThresholds]);
+
+  const invalid = Object.values(draft).some(v => !/^\d+$/.test(String(v)));
+  const dirty = PRODUCT_CATEGORIES.some(c => String(draft[c]) !== String(categoryThresholds[c]));
+
+  const handleSave = async () => {
+    try {
+      await setCategoryThresholds(
+        Object.fromEntries(Object.entries(draft).map(([category, v]) => [category, Number(v)]))
+      );
+      addNotification({ type: 'success', message: t('inventory.thresholdsSaved') });
+    } catch (err) {
+      addNotification({
+        type: 'error',
+        message: t('inventory.thresholdsFailed', { error: err.message })
+      });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700">{t('inventory.thresholds')}</h3>
+        {can('inventory:configure') && (
+          <button
+            onClick={handleSave}
+            disabled={!dirty || invalid}
+            className="text-sm bg-blue-600 text-white px-3 py-1 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {t('inventory.saveThresholds')}
+          </button>
+        )}
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+        {PRODUCT_CATEGORIES.map(category => (
+          <label key={category} className="text-sm text-gray-600">
+            <span className="block mb-1">{t(`category.${category}`)}</span>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={draft[category]}
+              disabled={!can('inventory:configure')}
+              onChange={e => setDraft(prev => ({ ...prev, [category]: e.target.value }))}
+              className="w-full px-3 py-1 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-2">{t('inventory.thresholdsHelp')}</p>
+    </div>
+  );
+});
+
+const InventoryView = () => {
+  const { products, loading, categoryThresholds, remoteChanges, pendingProducts, updateProduct } =
+    useProducts();
+  const { addNotification } = useNotifications();
+  const { navigate } = useRouter();
+  const { can } = useAuth();
+  const { t } = useLocale();
+  const [sort, setSort] = useState([]);
+
+  const handleRestock = useCallback(
+    async (id, quantity) => {
+      const product = products.find(p => p.id === id);
+      if (!product) return;
+      const notifyFailed = err =>
+        addNotification({
+          type: 'error',
+          message: t('inventory.restockFailed', { error: err.message })
+        });
+      try {
+        await updateProduct(adjustStock(product, quantity), {
+          source: 'restock',
+          onQueuedError: notifyFailed
+        });
+        addNotification({
+          type: 'success',
+          message: t('inventory.restocked', { name: product.name, count: quantity })
+        });
+      } catch (err) {
+        notifyFailed(err);
+      }
+    },
+    [products, updateProduct, addNotification, t]
+  );
+
+  const columns = useMemo(
+    () => [
+      ...PRODUCT_COLUMNS.filter(c => INVENTORY_BASE_COLUMNS.includes(c.key)),
+      { key: 'reorderAt', labelKey: 'inventory.column.reorderAt', width: '100px', numeric: true },
+      {
+        key: 'velocity',
+        labelKey: 'inventory.column.velocity',
+        width: '100px',
+        numeric: true,
+        render: (row, { formatNumber }) => formatNumber(row.velocity, ONE_DECIMAL)
+      },
+      {
+        key: 'reorderQty',
+        labelKey: 'inventory.column.suggested',
+        width: '120px',
+        numeric: true,
+        render: (row, { t, formatNumber }) =>
+          can('product:edit') && row.reorderQty > 0 ? (
+            <button
+              onClick={() => handleRestock(row.id, row.reorderQty)}
+              title={t('inventory.restockHint')}
+              className="text-blue-600 hover:underline"
+            >
+              {t('inventory.restock', { count: row.reorderQty })}
+            </button>
+          ) : (
+            formatNumber(row.reorderQty)
+          )
+      }
+    ],
+    [can, handleRestock]
+  );
+
+  // Emptiest shelves first, then the ones selling fastest
+  const rows = useMemo(() => {
+    const lowStock = products
+      .filter(p => isLowStock(p, categoryThresholds))
+      .map(p => ({
+        ...p,
+        reorderAt: reorderThresholdFor(p, categoryThresholds),
+        velocity: salesVelocity(p),
+        reorderQty: suggestedReorderQuantity(p, categoryThresholds)
+      }))
+      .sort((a, b) => a.stock - b.stock || b.velocity - a.velocity);
+    return sortProducts(lowStock, sort, columns);
+  }, [products, categoryThresholds, sort, columns]);
+
+  const handleSort = useCallback((key, multi) => setSort(prev => toggleSort(prev, key, multi)), []);
+  const handleEdit = useCallback(
+    product => navigate(`${productPath(product.id)}/edit`),
+    [navigate]
+  );
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <Link
+        to="/"
+        className="inline-flex items-center space-x-1 text-blue-600 hover:underline mb-6"
+      >
+        <ArrowLeft className="w-4 h-4" />
+        <span>{t('detail.back')}</span>
+      </Link>
+      <h1 className="text-3xl font-bold text-gray-900 mb-8">{t('inventory.title')}</h1>
+
+      <CategoryThresholds />
+
+      <div className="bg-white rounded-lg shadow-md">
+        <div className="p-6 border-b">
+          <h2 className="text-xl font-semibold text-gray-800">
+            {t('inventory.belowLevel', { count: rows.length })}
+          </h2>
+          <p className="text-sm text-gray-500">
+            {t('inventory.suggestionHelp', {
+              cover: REORDER_COVER_MONTHS,
+              months: VELOCITY_MONTHS
+            })}
+          </p>
+        </div>
+        {rows.length ? (
+          <>
+            <ProductTableHeader columns={columns} sort={sort} onSort={handleSort} />
+            <VirtualProductList
+              products={rows}
+              variant="table"
+              columns={columns}
+              remoteChanges={remoteChanges}
+              pendingProducts={pendingProducts}
+              onEdit={handleEdit}
+            />
+          </>
+        ) : (
+          <p className="p-6 text-gray-500">{t('inventory.allStocked')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export { InventoryView };
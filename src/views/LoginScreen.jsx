@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { ShoppingCart, AlertCircle, Lock } from 'lucide-react';
+import { useAuth, useLocale } from '../hooks';
+import { LanguageSelect } from './SettingsView';
+import { inputClass } from '../components/ProductForm';
+
+/* ========= Login ========= */
+const LoginScreen = () => {
+  const { login } = useAuth();
+  const { t, locale, setLocale } = useLocale();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await login({ email, password });
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50">
+      <form onSubmit={handleSubmit} className="bg-white p-8 rounded-lg shadow-md w-full max-w-sm">
+        <div className="flex items-center space-x-3 mb-6">
+          <ShoppingCart className="w-8 h-8 text-blue-600" />
+          <h1 className="flex-1 text-xl font-bold text-gray-900">{t('app.title')}</h1>
+          <LanguageSelect value={locale} onChange={setLocale} className="text-sm" />
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="login-email" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('login.email')}
+            </label>
+            <input
+              id="login-email"
+              type="email"
+              autoComplete="username"
+              required
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+              className={`${inputClass} border-gray-300`}
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="login-password"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              {t('login.password')}
+            </label>
+            <input
+              id="login-password"
+              type="password"
+              autoComplete="current-password"
+              required
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              className={`${inputClass} border-gray-300`}
+            />
+          </div>
+
+          {error && (
+            <p className="flex items-center space-x-1 text-sm text-red-600">
+              <AlertCircle className="w-4 h-4" />
+              <span>{error}</span>
+            </p>
+          )}
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center space-x-2"
+          >
+            <Lock className="w-4 h-4" />
+            <span>{submitting ? t('login.signingIn') : t('login.signIn')}</span>
+          </button>
+        </div>
+
+        <p className="text-xs text-gray-500 mt-6">{t('login.demo')}</p>
+      </form>
+    </div>
+  );
+};
+
+export { LoginScreen };
@@ -0,0 +1,639 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  AlertCircle,
+  Plus,
+  RefreshCw,
+  Undo2,
+  Redo2,
+  List,
+  Table,
+  LayoutGrid,
+  Upload,
+  RotateCcw,
+  Tag
+} from 'lucide-react';
+import { ErrorBoundary, SectionErrorFallback } from '../components/ErrorBoundary';
+import { validateProduct } from '../data/schema';
+import { reconcileStatus, adjustStock } from '../data/inventory';
+import { positionsOf } from '../reducers/catalog';
+import { describeHistoryEntry } from '../reducers/history';
+import {
+  useAuth,
+  useProducts,
+  useNotifications,
+  useLocale,
+  useListUrlSync,
+  useProductQuery
+} from '../hooks';
+import { AnalyticsDashboard } from '../components/AnalyticsDashboard';
+import { VirtualProductList } from '../components/VirtualProductList';
+import { toggleSort, ProductTableHeader, ColumnPicker } from '../components/ProductTable';
+import { PRODUCT_COLUMNS } from '../data/columns';
+import { BulkActionBar } from '../components/BulkActionBar';
+import { PricingDialog } from '../components/PricingDialog';
+import { ExportMenu, ImportWizard } from '../components/ImportExport';
+import { FacetPanel } from '../components/FacetPanel';
+import { dashboardQuery } from '../data/queryClient';
+import { SearchAndFilter } from '../components/SearchAndFilter';
+import { ProductEditModal, ProductCreateModal } from '../components/ProductForm';
+
+/* ========= Product Dashboard ========= */
+const saveFailedMessage = (err, product, t) =>
+  err.name === 'ConflictError'
+    ? t('dashboard.conflict', { name: product.name })
+    : t('dashboard.updateFailed', { name: product.name, error: err.message });
+
+const ProductDashboard = () => {
+  const {
+    products,
+    loading,
+    error,
+    filter,
+    searchTerm,
+    facets,
+    sort,
+    categoryThresholds,
+    visibleColumns,
+    viewMode,
+    remoteChanges,
+    pendingProducts,
+    dispatch,
+    reload,
+    addProduct,
+    updateProduct,
+    deleteProduct,
+    bulkUpdateProducts,
+    bulkDeleteProducts,
+    resetCatalog,
+    undo,
+    redo,
+    canUndo,
+    canRedo
+  } = useProducts();
+  const { addNotification } = useNotifications();
+  const { can } = useAuth();
+  const { t, formatNumber, priceRate } = useLocale();
+  const [editingProduct, setEditingProduct] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [pricing, setPricing] = useState(false);
+  useListUrlSync();
+  const [scrollToId, setScrollToId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const selectionAnchor = React.useRef(null);
+
+  const query = useMemo(
+    () => dashboardQuery({ filter, searchTerm, facets, sort, priceRate, categoryThresholds }),
+    [filter, searchTerm, facets, sort, priceRate, categoryThresholds]
+  );
+  const { filteredProducts, facetCounts, analytics, categories } = useProductQuery(products, query);
+
+  const columns = useMemo(
+    () => PRODUCT_COLUMNS.filter(c => visibleColumns.includes(c.key)),
+    [visibleColumns]
+  );
+
+  const handleSort = useCallback(
+    (key, multi) => dispatch({ type: 'SET_SORT', payload: toggleSort(sort, key, multi) }),
+    [sort, dispatch]
+  );
+
+  // Drop selections for products that no longer exist (deleted, undone adds, reloads)
+  useEffect(() => {
+    setSelectedIds(prev => {
+      if (!prev.size) return prev;
+      const positions = positionsOf(products);
+      const next = new Set([...prev].filter(id => positions.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [products]);
+
+  const handleToggleSelect = useCallback(
+    (id, index, shiftKey) => {
+      const anchor = selectionAnchor.current;
+      // Shift-click applies the clicked row's new state to the whole range from the anchor
+      const range =
+        shiftKey && anchor !== null && anchor < filteredProducts.length
+          ? filteredProducts.slice(Math.min(anchor, index), Math.max(anchor, index) + 1)
+          : [filteredProducts[index]];
+
+      setSelectedIds(prev => {
+        const next = new Set(prev);
+        const checked = !prev.has(id);
+        range.forEach(p => (checked ? next.add(p.id) : next.delete(p.id)));
+        return next;
+      });
+      selectionAnchor.current = index;
+    },
+    [filteredProducts]
+  );
+
+  const allMatchingSelected =
+    filteredProducts.length > 0 && filteredProducts.every(p => selectedIds.has(p.id));
+
+  const handleSelectAllMatching = useCallback(() => {
+    setSelectedIds(allMatchingSelected ? new Set() : new Set(filteredProducts.map(p => p.id)));
+    selectionAnchor.current = null;
+  }, [allMatchingSelected, filteredProducts]);
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds(new Set());
+    selectionAnchor.current = null;
+  }, []);
+
+  const handleEdit = useCallback(product => setEditingProduct(product), []);
+  const handleUndo = useCallback(
+    async historyId => {
+      try {
+        const entry = await undo(historyId);
+        if (entry) {
+          const action = describeHistoryEntry(entry, t);
+          addNotification({ type: 'info', message: t('dashboard.undone', { action }) });
+        }
+      } catch (err) {
+        addNotification({
+          type: 'error',
+          message: t('dashboard.undoFailed', { error: err.message })
+        });
+      }
+    },
+    [undo, addNotification, t]
+  );
+
+  const handleRedo = useCallback(async () => {
+    try {
+      const entry = await redo();
+      if (entry) {
+        const action = describeHistoryEntry(entry, t);
+        addNotification({ type: 'info', message: t('dashboard.redone', { action }) });
+      }
+    } catch (err) {
+      addNotification({
+        type: 'error',
+        message: t('dashboard.redoFailed', { error: err.message })
+      });
+    }
+  }, [redo, addNotification, t]);
+
+  // Deletes and edits show up straight away, and so does the notification; a failure puts
+  // the product back the way it was, even one that had to wait for the connection
+  const handleDelete = useCallback(
+    async id => {
+      const name = products.find(p => p.id === id)?.name;
+      // The product reappeared, so the message stays until it has been seen
+      const notifyFailed = err =>
+        addNotification({
+          type: 'error',
+          message: t('dashboard.deleteFailed', { name, error: err.message }),
+          sticky: true
+        });
+      try {
+        await deleteProduct(id, {
+          onApplied: historyId =>
+            addNotification({
+              type: 'success',
+              message: t('dashboard.deleted'),
+              actions: [{ label: t('notifications.undo'), onClick: () => handleUndo(historyId) }]
+            }),
+          onQueuedError: notifyFailed
+        });
+      } catch (err) {
+        notifyFailed(err);
+      }
+    },
+    [products, deleteProduct, addNotification, handleUndo, t]
+  );
+
+  // The form closes as soon as the change shows. If the save fails after that, even once the
+  // connection is back, the notification opens the form again with what was entered, where
+  // a conflict can be resolved. A conflict found before the change is applied shows in the
+  // form, which is still open.
+  const handleSave = useCallback(
+    async (updated, options) => {
+      const notifyUpdated = () =>
+        addNotification({ type: 'success', message: t('dashboard.updated') });
+      const notifyFailed = err =>
+        addNotification({
+          type: 'error',
+          message: saveFailedMessage(err, updated, t),
+          sticky: true,
+          actions: [{ label: t('dashboard.reopen'), onClick: () => setEditingProduct(updated) }]
+        });
+      let applied = false;
+      try {
+        const saved = await updateProduct(updated, {
+          ...options,
+          onApplied: () => {
+            applied = true;
+            setEditingProduct(null);
+          },
+          onQueuedSuccess: notifyUpdated,
+          onQueuedError: notifyFailed
+        });
+        if (saved) notifyUpdated();
+      } catch (err) {
+        if (applied) {
+          notifyFailed(err);
+        } else if (err.name !== 'ConflictError') {
+          addNotification({
+            type: 'error',
+            message: saveFailedMessage(err, updated, t),
+            sticky: true
+          });
+        }
+      }
+    },
+    [updateProduct, addNotification, t]
+  );
+
+  const handleCreate = useCallback(
+    async product => {
+      try {
+        const created = await addProduct(product);
+        setCreating(false);
+        setScrollToId(created.id);
+        addNotification({
+          type: 'success',
+          message: t('dashboard.added', { name: created.name })
+        });
+      } catch (err) {
+        addNotification({
+          type: 'error',
+          message: t('dashboard.addFailed', { error: err.message })
+        });
+      }
+    },
+    [addProduct, addNotification, t]
+  );
+
+  // Changes the selected products unless `ids` names others; `source` is the audit source
+  const handleBulkUpdate = useCallback(
+    async (label, change, { ids = selectedIds, source } = {}) => {
+      const changed = products.filter(p => ids.has(p.id)).map(p => reconcileStatus(change(p)));
+      const valid = changed.filter(p => !Object.keys(validateProduct(p)).length);
+      const skipped = changed.length - valid.length;
+
+      // A change that has to wait for the connection says so, and how it went once it's sent
+      const notifyResult = ({ succeeded, failed, historyId }) => {
+        const parts = [t('bulk.updated', { count: succeeded })];
+        if (skipped) parts.push(t('bulk.skipped', { count: skipped }));
+        if (failed) parts.push(t('bulk.failedCount', { count: failed }));
+        addNotification({
+          type: failed || !succeeded ? 'error' : 'success',
+          message: t('bulk.summary', { label, parts: parts.join(', ') }),
+          actions: succeeded
+            ? [{ label: t('notifications.undo'), onClick: () => handleUndo(historyId) }]
+            : []
+        });
+      };
+      const notifyFailed = err =>
+        addNotification({
+          type: 'error',
+          message: t('bulk.failed', { label, error: err.message })
+        });
+      try {
+        const result = await bulkUpdateProducts(valid, {
+          source,
+          onQueuedSuccess: notifyResult,
+          onQueuedError: notifyFailed
+        });
+        if (result) {
+          notifyResult(result);
+        } else {
+          addNotification({
+            type: 'info',
+            message: t('bulk.summary', { label, parts: t('bulk.queued', { count: valid.length }) })
+          });
+        }
+      } catch (err) {
+        notifyFailed(err);
+      }
+    },
+    [products, selectedIds, bulkUpdateProducts, addNotification, handleUndo, t]
+  );
+
+  // Price rules and promotions hand over the fields to set on each product they change
+  const handlePricing = useCallback(
+    (label, updates, { source }) =>
+      handleBulkUpdate(label, p => ({ ...p, ...updates.get(p.id) }), {
+        ids: new Set(updates.keys()),
+        source
+      }),
+    [handleBulkUpdate]
+  );
+
+  const handleResetCatalog = useCallback(async () => {
+    if (!window.confirm(t('dashboard.resetConfirm'))) return;
+    try {
+      await resetCatalog();
+      addNotification({ type: 'success', message: t('dashboard.resetDone') });
+    } catch (err) {
+      addNotification({
+        type: 'error',
+        message: t('dashboard.resetFailed', { error: err.message })
+      });
+    }
+  }, [resetCatalog, addNotification, t]);
+
+  const handleBulkSetStatus = useCallback(
+    status =>
+      handleBulkUpdate(t('bulk.setStatusTo', { status: t(`status.${status}`) }), p => ({
+        ...p,
+        status
+      })),
+    [handleBulkUpdate, t]
+  );
+
+  const handleBulkSetCategory = useCallback(
+    category =>
+      handleBulkUpdate(t('bulk.moveTo', { category: t(`category.${category}`) }), p => ({
+        ...p,
+        category
+      })),
+    [handleBulkUpdate, t]
+  );
+
+  const handleBulkAdjustStock = useCallback(
+    delta =>
+      handleBulkUpdate(
+        t('bulk.adjustBy', { delta: formatNumber(delta, { signDisplay: 'exceptZero' }) }),
+        p => adjustStock(p, delta)
+      ),
+    [handleBulkUpdate, t, formatNumber]
+  );
+
+  const handleBulkDelete = useCallback(async () => {
+    const notifyResult = ({ succeeded, failed, historyId }) =>
+      addNotification({
+        type: failed ? 'error' : 'success',
+        message: failed
+          ? t('bulk.deletedWithFailures', { count: succeeded, failed })
+          : t('bulk.deleted', { count: succeeded }),
+        actions: succeeded
+          ? [{ label: t('notifications.undo'), onClick: () => handleUndo(historyId) }]
+          : []
+      });
+    const notifyFailed = err =>
+      addNotification({ type: 'error', message: t('bulk.deleteFailed', { error: err.message }) });
+    try {
+      const result = await bulkDeleteProducts([...selectedIds], {
+        onQueuedSuccess: notifyResult,
+        onQueuedError: notifyFailed
+      });
+      if (result) {
+        notifyResult(result);
+      } else {
+        addNotification({
+          type: 'info',
+          message: t('bulk.deletedQueued', { count: selectedIds.size })
+        });
+      }
+    } catch (err) {
+      notifyFailed(err);
+    }
+  }, [selectedIds, bulkDeleteProducts, addNotification, handleUndo, t]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); form fields keep their native undo
+  useEffect(() => {
+    if (editingProduct || creating || importing || !can('product:edit')) return undefined;
+
+    const handleKeyDown = e => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      e.preventDefault();
+      if (e.shiftKey) handleRedo();
+      else handleUndo();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [editingProduct, creating, importing, can, handleUndo, handleRedo]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">{t('dashboard.loading')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center text-red-600">
+          <AlertCircle className="w-16 h-16 mx-auto mb-4" />
+          <p className="text-xl font-semibold mb-2">{t('dashboard.loadError')}</p>
+          <p className="mb-4">{error}</p>
+          <button
+            onClick={reload}
+            className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 inline-flex items-center space-x-2"
+          >
+            <RefreshCw className="w-4 h-4" />
+            <span>{t('dashboard.retry')}</span>
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">{t('dashboard.title')}</h1>
+          <div className="flex items-center space-x-2">
+            {can('product:edit') && (
+              <>
+                <button
+                  onClick={() => handleUndo()}
+                  disabled={!canUndo}
+                  title={t('dashboard.undoHint')}
+                  aria-label={t('dashboard.undo')}
+                  className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg disabled:opacity-40"
+                >
+                  <Undo2 className="w-5 h-5" />
+                </button>
+                <button
+                  onClick={handleRedo}
+                  disabled={!canRedo}
+                  title={t('dashboard.redoHint')}
+                  aria-label={t('dashboard.redo')}
+                  className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg disabled:opacity-40"
+                >
+                  <Redo2 className="w-5 h-5" />
+                </button>
+              </>
+            )}
+            {can('catalog:reset') && (
+              <button
+                onClick={handleResetCatalog}
+                title={t('dashboard.reset')}
+                aria-label={t('dashboard.reset')}
+                className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+              >
+                <RotateCcw className="w-5 h-5" />
+              </button>
+            )}
+            <ExportMenu filteredProducts={filteredProducts} />
+            {can('product:bulk-edit') && (
+              <button
+                onClick={() => setPricing(true)}
+                className="px-4 py-2 border border-gray-300 bg-white rounded-lg hover:bg-gray-100 flex items-center space-x-2"
+              >
+                <Tag className="w-5 h-5" />
+                <span>{t('pricing.button')}</span>
+              </button>
+            )}
+            {can('product:import') && (
+              <button
+                onClick={() => setImporting(true)}
+                className="px-4 py-2 border border-gray-300 bg-white rounded-lg hover:bg-gray-100 flex items-center space-x-2"
+              >
+                <Upload className="w-5 h-5" />
+                <span>{t('dashboard.import')}</span>
+              </button>
+            )}
+            {can('product:create') && (
+              <button
+                onClick={() => setCreating(true)}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center space-x-2"
+              >
+                <Plus className="w-5 h-5" />
+                <span>{t('dashboard.addProduct')}</span>
+              </button>
+            )}
+          </div>
+        </div>
+
+        <ErrorBoundary
+          name="analytics"
+          fallback={({ reset }) => (
+            <SectionErrorFallback
+              messageKey="errorBoundary.analytics"
+              onRetry={reset}
+              className="mb-8"
+            />
+          )}
+        >
+          <AnalyticsDashboard analytics={analytics} totalCount={products.length} />
+        </ErrorBoundary>
+        <SearchAndFilter categories={categories} />
+        {facetCounts && <FacetPanel counts={facetCounts} />}
+
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="p-6 border-b flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-800">
+              {t('dashboard.products', { count: filteredProducts.length })}
+            </h2>
+            <div className="flex items-center space-x-4">
+              <div className="flex border border-gray-300 rounded-md overflow-hidden">
+                {[
+                  ['list', List],
+                  ['grid', LayoutGrid],
+                  ['table', Table]
+                ].map(([mode, Icon]) => (
+                  <button
+                    key={mode}
+                    title={t(`dashboard.view.${mode}`)}
+                    aria-label={t(`dashboard.view.${mode}`)}
+                    aria-pressed={viewMode === mode}
+                    onClick={() => dispatch({ type: 'SET_VIEW_MODE', payload: mode })}
+                    className={`p-1.5 ${
+                      viewMode === mode
+                        ? 'bg-blue-600 text-white'
+                        : 'text-gray-600 hover:bg-gray-100'
+                    }`}
+                  >
+                    <Icon className="w-4 h-4" />
+                  </button>
+                ))}
+              </div>
+              {viewMode === 'table' && (
+                <ColumnPicker
+                  visibleColumns={visibleColumns}
+                  onChange={keys => dispatch({ type: 'SET_VISIBLE_COLUMNS', payload: keys })}
+                />
+              )}
+              {can('product:bulk-edit') && (
+                <label className="flex items-center space-x-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={allMatchingSelected}
+                    ref={el => {
+                      if (el) el.indeterminate = selectedIds.size > 0 && !allMatchingSelected;
+                    }}
+                    onChange={handleSelectAllMatching}
+                    className="w-4 h-4"
+                  />
+                  <span>{t('dashboard.selectAll')}</span>
+                </label>
+              )}
+            </div>
+          </div>
+
+          {selectedIds.size > 0 && can('product:bulk-edit') && (
+            <BulkActionBar
+              selectedCount={selectedIds.size}
+              onClear={clearSelection}
+              onDelete={handleBulkDelete}
+              onSetStatus={handleBulkSetStatus}
+              onSetCategory={handleBulkSetCategory}
+              onAdjustStock={handleBulkAdjustStock}
+            />
+          )}
+
+          {viewMode === 'table' && (
+            <ProductTableHeader columns={columns} sort={sort} onSort={handleSort} />
+          )}
+
+          <ErrorBoundary
+            name="list"
+            fallback={({ reset }) => (
+              <SectionErrorFallback messageKey="errorBoundary.list" onRetry={reset} />
+            )}
+          >
+            <VirtualProductList
+              products={filteredProducts}
+              variant={viewMode}
+              columns={columns}
+              scrollToId={scrollToId}
+              selectedIds={selectedIds}
+              remoteChanges={remoteChanges}
+              pendingProducts={pendingProducts}
+              onToggleSelect={handleToggleSelect}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+            />
+          </ErrorBoundary>
+        </div>
+
+        {editingProduct && (
+          <ProductEditModal
+            product={editingProduct}
+            onSave={handleSave}
+            onClose={() => setEditingProduct(null)}
+          />
+        )}
+
+        {creating && (
+          <ProductCreateModal onSave={handleCreate} onClose={() => setCreating(false)} />
+        )}
+
+        {importing && <ImportWizard onClose={() => setImporting(false)} />}
+        {pricing && (
+          <PricingDialog
+            filteredProducts={filteredProducts}
+            selectedIds={selectedIds}
+            onApply={handlePricing}
+            onClose={() => setPricing(false)}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export { saveFailedMessage, ProductDashboard };
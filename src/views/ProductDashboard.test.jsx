@@ -0,0 +1,34 @@
+import { screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import { renderApp } from '../testUtils';
+
+// The search, filters, view switcher, column picker and product list
+const listControls = () =>
+  screen.getByRole('heading', { name: 'Product Dashboard' }).parentElement.parentElement;
+
+describe('ProductDashboard list controls', () => {
+  it.each(['List view', 'Grid view', 'Table view'])('has no axe violations in %s', async mode => {
+    await renderApp();
+    fireEvent.click(screen.getByRole('button', { name: mode }));
+    expect(screen.getByRole('button', { name: mode })).toHaveAttribute('aria-pressed', 'true');
+    expect(await axe(listControls())).toHaveNoViolations();
+  });
+
+  it('has no axe violations with the column picker open', async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole('button', { name: 'Table view' }));
+    await screen.findByRole('button', { name: 'Name' });
+    const picker = screen.getByRole('button', { name: 'Columns' });
+    fireEvent.click(picker);
+    expect(picker).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByRole('checkbox', { name: 'SKU' })).not.toBeChecked();
+    expect(await axe(listControls())).toHaveNoViolations();
+  });
+
+  it('labels the search box, category filter and product list', async () => {
+    await renderApp();
+    expect(screen.getByRole('textbox', { name: 'Search products' })).toBeInTheDocument();
+    expect(screen.getByRole('combobox', { name: 'Category' })).toBeInTheDocument();
+    expect(screen.getByRole('region', { name: /^Products,/ })).toBeInTheDocument();
+  });
+});
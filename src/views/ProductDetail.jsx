@@ -0,0 +1,258 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { AlertCircle, Edit, ArrowLeft } from 'lucide-react';
+import { reorderThresholdFor, isLowStock } from '../productQuery';
+import { productSchema } from '../data/schema';
+import { salesVelocity, suggestedReorderQuantity } from '../data/inventory';
+import { ONE_DECIMAL } from '../i18n/locale';
+import { productPath } from '../contexts/RouterProvider';
+import { buildListQuery } from '../data/listQuery';
+import { useAuth, useProducts, useNotifications, useLocale, useRouter } from '../hooks';
+import { Link } from '../components/Link';
+import { PromotionNotice } from '../components/Promotions';
+import { hasVariantDetails, ProductVariants } from '../components/ProductVariants';
+import { STATUS_COLORS } from '../components/ProductTable';
+import { saveFailedMessage } from './ProductDashboard';
+import { AuditEntryList } from './ActivityLog';
+import { ProductEditModal } from '../components/ProductForm';
+
+/* ========= Product Detail ========= */
+const ProductDetail = ({ id, editing, tab = 'details' }) => {
+  const {
+    products,
+    loading,
+    filter,
+    searchTerm,
+    sort,
+    categoryThresholds,
+    auditLog,
+    updateProduct
+  } = useProducts();
+  const { addNotification } = useNotifications();
+  const { navigate } = useRouter();
+  const { can } = useAuth();
+  const { t, formatNumber, formatPrice } = useLocale();
+
+  const product = products.find(p => String(p.id) === id);
+  const history = useMemo(
+    () => auditLog.filter(entry => String(entry.productId) === id),
+    [auditLog, id]
+  );
+  const backTo = `/${buildListQuery({ filter, searchTerm, sort })}`;
+
+  // An edit that didn't save, for the form to open again with
+  const [retrying, setRetrying] = useState(null);
+
+  // Closes the form as soon as the change shows, like the dashboard does
+  const handleSave = useCallback(
+    async (updated, options) => {
+      const editPath = `${productPath(updated.id)}/edit`;
+      const notifyUpdated = () =>
+        addNotification({ type: 'success', message: t('dashboard.updated') });
+      const notifyFailed = err =>
+        addNotification({
+          type: 'error',
+          message: saveFailedMessage(err, updated, t),
+          sticky: true,
+          actions: [
+            {
+              label: t('dashboard.reopen'),
+              onClick: () => {
+                setRetrying(updated);
+                navigate(editPath);
+              }
+            }
+          ]
+        });
+      let applied = false;
+      try {
+        const saved = await updateProduct(updated, {
+          ...options,
+          onApplied: () => {
+            applied = true;
+            setRetrying(null);
+            navigate(productPath(updated.id), { replace: true });
+          },
+          onQueuedSuccess: notifyUpdated,
+          onQueuedError: notifyFailed
+        });
+        if (saved) notifyUpdated();
+      } catch (err) {
+        if (applied) {
+          notifyFailed(err);
+        } else if (err.name !== 'ConflictError') {
+          addNotification({
+            type: 'error',
+            message: saveFailedMessage(err, updated, t),
+            sticky: true
+          });
+        }
+      }
+    },
+    [updateProduct, navigate, addNotification, t]
+  );
+
+  const handleRemovePromotion = async () => {
+    const notifyFailed = err =>
+      addNotification({ type: 'error', message: saveFailedMessage(err, product, t) });
+    try {
+      await updateProduct(
+        { ...product, promotion: null },
+        { source: 'promotion', onQueuedError: notifyFailed }
+      );
+      addNotification({
+        type: 'success',
+        message: t('promotion.removed', { name: product.name })
+      });
+    } catch (err) {
+      notifyFailed(err);
+    }
+  };
+
+  const displayValue = field => {
+    const value = product[field.key];
+    if (field.key === 'price') return formatPrice(value);
+    if (field.key === 'category') return t(`category.${value}`);
+    if (field.key === 'reorderThreshold' && (value == null || value === '')) {
+      return t('detail.categoryDefault', {
+        threshold: reorderThresholdFor(product, categoryThresholds)
+      });
+    }
+    if (value == null || value === '') return '—';
+    if (field.type === 'number') {
+      return formatNumber(value, field.decimals === 1 ? ONE_DECIMAL : undefined);
+    }
+    return String(value);
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <Link
+        to={backTo}
+        className="inline-flex items-center space-x-1 text-blue-600 hover:underline mb-6"
+      >
+        <ArrowLeft className="w-4 h-4" />
+        <span>{t('detail.back')}</span>
+      </Link>
+
+      {!product ? (
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="p-8 text-center">
+            <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-xl font-semibold text-gray-800">{t('detail.notFound', { id })}</p>
+          </div>
+          {history.length > 0 && (
+            <div className="border-t">
+              <AuditEntryList entries={history} emptyMessage="" />
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="flex justify-between items-center p-6 border-b">
+            <div>
+              <p className="text-sm text-gray-500">#{product.id}</p>
+              <h1 className="text-2xl font-bold text-gray-900">{product.name}</h1>
+            </div>
+            {can('product:edit') && (
+              <Link
+                to={`${productPath(product.id)}/edit`}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center space-x-2"
+              >
+                <Edit className="w-4 h-4" />
+                <span>{t('detail.edit')}</span>
+              </Link>
+            )}
+          </div>
+
+          <nav className="flex space-x-6 px-6 border-b text-sm">
+            {[
+              ['details', t('detail.tab.details'), productPath(product.id)],
+              [
+                'history',
+                t('detail.tab.history', { count: history.length }),
+                `${productPath(product.id)}/history`
+              ]
+            ].map(([key, label, to]) => (
+              <Link
+                key={key}
+                to={to}
+                className={`py-3 -mb-px border-b-2 ${
+                  tab === key
+                    ? 'border-blue-600 text-blue-700'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {label}
+              </Link>
+            ))}
+          </nav>
+
+          {tab === 'history' && (
+            <AuditEntryList entries={history} emptyMessage={t('detail.noHistory')} />
+          )}
+
+          {tab === 'details' && (
+            <PromotionNotice product={product} onRemove={handleRemovePromotion} />
+          )}
+
+          {tab === 'details' && isLowStock(product, categoryThresholds) && (
+            <div className="mx-6 mt-6 p-3 rounded-md bg-yellow-50 text-yellow-800 text-sm">
+              {t('detail.lowStock', {
+                count: suggestedReorderQuantity(product, categoryThresholds),
+                velocity: formatNumber(salesVelocity(product), ONE_DECIMAL)
+              })}
+            </div>
+          )}
+
+          {tab === 'details' && (
+            <dl className="grid grid-cols-1 sm:grid-cols-2 gap-6 p-6">
+              {productSchema.fields.map(field => (
+                <div key={field.key}>
+                  <dt className="text-sm text-gray-500">{t(`field.${field.key}`)}</dt>
+                  <dd className="text-lg text-gray-800">
+                    {field.key === 'status' ? (
+                      <span
+                        className={`px-2 py-1 rounded-full text-sm ${
+                          STATUS_COLORS[product.status]
+                        }`}
+                      >
+                        {t(`status.${product.status}`)}
+                      </span>
+                    ) : (
+                      displayValue(field)
+                    )}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          )}
+
+          {tab === 'details' && hasVariantDetails(product) && (
+            <ProductVariants product={product} className="mx-6 mb-6 pt-6 border-t" />
+          )}
+        </div>
+      )}
+
+      {product && editing && can('product:edit') && (
+        <ProductEditModal
+          product={retrying?.id === product.id ? retrying : product}
+          onSave={handleSave}
+          onClose={() => {
+            setRetrying(null);
+            navigate(productPath(product.id), { replace: true });
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export { ProductDetail };
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, memo } from 'react';
+import { ArrowLeft } from 'lucide-react';
+import { BASE_CURRENCY, LOCALES, CURRENCIES } from '../i18n/locale';
+import { useAuth, useNotifications, useLocale } from '../hooks';
+import { Link } from '../components/Link';
+
+/* ========= Settings ========= */
+// Language names are shown in their own language so they can be found from any locale
+const LanguageSelect = ({ value, onChange, className = '' }) => {
+  const { t } = useLocale();
+  return (
+    <select
+      value={value}
+      aria-label={t('settings.language')}
+      onChange={e => onChange(e.target.value)}
+      className={`px-3 py-2 border border-gray-300 rounded-md bg-white ${className}`}
+    >
+      {Object.entries(LOCALES).map(([code, { label }]) => (
+        <option key={code} value={code}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+const ExchangeRates = memo(() => {
+  const { t, exchangeRates, setExchangeRates } = useLocale();
+  const { addNotification } = useNotifications();
+  const { can } = useAuth();
+  const [draft, setDraft] = useState(exchangeRates);
+
+  useEffect(() => setDraft(exchangeRates), [exchangeRates]);
+
+  const others = CURRENCIES.filter(c => c !== BASE_CURRENCY);
+  const invalid = others.some(c => !(Number(draft[c]) > 0));
+  const dirty = others.some(c => String(draft[c]) !== String(exchangeRates[c]));
+
+  const handleSave = async () => {
+    try {
+      await setExchangeRates(Object.fromEntries(others.map(c => [c, Number(draft[c])])));
+      addNotification({ type: 'success', message: t('settings.ratesSaved') });
+    } catch (err) {
+      addNotification({
+        type: 'error',
+        message: t('settings.ratesFailed', { error: err.message })
+      });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-lg font-semibold text-gray-800">{t('settings.rates')}</h2>
+        {can('currency:configure') && (
+          <button
+            onClick={handleSave}
+            disabled={!dirty || invalid}
+            className="text-sm bg-blue-600 text-white px-3 py-1 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {t('settings.saveRates')}
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        {t('settings.ratesHelp', { base: BASE_CURRENCY })}
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        {others.map(currency => (
+          <label key={currency} className="text-sm text-gray-600">
+            <span className="block mb-1">
+              {t('settings.rateLabel', { currency, base: BASE_CURRENCY })}
+            </span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft[currency]}
+              disabled={!can('currency:configure')}
+              aria-invalid={!(Number(draft[currency]) > 0)}
+              onChange={e => setDraft(prev => ({ ...prev, [currency]: e.target.value }))}
+              className="w-full px-3 py-1 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+const SettingsView = () => {
+  const { t, locale, setLocale, currency, setCurrency } = useLocale();
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <Link
+        to="/"
+        className="inline-flex items-center space-x-1 text-blue-600 hover:underline mb-6"
+      >
+        <ArrowLeft className="w-4 h-4" />
+        <span>{t('detail.back')}</span>
+      </Link>
+      <h1 className="text-3xl font-bold text-gray-900 mb-8">{t('settings.title')}</h1>
+
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6 grid grid-cols-1 sm:grid-cols-2 gap-6">
+        <div className="text-sm">
+          <span className="block font-medium text-gray-700 mb-1">{t('settings.language')}</span>
+          <LanguageSelect value={locale} onChange={setLocale} className="w-full" />
+        </div>
+        <label className="text-sm">
+          <span className="block font-medium text-gray-700 mb-1">{t('settings.currency')}</span>
+          <select
+            value={currency}
+            onChange={e => setCurrency(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md bg-white"
+          >
+            {CURRENCIES.map(c => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+        </label>
+        <p className="sm:col-span-2 text-sm text-gray-500">
+          {t('settings.currencyHelp', { base: BASE_CURRENCY })}
+        </p>
+      </div>
+
+      <ExchangeRates />
+    </div>
+  );
+};
+
+export { LanguageSelect, SettingsView };